@@ -18,8 +18,29 @@ const getServerUrl = () => {
   return window.location.origin;
 };
 
+// Persistent player identity (issued by the server) and the reconnect token
+// for the game in progress, both kept across reloads
+const IDENTITY_KEY = 'urbanSurvivalIdentity';
+const SESSION_KEY = 'urbanSurvivalSession';
+
+const loadStored = (key) => {
+  try {
+    return JSON.parse(localStorage.getItem(key));
+  } catch {
+    return null;
+  }
+};
+
+const saveSession = (data) => {
+  localStorage.setItem(SESSION_KEY, JSON.stringify({ gameId: data.gameId, reconnectToken: data.reconnectToken }));
+};
+
+const clearSession = () => localStorage.removeItem(SESSION_KEY);
+
+// auth is re-read on every reconnect, so a newly issued identity is picked up
 const socket = io(getServerUrl(), {
-  transports: ['websocket', 'polling']
+  transports: ['websocket', 'polling'],
+  auth: (cb) => cb(loadStored(IDENTITY_KEY) || {})
 });
 
 function App() {
@@ -30,11 +51,27 @@ function App() {
   const [gameData, setGameData] = useState(null);
   const [gameOverStats, setGameOverStats] = useState(null);
   const [connected, setConnected] = useState(false);
+  const [playerId, setPlayerId] = useState(() => loadStored(IDENTITY_KEY)?.playerId || null);
 
   useEffect(() => {
     socket.on('connect', () => {
       console.log('Connected to server');
       setConnected(true);
+
+      // Pick up where we left off if we dropped out of a game
+      const session = loadStored(SESSION_KEY);
+      if (session) {
+        socket.emit('resumeSession', { reconnectToken: session.reconnectToken }, (result) => {
+          if (result.success) {
+            saveSession(result.gameData);
+            setGameData(result.gameData);
+            setScreen('game');
+          } else {
+            clearSession();
+            setScreen(current => current === 'game' ? 'menu' : current);
+          }
+        });
+      }
     });
 
     socket.on('disconnect', () => {
@@ -42,6 +79,11 @@ function App() {
       setConnected(false);
     });
 
+    socket.on('identity', (identity) => {
+      localStorage.setItem(IDENTITY_KEY, JSON.stringify(identity));
+      setPlayerId(identity.playerId);
+    });
+
     socket.on('lobbiesUpdated', (updatedLobbies) => {
       setLobbies(updatedLobbies);
     });
@@ -51,11 +93,13 @@ function App() {
     });
 
     socket.on('gameStarted', (data) => {
+      saveSession(data);
       setGameData(data);
       setScreen('game');
     });
 
     socket.on('gameOver', (data) => {
+      clearSession();
       setGameOverStats(data);
       setScreen('gameover');
     });
@@ -68,6 +112,7 @@ function App() {
     return () => {
       socket.off('connect');
       socket.off('disconnect');
+      socket.off('identity');
       socket.off('lobbiesUpdated');
       socket.off('lobbyUpdated');
       socket.off('gameStarted');
@@ -123,6 +168,7 @@ function App() {
   }, [currentLobby]);
 
   const handleReturnToMenu = useCallback(() => {
+    clearSession();
     setGameData(null);
     setGameOverStats(null);
     setCurrentLobby(null);
@@ -152,7 +198,7 @@ function App() {
         return (
           <Lobby
             lobby={currentLobby}
-            playerId={socket.id}
+            playerId={playerId}
             onLeave={handleLeaveLobby}
             onSetReady={handleSetReady}
             onStartGame={handleStartGame}
@@ -161,13 +207,20 @@ function App() {
       
       case 'game':
         return (
-          <Game
-            socket={socket}
-            gameData={gameData}
-            playerId={socket.id}
-            playerName={playerName}
-            onQuit={handleReturnToMenu}
-          />
+          <>
+            <Game
+              socket={socket}
+              gameData={gameData}
+              playerId={playerId}
+              playerName={playerName}
+              onQuit={handleReturnToMenu}
+            />
+            {!connected && (
+              <div style={{ position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.6)', display: 'flex', alignItems: 'center', justifyContent: 'center', color: '#fff', fontSize: '1.5rem', zIndex: 1000 }}>
+                Connection lost - reconnecting...
+              </div>
+            )}
+          </>
         );
       
       case 'gameover':
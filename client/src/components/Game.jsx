@@ -4,18 +4,40 @@
 import React, { useEffect, useRef, useState, useCallback } from 'react';
 import * as THREE from 'three';
 import audioManager from '../game/AudioManager';
-import HUD from './HUD';
+import HUD, { InventoryPanel, GiveMenu } from './HUD';
 import { MapRenderer } from '../game/MapRenderer';
-
-const WEAPON_STATS = {
-  knife: { damage: 35, range: 2.5, cooldown: 20, type: 'melee' },
-  bat: { damage: 50, range: 3, cooldown: 30, type: 'melee' },
-  pipe: { damage: 45, range: 2.8, cooldown: 25, type: 'melee' },
-  pistol: { damage: 25, range: 80, cooldown: 15, type: 'ranged', ammo: 1 },
-  shotgun: { damage: 15, range: 30, cooldown: 45, type: 'ranged', pellets: 6, ammo: 2 },
-  smg: { damage: 12, range: 50, cooldown: 5, type: 'ranged', ammo: 1 },
-  rifle: { damage: 45, range: 100, cooldown: 30, type: 'ranged', ammo: 1 }
-};
+import { SnapshotBuffer } from '../game/SnapshotBuffer';
+import '@shared/config/WeaponStats.js';
+import '@shared/config/Items.js';
+import '@shared/inventory/Inventory.js';
+import '@shared/config/Recipes.js';
+import '@shared/config/StatusEffects.js';
+import '@shared/config/PlayerMovement.js';
+import '@shared/net/SnapshotDelta.js';
+import '@shared/collision/CollisionGrid.js';
+import '@shared/collision/CollisionSystem.js';
+
+// Shared weapon and movement tables (also enforced by the server)
+const WEAPON_STATS = window.WEAPON_STATS;
+const ITEMS = window.ITEMS;
+const INVENTORY = window.INVENTORY;
+const AMMO_BOXES = window.AMMO_BOXES;
+const Inventory = window.Inventory;
+const RECIPES = window.RECIPES;
+const STATUS_EFFECTS = window.STATUS_EFFECTS;
+const PLAYER_MOVEMENT = window.PLAYER_MOVEMENT;
+const MOVEMENT_PERK_MODIFIERS = window.MOVEMENT_PERK_MODIFIERS;
+const getMoveDirection = window.getMoveDirection;
+const drainSprintEnergy = window.drainSprintEnergy;
+const recoverEnergy = window.recoverEnergy;
+const getEffectModifier = window.getEffectModifier;
+const effectsBlock = window.effectsBlock;
+const { applyDelta } = window.SnapshotDelta;
+const CollisionGrid = window.CollisionGrid;
+const CollisionSystem = window.CollisionSystem;
+
+// How long E is held to revive, as the server's REVIVE.holdTime
+const REVIVE_SECONDS = 5;
 
 const PERKS = [
   { id: 'health_boost', name: 'Vitality', desc: '+20 Max Health', icon: '❤️' },
@@ -33,7 +55,9 @@ const PERKS = [
 const PICKUP_CONFIG = {
   food: { color: 0x8a6a3a, icon: '🍞', name: 'Food' },
   medicine: { color: 0x4a8a4a, icon: '💊', name: 'Medicine' },
-  ammo: { color: 0xaaaa4a, icon: '🔫', name: 'Ammo' },
+  ammo_9mm: { color: 0xaaaa4a, icon: '🟡', name: '9mm Rounds' },
+  ammo_shells: { color: 0xaa4a3a, icon: '🔴', name: 'Shotgun Shells' },
+  ammo_rifle: { color: 0xaa7a3a, icon: '🟠', name: 'Rifle Rounds' },
   blanket: { color: 0x6a5a8a, icon: '🧥', name: 'Blanket' },
   water: { color: 0x4a7a9a, icon: '💧', name: 'Water' },
   pistol: { color: 0x555555, icon: '🔫', name: 'Pistol' },
@@ -41,7 +65,15 @@ const PICKUP_CONFIG = {
   smg: { color: 0x444444, icon: '🔫', name: 'SMG' },
   rifle: { color: 0x333333, icon: '🔫', name: 'Rifle' },
   bat: { color: 0x8b4513, icon: '🏏', name: 'Bat' },
-  pipe: { color: 0x696969, icon: '🔧', name: 'Pipe' }
+  pipe: { color: 0x696969, icon: '🔧', name: 'Pipe' },
+  reinforced_pipe: { color: 0x7a7a5a, icon: '🛠️', name: 'Reinforced Pipe' },
+  molotov: { color: 0xcc5511, icon: '🔥', name: 'Molotov' },
+  bandage: { color: 0xdddddd, icon: '🩹', name: 'Bandage' },
+  cloth: { color: 0x9a8a7a, icon: '🧵', name: 'Cloth' },
+  scrap_metal: { color: 0x8a8a8a, icon: '🔩', name: 'Scrap Metal' },
+  duct_tape: { color: 0xaaaaaa, icon: '🎗️', name: 'Duct Tape' },
+  alcohol: { color: 0x6a8a4a, icon: '🍾', name: 'Alcohol' },
+  bottle: { color: 0x4a6a5a, icon: '🫙', name: 'Empty Bottle' }
 };
 
 function Game({ socket, gameData, playerId, playerName, onQuit }) {
@@ -57,6 +89,11 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
   const [showPerkSelection, setShowPerkSelection] = useState(false);
   const [perkChoices, setPerkChoices] = useState([]);
   const [showEscapeMenu, setShowEscapeMenu] = useState(false);
+  const [showInventory, setShowInventory] = useState(false);
+  const [inventory, setInventory] = useState([]);
+  const [targetedTeammate, setTargetedTeammate] = useState(null);
+  const [giveTarget, setGiveTarget] = useState(null);
+  const [bandageTarget, setBandageTarget] = useState(null);
   const [chatMessages, setChatMessages] = useState([]);
   const [chatInput, setChatInput] = useState('');
   const [isChatFocused, setIsChatFocused] = useState(false);
@@ -79,6 +116,7 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
   const handleSelectPerk = useCallback((perk) => {
     if (!gameRef.current) return;
     gameRef.current.selectedPerks.push(perk);
+    if (MOVEMENT_PERK_MODIFIERS[perk.id]) gameRef.current.speedMult *= MOVEMENT_PERK_MODIFIERS[perk.id];
     setShowPerkSelection(false);
     gameRef.current.notifications.push({ id: Date.now(), text: `${perk.name} acquired!`, icon: perk.icon, type: 'perk', expires: Date.now() + 3000 });
     socket.emit('perkSelected', { gameId: gameData.gameId, playerId, perkId: perk.id });
@@ -106,7 +144,7 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
     const mount = mountRef.current;
 
     // Get map data from gameData (sent by server on gameStarted)
-    const mapData = gameData.mapData;
+    let mapData = gameData.mapData;
     if (!mapData) {
       console.error('[Game] No map data received from server!');
       return;
@@ -136,22 +174,30 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
     };
 
     // Adjust brightness based on settings
-    if (mapObjects.lights) {
-      mapObjects.lights.forEach(light => {
+    const applyBrightness = (lights) => {
+      lights.forEach(light => {
         if (light.intensity) light.intensity *= settings.brightness;
       });
-    }
+    };
+    if (mapObjects.lights) applyBrightness(mapObjects.lights);
 
     // Create gun model
     const gunGroup = new THREE.Group();
     const createGunModel = (type) => {
       while (gunGroup.children.length) gunGroup.remove(gunGroup.children[0]);
-      if (['knife', 'bat', 'pipe'].includes(type)) {
-        const colors = { knife: 0x888888, bat: 0x8b4513, pipe: 0x555555 };
-        const lengths = { knife: 0.25, bat: 0.6, pipe: 0.5 };
+      if (!type) return; // Empty hands
+      if (WEAPON_STATS[type].type === 'melee') {
+        const colors = { knife: 0x888888, bat: 0x8b4513, pipe: 0x555555, reinforced_pipe: 0x6a6a4a };
+        const lengths = { knife: 0.25, bat: 0.6, pipe: 0.5, reinforced_pipe: 0.5 };
         const blade = new THREE.Mesh(new THREE.BoxGeometry(0.04, 0.03, lengths[type]), new THREE.MeshLambertMaterial({ color: colors[type] }));
         blade.position.z = -lengths[type] / 2;
         gunGroup.add(blade);
+      } else if (type === 'molotov') {
+        const bottle = new THREE.Mesh(new THREE.CylinderGeometry(0.04, 0.05, 0.2, 8), new THREE.MeshLambertMaterial({ color: 0x3a6a3a, transparent: true, opacity: 0.8 }));
+        gunGroup.add(bottle);
+        const rag = new THREE.Mesh(new THREE.BoxGeometry(0.03, 0.08, 0.03), new THREE.MeshLambertMaterial({ color: 0xcc9966, emissive: 0xff6600, emissiveIntensity: 0.5 }));
+        rag.position.y = 0.14;
+        gunGroup.add(rag);
       } else {
         const configs = { pistol: { bodyL: 0.2, barrelL: 0.15 }, shotgun: { bodyL: 0.3, barrelL: 0.4 }, smg: { bodyL: 0.25, barrelL: 0.2 }, rifle: { bodyL: 0.35, barrelL: 0.5 } };
         const cfg = configs[type] || configs.pistol;
@@ -185,14 +231,22 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
       yaw: 0, pitch: 0,
       health: 100, maxHealth: 100,
       hunger: 100, warmth: 100, energy: 100,
-      ammo: 30, score: 0, kills: 0,
-      weapons: ['knife', null],
-      activeSlot: 0,
+      staminaDelay: 0, // Predicted like the server's; energy itself is corrected every snapshot
+      score: 0, kills: 0,
+      inventory: Inventory.createStarting().toData(), // Server-authoritative slots
+      activeSlot: 0, // Selected hotbar slot
+      heldWeapon: 'knife',
+      crafting: null, // { recipeId, progress } while crafting
+      nearFire: false, // Close enough to a barrel fire for fire recipes
       isDowned: false,
+      escaped: false,
+      spectating: null, // Player id followed by the camera after escaping
       reviveProgress: 0,
-      speedMult: 1, damageMult: 1, meleeMult: 1, radarRange: 50,
+      reviveTarget: null, // Downed player or ally being revived
+      speedMult: 1, radarRange: 50,
       level: 1, levelName: mapData.area?.name || 'Skid Row',
       allPlayers: [],
+      allies: [],
       selectedPerks: [],
       notifications: [],
       killFeed: [],
@@ -201,6 +255,9 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
       showLevelUp: false,
       enemies: new Map(),
       targetedEnemyId: null,
+      targetedTeammate: null, // { id, name } of a teammate close enough to hand items to
+      bandageTarget: null, // { id, name } of the nearest bleeding teammate in reach
+      statusEffects: [], // [{ id, stacks, remaining }], see StatusEffects.js
       isInsideBuilding: false,
       objectives: { items: [], escapeActive: false, escapeZone: null },
       lootContainerStates: new Map()
@@ -227,8 +284,11 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
     // Mesh management
     const playerMeshes = new Map();
     const enemyMeshes = new Map();
+    const allyMeshes = new Map();
     const pickupMeshes = new Map();
     const bulletMeshes = new Map();
+    const projectileMeshes = new Map();
+    const fireMeshes = new Map();
     const pingMeshes = new Map();
     const objectiveMeshes = new Map();
 
@@ -237,119 +297,65 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
     const pickupGeo = new THREE.OctahedronGeometry(0.3, 0);
     const bulletGeo = new THREE.SphereGeometry(0.08, 6, 6);
     const bulletMat = new THREE.MeshBasicMaterial({ color: 0xffff00 });
+    const projectileGeo = new THREE.DodecahedronGeometry(0.15, 0);
+    const projectileMat = new THREE.MeshLambertMaterial({ color: 0x6a5a4a });
+
+    // Remote entities are drawn from buffered snapshots rather than the latest packet
+    const playerBuffer = new SnapshotBuffer();
+    const enemyBuffer = new SnapshotBuffer();
+    const allyBuffer = new SnapshotBuffer();
+    const projectileBuffer = new SnapshotBuffer();
 
     // Input handling
     const keys = {};
-    let shootCooldown = 0;
-    let meleeCooldown = 0;
+    let lastAttackTime = 0;
+    let lastInventoryFullNotice = 0;
     let footstepTimer = 0;
     let escapeMenuOpen = false;
+    let inventoryOpen = false;
+    let giveMenuOpen = false;
     let perkSelectionOpen = false;
     let chatFocused = false;
 
-    // Simple client-side collision check using building data
-    const checkCollision = (x, z) => {
-      const bounds = mapData.bounds;
-      // Check map bounds
-      if (x < bounds.minX + 1 || x > bounds.maxX - 1 || z < bounds.minZ + 1 || z > bounds.maxZ - 1) {
-        return true;
-      }
-      
-      // Check buildings
-      for (const building of mapData.buildings) {
-        const halfW = building.dimensions.width / 2;
-        const halfD = building.dimensions.depth / 2;
-        const bx = building.position.x;
-        const bz = building.position.z;
-        
-        // Simple AABB collision
-        if (x >= bx - halfW - 0.4 && x <= bx + halfW + 0.4 &&
-            z >= bz - halfD - 0.4 && z <= bz + halfD + 0.4) {
-          
-          // Check if building has accessible interior
-          if (building.hasInterior) {
-            // Find the interior data
-            const interior = mapData.interiors.find(i => i.buildingId === building.id);
-            if (interior && !interior.door.barricaded) {
-              // Allow entry through door
-              const door = interior.door;
-              const doorRadius = 1.5;
-              const distToDoor = Math.sqrt(Math.pow(x - door.position.x, 2) + Math.pow(z - door.position.z, 2));
-              if (distToDoor < doorRadius) {
-                return false; // Can pass through door
-              }
-            }
-          }
-          return true;
-        }
-      }
-      
-      // Check overpass pillars
-      for (const overpass of mapData.overpasses) {
-        for (const pillar of overpass.pillars) {
-          const dist = Math.sqrt(Math.pow(x - pillar.position.x, 2) + Math.pow(z - pillar.position.z, 2));
-          if (dist < 1.5) return true;
-        }
-      }
-      
-      // Check large vehicles
-      for (const prop of mapData.props) {
-        if (prop.type === 'vehicle') {
-          const size = prop.subtype === 'bus' ? 5 : prop.subtype === 'truck' ? 3 : 2;
-          const dx = Math.abs(x - prop.position.x);
-          const dz = Math.abs(z - prop.position.z);
-          if (dx < size + 0.4 && dz < 1.5 + 0.4) return true;
-        } else if (prop.type === 'dumpster') {
-          const dx = Math.abs(x - prop.position.x);
-          const dz = Math.abs(z - prop.position.z);
-          if (dx < 1.5 + 0.4 && dz < 1 + 0.4) return true;
-        }
-      }
-      
-      return false;
-    };
-
-    // Move with collision and wall sliding
-    const moveWithCollision = (currentX, currentZ, desiredX, desiredZ) => {
-      // Try full movement first
-      if (!checkCollision(desiredX, desiredZ)) {
-        return { x: desiredX, z: desiredZ };
-      }
-      
-      // Try X-only movement (slide along Z wall)
-      if (!checkCollision(desiredX, currentZ)) {
-        return { x: desiredX, z: currentZ };
+    // Same grid and collision rules as the server, rebuilt from mapData
+    let collisionSystem = new CollisionSystem(CollisionGrid.fromMapData(mapData), mapData);
+
+    // Client-side prediction: each frame's movement is a numbered input that is
+    // applied locally right away and replayed on top of every server snapshot
+    let inputSeq = 0;
+    let pendingInputs = [];
+    let unsentInputs = [];
+
+    const applyMovementInput = (input) => {
+      if (input.moveX === 0 && input.moveZ === 0) return;
+      let speed = game.isDowned ? PLAYER_MOVEMENT.downedSpeed : PLAYER_MOVEMENT.walkSpeed * game.speedMult;
+      if (input.sprint && !game.isDowned && game.energy > 0 && !effectsBlock(game.statusEffects, 'sprint')) {
+        speed *= PLAYER_MOVEMENT.sprintMultiplier;
+        drainSprintEnergy(game, input.dt);
       }
-      
-      // Try Z-only movement (slide along X wall)
-      if (!checkCollision(currentX, desiredZ)) {
-        return { x: currentX, z: desiredZ };
-      }
-      
-      // Can't move at all
-      return { x: currentX, z: currentZ };
+      const direction = getMoveDirection(input.moveX, input.moveZ, input.yaw);
+      const newPos = collisionSystem.movePlayer(game.position, {
+        x: game.position.x + direction.x * speed * input.dt,
+        z: game.position.z + direction.z * speed * input.dt
+      });
+      const clamped = collisionSystem.clampToMap(newPos.x, newPos.z);
+      game.position.x = clamped.x;
+      game.position.y = newPos.y;
+      game.position.z = clamped.z;
     };
 
-    // Check if position is inside a building interior
-    const checkInsideBuilding = (x, z) => {
-      for (const interior of mapData.interiors) {
-        if (x >= interior.bounds.minX && x <= interior.bounds.maxX &&
-            z >= interior.bounds.minZ && z <= interior.bounds.maxZ) {
-          return interior;
-        }
-      }
-      return null;
+    // Weapon in the selected hotbar slot, or null for empty hands
+    const getActiveWeapon = () => {
+      const slot = game.inventory[game.activeSlot];
+      return slot && ITEMS[slot.item].category === 'weapon' ? slot.item : null;
     };
 
-    // Check if near a barrel fire (for warmth)
-    const checkNearBarrelFire = (x, z) => {
-      for (const fire of mapData.barrelFires) {
-        const dist = Math.sqrt(Math.pow(x - fire.position.x, 2) + Math.pow(z - fire.position.z, 2));
-        if (dist <= fire.warmthRadius) {
-          return { fire, warmthFactor: 1 - (dist / fire.warmthRadius) };
-        }
+    const refreshHeldWeapon = () => {
+      const weapon = getActiveWeapon();
+      if (weapon !== game.heldWeapon) {
+        game.heldWeapon = weapon;
+        createGunModel(weapon);
       }
-      return null;
     };
 
     // Check if near objective item
@@ -371,22 +377,11 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
       return dist <= zone.radius;
     };
 
-    // Check glass zones
-    const checkGlassZone = (x, z) => {
-      for (const prop of mapData.props) {
-        if (prop.type === 'glass_zone' && !prop.broken) {
-          const dist = Math.sqrt(Math.pow(x - prop.position.x, 2) + Math.pow(z - prop.position.z, 2));
-          if (dist < prop.radius) return prop;
-        }
-      }
-      return null;
-    };
-
     // Find nearby loot container
     const checkNearLootContainer = (x, z) => {
       for (const container of mapData.lootContainers) {
         const state = game.lootContainerStates.get(container.id);
-        if (state && state.looted) continue;
+        if (state && (state.looted || state.locked)) continue;
         const dist = Math.sqrt(Math.pow(x - container.position.x, 2) + Math.pow(z - container.position.z, 2));
         if (dist < 2.5) return container;
       }
@@ -405,7 +400,7 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
         return;
       }
       
-      if (e.code === 'KeyT' && !escapeMenuOpen && !perkSelectionOpen) {
+      if (e.code === 'KeyT' && !escapeMenuOpen && !inventoryOpen && !giveMenuOpen && !perkSelectionOpen) {
         e.preventDefault();
         if (document.pointerLockElement) document.exitPointerLock();
         chatFocused = true;
@@ -424,22 +419,62 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
         return;
       }
       
+      if (e.code === 'Tab') {
+        e.preventDefault();
+        if (escapeMenuOpen || giveMenuOpen || perkSelectionOpen) return;
+        inventoryOpen = !inventoryOpen;
+        setShowInventory(inventoryOpen);
+        if (inventoryOpen) {
+          keys['KeyW'] = keys['KeyA'] = keys['KeyS'] = keys['KeyD'] = keys['ShiftLeft'] = false;
+          if (document.pointerLockElement) document.exitPointerLock();
+        } else {
+          renderer.domElement.requestPointerLock();
+        }
+        return;
+      }
+      
+      if (e.code === 'KeyB' && game.bandageTarget && !escapeMenuOpen && !inventoryOpen && !giveMenuOpen && !perkSelectionOpen) {
+        socket.emit('bandagePlayer', { gameId: gameData.gameId, targetId: game.bandageTarget.id });
+        return;
+      }
+      
+      if (e.code === 'KeyG') {
+        if (giveMenuOpen) {
+          giveMenuOpen = false;
+          setGiveTarget(null);
+          renderer.domElement.requestPointerLock();
+        } else if (game.targetedTeammate && !escapeMenuOpen && !inventoryOpen && !perkSelectionOpen && !game.isDowned && !game.escaped) {
+          giveMenuOpen = true;
+          setGiveTarget(game.targetedTeammate);
+          keys['KeyW'] = keys['KeyA'] = keys['KeyS'] = keys['KeyD'] = keys['ShiftLeft'] = false;
+          if (document.pointerLockElement) document.exitPointerLock();
+        }
+        return;
+      }
+      
       if (e.code === 'Escape') {
         if (perkSelectionOpen) return;
+        if (inventoryOpen || giveMenuOpen) {
+          inventoryOpen = giveMenuOpen = false;
+          setShowInventory(false);
+          setGiveTarget(null);
+        }
         escapeMenuOpen = !escapeMenuOpen;
         setShowEscapeMenu(escapeMenuOpen);
         if (escapeMenuOpen && document.pointerLockElement) document.exitPointerLock();
         return;
       }
       
-      if (escapeMenuOpen || perkSelectionOpen) return;
+      if (escapeMenuOpen || inventoryOpen || giveMenuOpen || perkSelectionOpen) return;
       
       keys[e.code] = true;
-      if (e.code === 'Digit1') { game.activeSlot = 0; createGunModel(game.weapons[0]); }
-      if (e.code === 'Digit2' && game.weapons[1]) { game.activeSlot = 1; createGunModel(game.weapons[1]); }
+      if (['Digit1', 'Digit2', 'Digit3', 'Digit4'].includes(e.code)) {
+        game.activeSlot = parseInt(e.code.replace('Digit', '')) - 1;
+        refreshHeldWeapon();
+      }
       
       // E key for interactions
-      if (e.code === 'KeyE') {
+      if (e.code === 'KeyE' && !game.escaped) {
         // Check loot containers
         const nearContainer = checkNearLootContainer(game.position.x, game.position.z);
         if (nearContainer) {
@@ -465,53 +500,71 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
     };
     
     const handleKeyUp = (e) => { 
-      if (!chatFocused && !escapeMenuOpen && !perkSelectionOpen) keys[e.code] = false; 
+      if (!chatFocused && !escapeMenuOpen && !inventoryOpen && !giveMenuOpen && !perkSelectionOpen) keys[e.code] = false; 
     };
 
     const handleMouseDown = (e) => {
-      if (chatFocused || escapeMenuOpen || perkSelectionOpen) return;
+      if (chatFocused || escapeMenuOpen || inventoryOpen || giveMenuOpen || perkSelectionOpen) return;
       
       if (document.pointerLockElement !== renderer.domElement) {
         renderer.domElement.requestPointerLock();
         return;
       }
       
+      // Escaped players spectate; clicking switches who they watch
+      if (game.escaped) {
+        if (e.button === 0) socket.emit('spectateNext', { gameId: gameData.gameId });
+        return;
+      }
+      
       if (game.isDowned) return;
       
       if (e.button === 0) {
-        const weapon = game.weapons[game.activeSlot];
+        const weapon = getActiveWeapon();
+        if (!weapon) return;
         const stats = WEAPON_STATS[weapon];
+        const now = Date.now();
+        if (now - lastAttackTime < stats.cooldown) return;
+        const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(camera.quaternion);
         if (stats.type === 'melee') {
-          if (meleeCooldown <= 0) {
-            audioManager.playMelee(weapon);
-            gunGroup.rotation.x = -0.5;
-            meleeCooldown = stats.cooldown;
-            const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(camera.quaternion);
-            socket.emit('meleeAttack', {
-              gameId: gameData.gameId,
-              position: { x: game.position.x, y: game.position.y, z: game.position.z },
-              direction: { x: forward.x, y: forward.y, z: forward.z },
-              weapon, damage: stats.damage * game.damageMult * game.meleeMult, range: stats.range
-            });
-          }
-        } else if (game.ammo > 0 && shootCooldown <= 0) {
-          const pellets = stats.pellets || 1;
-          game.ammo -= stats.ammo || 1;
+          audioManager.playMelee(weapon);
+          gunGroup.rotation.x = -0.5;
+          lastAttackTime = now;
+          socket.emit('meleeAttack', {
+            gameId: gameData.gameId,
+            direction: { x: forward.x, y: forward.y, z: forward.z },
+            weapon
+          });
+        } else if (stats.type === 'thrown') {
+          // Thrown weapons use themselves up; the server decides where it lands
+          const inventory = new Inventory(game.inventory);
+          if (!inventory.remove(stats.ammoType, stats.ammo || 1)) return;
+          game.inventory = inventory.toData();
+          refreshHeldWeapon();
+          audioManager.playMelee(weapon);
+          gunGroup.rotation.x = -0.8;
+          lastAttackTime = now;
+          socket.emit('throwWeapon', {
+            gameId: gameData.gameId,
+            direction: { x: forward.x, y: forward.y, z: forward.z },
+            weapon
+          });
+        } else {
+          // Ammo, pellets and damage are resolved by the server; spend the
+          // rounds locally too so the counter doesn't wait on the next snapshot
+          const inventory = new Inventory(game.inventory);
+          if (!inventory.remove(stats.ammoType, stats.ammo || 1)) return;
+          game.inventory = inventory.toData();
           audioManager.playGunshot(weapon);
           muzzleFlash.intensity = 2;
           setTimeout(() => muzzleFlash.intensity = 0, 50);
           gunGroup.rotation.x = -0.15;
-          shootCooldown = stats.cooldown;
-          for (let i = 0; i < pellets; i++) {
-            const dir = new THREE.Vector3(0, 0, -1).applyQuaternion(camera.quaternion);
-            if (stats.pellets) { dir.x += (Math.random() - 0.5) * 0.15; dir.y += (Math.random() - 0.5) * 0.15; dir.normalize(); }
-            socket.emit('playerShoot', {
-              gameId: gameData.gameId,
-              position: { x: game.position.x, y: game.position.y, z: game.position.z },
-              direction: { x: dir.x, y: dir.y, z: dir.z },
-              weapon, damage: stats.damage * game.damageMult
-            });
-          }
+          lastAttackTime = now;
+          socket.emit('playerShoot', {
+            gameId: gameData.gameId,
+            direction: { x: forward.x, y: forward.y, z: forward.z },
+            weapon
+          });
         }
       }
       
@@ -526,7 +579,7 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
 
     const handleMouseMove = (e) => {
       if (document.pointerLockElement !== renderer.domElement) return;
-      if (chatFocused || escapeMenuOpen || perkSelectionOpen) return;
+      if (chatFocused || escapeMenuOpen || inventoryOpen || giveMenuOpen || perkSelectionOpen) return;
       game.yaw -= e.movementX * 0.002;
       game.pitch -= e.movementY * 0.002;
       game.pitch = Math.max(-Math.PI / 2 + 0.1, Math.min(Math.PI / 2 - 0.1, game.pitch));
@@ -539,6 +592,10 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
         audioManager.init().then(() => audioManager.startMusic());
         escapeMenuOpen = false;
         setShowEscapeMenu(false);
+        inventoryOpen = false;
+        setShowInventory(false);
+        giveMenuOpen = false;
+        setGiveTarget(null);
         chatFocused = false;
         setIsChatFocused(false);
       }
@@ -559,6 +616,35 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
     window.addEventListener('resize', handleResize);
 
     // Socket handlers
+    // Snapshots we may still receive deltas against, by sequence number
+    const snapshotHistory = new Map();
+
+    const handleSnapshot = (delta) => {
+      const base = delta.baseSeq !== null ? snapshotHistory.get(delta.baseSeq) : null;
+      if (delta.baseSeq !== null && !base) return; // Server falls back to a full snapshot
+
+      const snapshot = applyDelta(base, delta);
+      snapshotHistory.set(delta.seq, snapshot);
+      for (const seq of snapshotHistory.keys()) {
+        if (seq < (delta.baseSeq ?? delta.seq)) snapshotHistory.delete(seq);
+      }
+      socket.emit('snapshotAck', { gameId: gameData.gameId, seq: delta.seq });
+
+      const { collections, globals } = snapshot;
+      handleGameState({
+        ...globals,
+        serverTime: snapshot.serverTime,
+        players: Object.values(collections.players || {}),
+        enemies: Object.values(collections.enemies || {}),
+        allies: Object.values(collections.allies || {}),
+        pickups: Object.values(collections.pickups || {}),
+        bullets: Object.values(collections.bullets || {}),
+        projectiles: Object.values(collections.projectiles || {}),
+        fires: Object.values(collections.fires || {})
+      });
+    };
+
+    let lastInventory = null;
     const handleGameState = (state) => {
       const myPlayer = state.players.find(p => p.id === playerId);
       if (myPlayer) {
@@ -567,16 +653,39 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
         game.hunger = myPlayer.hunger;
         game.warmth = myPlayer.warmth;
         game.energy = myPlayer.energy;
-        game.ammo = myPlayer.ammo;
         game.score = myPlayer.score;
         game.kills = myPlayer.kills;
         game.isDowned = myPlayer.isDowned;
-        if (myPlayer.weapons) game.weapons = myPlayer.weapons;
+        game.statusEffects = myPlayer.statusEffects || [];
+        game.escaped = myPlayer.escaped;
+        game.spectating = myPlayer.spectating;
+
+        // Reconcile: start from the server's position and replay what it hasn't seen yet
+        if (state.lastProcessedInput !== undefined) {
+          pendingInputs = pendingInputs.filter(input => input.seq > state.lastProcessedInput);
+          game.position.x = myPlayer.position.x;
+          game.position.y = myPlayer.position.y;
+          game.position.z = myPlayer.position.z;
+          pendingInputs.forEach(applyMovementInput);
+        }
+      }
+      
+      if (state.inventory) {
+        // Unchanged globals keep their reference across deltas, so only
+        // re-render the inventory panel when the server's copy changes
+        if (state.inventory !== lastInventory) {
+          lastInventory = state.inventory;
+          setInventory(state.inventory);
+        }
+        game.inventory = state.inventory;
+        refreshHeldWeapon();
       }
+      game.crafting = state.crafting || null;
       
       game.level = state.level;
       game.levelName = mapData.area?.name || 'Skid Row';
       game.allPlayers = state.players;
+      game.allies = state.allies;
       
       // Update objectives
       if (state.objectives) {
@@ -596,19 +705,28 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
           if (container.looted && mapRendererRef.current) {
             mapRendererRef.current.updateLootContainer(container.id, true);
           }
+          if (!container.locked && mapRendererRef.current) {
+            mapRendererRef.current.unlockLootContainer(container.id);
+          }
         });
       }
       
       game.minimapData = {
         enemies: state.enemies.map(e => ({ x: e.position.x, z: e.position.z, type: e.type })),
         pickups: state.pickups.map(p => ({ x: p.position.x, z: p.position.z })),
-        players: state.players.filter(p => p.id !== playerId).map(p => ({ x: p.position.x, z: p.position.z, color: p.color, isDowned: p.isDowned, alive: p.alive })),
+        players: state.players.filter(p => p.id !== playerId && !p.escaped).map(p => ({ x: p.position.x, z: p.position.z, color: p.color, isDowned: p.isDowned, alive: p.alive })),
+        allies: state.allies.filter(a => a.state !== 'waiting').map(a => ({ x: a.position.x, z: a.position.z, isDowned: a.isDowned })),
         pings: state.pings || []
       };
 
       game.enemies.clear();
       state.enemies.forEach(e => game.enemies.set(e.id, e));
 
+      playerBuffer.push(state.serverTime, state.players.filter(p => p.id !== playerId));
+      enemyBuffer.push(state.serverTime, state.enemies);
+      allyBuffer.push(state.serverTime, state.allies);
+      projectileBuffer.push(state.serverTime, [...state.bullets, ...state.projectiles]);
+
       if (state.chatMessages) {
         setChatMessages(state.chatMessages);
       }
@@ -627,12 +745,14 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
           const head = new THREE.Mesh(headGeo, new THREE.MeshLambertMaterial({ color: 0xdec4a8 }));
           head.position.y = 1.35;
           mesh.add(head);
+          mesh.position.set(p.position.x, 0, p.position.z);
+          mesh.userData.playerId = p.id;
           playerMeshes.set(p.id, mesh);
           scene.add(mesh);
         }
-        mesh.position.set(p.position.x, p.isDowned ? 0.3 : 0, p.position.z);
+        mesh.userData.isDowned = p.isDowned;
         mesh.rotation.z = p.isDowned ? Math.PI / 2 : 0;
-        mesh.visible = p.alive;
+        mesh.visible = p.alive && !p.escaped;
       });
       for (const [id, mesh] of playerMeshes) {
         if (!seenPlayers.has(id)) { scene.remove(mesh); playerMeshes.delete(id); }
@@ -649,8 +769,8 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
           const widths = { normal: 0.3, runner: 0.25, brute: 0.5, thrower: 0.3, boss: 0.7 };
           const h = heights[e.type] || 1.2, w = widths[e.type] || 0.3;
           mesh = new THREE.Group();
-          mesh.userData = { enemyId: e.id, height: h };
           const body = new THREE.Mesh(new THREE.CylinderGeometry(w * 0.8, w, h, 8), new THREE.MeshLambertMaterial({ color: colors[e.type] || 0x5a4a3a }));
+          mesh.userData = { enemyId: e.id, height: h, body, hostileColor: colors[e.type] || 0x5a4a3a };
           body.position.y = h / 2;
           mesh.add(body);
           const head = new THREE.Mesh(new THREE.SphereGeometry(e.type === 'boss' ? 0.35 : 0.2, 8, 8), new THREE.MeshLambertMaterial({ color: 0x8a7a6a }));
@@ -661,16 +781,56 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
             crown.position.y = h + 0.5;
             mesh.add(crown);
           }
+          mesh.position.set(e.position.x, 0, e.position.z);
           enemyMeshes.set(e.id, mesh);
           scene.add(mesh);
         }
-        mesh.position.set(e.position.x, 0, e.position.z);
-        mesh.rotation.y = e.rotation || 0;
+        // Camp residents wear muted blue until something sets them off
+        if (mesh.userData.disposition !== e.disposition) {
+          mesh.userData.disposition = e.disposition;
+          mesh.userData.body.material.color.setHex(e.disposition === 'neutral' ? 0x4a5a6a : mesh.userData.hostileColor);
+        }
       });
       for (const [id, mesh] of enemyMeshes) {
         if (!seenEnemies.has(id)) { scene.remove(mesh); enemyMeshes.delete(id); }
       }
 
+      // Update ally meshes: survivors in plain clothes, bots in grey with a
+      // visor, both with a green armband once they're fighting for the team
+      const seenAllies = new Set();
+      state.allies.forEach(a => {
+        seenAllies.add(a.id);
+        let mesh = allyMeshes.get(a.id);
+        if (!mesh) {
+          mesh = new THREE.Group();
+          const body = new THREE.Mesh(playerBodyGeo, new THREE.MeshLambertMaterial({ color: a.kind === 'bot' ? 0x5a6a7a : 0x8a7a5a }));
+          body.position.y = 0.6;
+          mesh.add(body);
+          const head = new THREE.Mesh(headGeo, new THREE.MeshLambertMaterial({ color: a.kind === 'bot' ? 0x7a8a9a : 0xdec4a8 }));
+          head.position.y = 1.35;
+          mesh.add(head);
+          if (a.kind === 'bot') {
+            const visor = new THREE.Mesh(new THREE.BoxGeometry(0.3, 0.08, 0.1), new THREE.MeshBasicMaterial({ color: 0x44ccff }));
+            visor.position.set(0, 1.38, 0.17);
+            mesh.add(visor);
+          }
+          const armband = new THREE.Mesh(new THREE.TorusGeometry(0.34, 0.04, 6, 16), new THREE.MeshBasicMaterial({ color: 0x44ff66 }));
+          armband.rotation.x = Math.PI / 2;
+          armband.position.y = 0.95;
+          mesh.add(armband);
+          mesh.userData = { allyId: a.id, armband };
+          mesh.position.set(a.position.x, 0, a.position.z);
+          allyMeshes.set(a.id, mesh);
+          scene.add(mesh);
+        }
+        mesh.userData.armband.visible = a.state === 'fighting';
+        mesh.userData.isDowned = a.isDowned;
+        mesh.rotation.z = a.isDowned ? Math.PI / 2 : 0;
+      });
+      for (const [id, mesh] of allyMeshes) {
+        if (!seenAllies.has(id)) { scene.remove(mesh); allyMeshes.delete(id); }
+      }
+
       // Update pickup meshes
       const seenPickups = new Set();
       state.pickups.forEach(p => {
@@ -679,6 +839,7 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
         if (!mesh) {
           const cfg = PICKUP_CONFIG[p.type] || { color: 0xffffff };
           mesh = new THREE.Mesh(pickupGeo, new THREE.MeshLambertMaterial({ color: cfg.color, emissive: cfg.color, emissiveIntensity: 0.2 }));
+          mesh.userData.type = p.type;
           pickupMeshes.set(p.id, mesh);
           scene.add(mesh);
         }
@@ -694,12 +855,54 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
       (state.bullets || []).forEach(b => {
         seenBullets.add(b.id);
         let mesh = bulletMeshes.get(b.id);
-        if (!mesh) { mesh = new THREE.Mesh(bulletGeo, bulletMat); bulletMeshes.set(b.id, mesh); scene.add(mesh); }
-        mesh.position.set(b.position.x, b.position.y, b.position.z);
+        if (!mesh) {
+          mesh = new THREE.Mesh(bulletGeo, bulletMat);
+          mesh.position.set(b.position.x, b.position.y, b.position.z);
+          bulletMeshes.set(b.id, mesh);
+          scene.add(mesh);
+        }
       });
       for (const [id, mesh] of bulletMeshes) {
         if (!seenBullets.has(id)) { scene.remove(mesh); bulletMeshes.delete(id); }
       }
+
+      // Update thrown projectile meshes
+      const seenProjectiles = new Set();
+      (state.projectiles || []).forEach(p => {
+        seenProjectiles.add(p.id);
+        if (!projectileMeshes.has(p.id)) {
+          const mesh = new THREE.Mesh(projectileGeo, projectileMat);
+          mesh.position.set(p.position.x, p.position.y, p.position.z);
+          projectileMeshes.set(p.id, mesh);
+          scene.add(mesh);
+        }
+      });
+      for (const [id, mesh] of projectileMeshes) {
+        if (!seenProjectiles.has(id)) { scene.remove(mesh); projectileMeshes.delete(id); }
+      }
+
+      // Molotov fires
+      const seenFires = new Set();
+      (state.fires || []).forEach(f => {
+        seenFires.add(f.id);
+        if (!fireMeshes.has(f.id)) {
+          const mesh = new THREE.Group();
+          const flames = new THREE.Mesh(
+            new THREE.CircleGeometry(f.radius, 16),
+            new THREE.MeshBasicMaterial({ color: 0xff6611, transparent: true, opacity: 0.6, side: THREE.DoubleSide })
+          );
+          flames.rotation.x = -Math.PI / 2;
+          flames.position.y = 0.05;
+          mesh.add(flames);
+          mesh.add(new THREE.PointLight(0xff6622, 2, f.radius * 4));
+          mesh.position.set(f.position.x, 0, f.position.z);
+          fireMeshes.set(f.id, mesh);
+          scene.add(mesh);
+        }
+      });
+      for (const [id, mesh] of fireMeshes) {
+        if (!seenFires.has(id)) { scene.remove(mesh); fireMeshes.delete(id); }
+      }
     };
 
     const handleChatMessage = (msg) => {
@@ -721,6 +924,38 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
       }, 2500);
     };
 
+    // The server moved the game to the next area: swap the scene and collision
+    // world, and drop everything that belonged to the old map
+    const handleLevelTransition = (data) => {
+      mapData = data.mapData;
+
+      if (mapRendererRef.current) mapRendererRef.current.dispose();
+      mapRendererRef.current = new MapRenderer(scene, mapData);
+      const newObjects = mapRendererRef.current.render();
+      if (newObjects.lights) applyBrightness(newObjects.lights);
+      sceneRef.current = { scene, mapObjects: newObjects, bounds: mapData.bounds };
+
+      collisionSystem = new CollisionSystem(CollisionGrid.fromMapData(mapData), mapData);
+
+      playerBuffer.clear();
+      enemyBuffer.clear();
+      allyBuffer.clear();
+      projectileBuffer.clear();
+
+      const me = data.players.find(p => p.id === playerId);
+      if (me) game.position.set(me.position.x, me.position.y, me.position.z);
+      pendingInputs = [];
+
+      game.level = data.level;
+      game.levelName = mapData.area?.name || data.levelName;
+      game.objectives = data.objectives;
+      setObjectives(data.objectives);
+      game.lootContainerStates.clear();
+      data.lootContainers.forEach(container => game.lootContainerStates.set(container.id, container));
+
+      game.notifications.push({ id: Date.now(), text: `Entering ${data.levelName}`, icon: '🗺️', type: 'success', expires: Date.now() + 4000 });
+    };
+
     const handleKillFeed = (data) => {
       game.killFeed.push({ id: Date.now(), killer: data.killerName, victim: data.victimName, weapon: data.weapon, isHeadshot: data.isHeadshot, expires: Date.now() + 5000 });
     };
@@ -729,10 +964,49 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
       if (data.playerId === playerId) {
         audioManager.playPickup('generic');
         const cfg = PICKUP_CONFIG[data.type];
-        game.notifications.push({ id: Date.now(), text: `+${cfg?.name || data.type}`, icon: cfg?.icon || '📦', type: 'pickup', expires: Date.now() + 3000 });
+        const quantity = data.quantity > 1 ? `${data.quantity} ` : '';
+        game.notifications.push({ id: Date.now(), text: `+${quantity}${cfg?.name || data.type}`, icon: cfg?.icon || '📦', type: 'pickup', expires: Date.now() + 3000 });
+      }
+    };
+
+    const handleItemGiven = (data) => {
+      const item = ITEMS[data.item];
+      const quantity = data.quantity > 1 ? `${data.quantity} ` : '';
+      game.notifications.push({ id: Date.now(), text: `Gave ${quantity}${item.name} to ${data.targetName}`, icon: item.icon, type: 'pickup', expires: Date.now() + 3000 });
+    };
+
+    const handleItemReceived = (data) => {
+      audioManager.playPickup('generic');
+      const item = ITEMS[data.item];
+      const quantity = data.quantity > 1 ? `${data.quantity} ` : '';
+      game.notifications.push({ id: Date.now(), text: `${data.fromName} gave you ${quantity}${item.name}`, icon: item.icon, type: 'pickup', expires: Date.now() + 3000 });
+    };
+
+    const handleCraftingCompleted = (data) => {
+      audioManager.playPickup('generic');
+      const item = ITEMS[data.item];
+      const quantity = data.quantity > 1 ? `${data.quantity} ` : '';
+      game.notifications.push({ id: Date.now(), text: `Crafted ${quantity}${item.name}`, icon: '🔨', type: 'success', expires: Date.now() + 3000 });
+    };
+
+    const handleCraftingInterrupted = (data) => {
+      const reasons = { moved: 'you moved', damaged: 'you were hurt', no_station: 'you left the fire', missing_ingredients: 'ingredients missing', cancelled: 'cancelled' };
+      game.notifications.push({ id: Date.now(), text: `${RECIPES[data.recipeId].name} interrupted: ${reasons[data.reason] || data.reason}`, icon: '🔨', type: 'warning', expires: Date.now() + 3000 });
+    };
+
+    const handlePlayerBandaged = (data) => {
+      if (data.playerId === playerId) {
+        game.notifications.push({ id: Date.now(), text: `${data.medicName} stopped your bleeding`, icon: '🩹', type: 'success', expires: Date.now() + 3000 });
+      } else if (data.medicId === playerId) {
+        game.notifications.push({ id: Date.now(), text: `You bandaged ${data.playerName}`, icon: '🩹', type: 'success', expires: Date.now() + 3000 });
       }
     };
 
+    const handleItemUsed = (data) => {
+      const item = ITEMS[data.item];
+      game.notifications.push({ id: Date.now(), text: `Used ${item.name}`, icon: item.icon, type: 'pickup', expires: Date.now() + 2000 });
+    };
+
     const handleContainerLooted = (data) => {
       game.lootContainerStates.set(data.containerId, { looted: true });
       if (mapRendererRef.current) {
@@ -760,6 +1034,14 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
       }
     };
 
+    const handleOptionalObjectiveCompleted = (data) => {
+      if (data.containerId && mapRendererRef.current) {
+        mapRendererRef.current.unlockLootContainer(data.containerId);
+      }
+      const text = data.type === 'rescue' ? 'Survivor rescued!' : 'Building cleared!';
+      game.notifications.push({ id: Date.now(), text, icon: '⭐', type: 'success', expires: Date.now() + 3000 });
+    };
+
     const handleGlassBroken = (data) => {
       if (mapRendererRef.current && data.glassId) {
         mapRendererRef.current.breakGlassZone(data.glassId);
@@ -821,31 +1103,64 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
       setTimeout(() => { scene.remove(pingGroup); pingMeshes.delete(pingId); }, 5000);
     };
 
+    const handleAllyDowned = (data) => {
+      game.notifications.push({ id: Date.now(), text: `${data.allyName} is down!`, icon: '⚠️', type: 'warning', expires: Date.now() + 3000 });
+    };
+
     const handleEnemyAggro = (data) => { audioManager.playEnemyAggro(data.type); };
 
+    const handlePlayerDisconnected = (data) => {
+      game.notifications.push({ id: Date.now(), text: `${data.playerName} lost connection`, icon: '📡', type: 'warning', expires: Date.now() + 3000 });
+    };
+
+    const handlePlayerReconnected = (data) => {
+      game.notifications.push({ id: Date.now(), text: `${data.playerName} reconnected`, icon: '📡', type: 'success', expires: Date.now() + 3000 });
+    };
+
     const handlePlayerEscaped = (data) => {
       if (data.playerId === playerId) {
         game.notifications.push({ id: Date.now(), text: 'YOU ESCAPED!', icon: '🎉', type: 'success', expires: Date.now() + 5000 });
       } else {
-        game.notifications.push({ id: Date.now(), text: `${data.playerName} escaped!`, icon: '🚗', type: 'success', expires: Date.now() + 3000 });
+        game.notifications.push({ id: Date.now(), text: `${data.playerName} made it out! Extraction leaves in ${data.departsIn}s`, icon: '🚁', type: 'success', expires: Date.now() + 4000 });
       }
     };
 
-    socket.on('gameState', handleGameState);
+    const handleFinaleStarted = (data) => {
+      game.notifications.push({ id: Date.now(), text: `${data.bossName} has woken!`, icon: '☠️', type: 'warning', expires: Date.now() + 4000 });
+    };
+
+    const handleFinaleDefeated = (data) => {
+      game.notifications.push({ id: Date.now(), text: `${data.bossName} is dead! Everyone to the lift!`, icon: '🛗', type: 'success', expires: Date.now() + 5000 });
+    };
+
+    socket.on('gameState', handleSnapshot);
     socket.on('chatMessage', handleChatMessage);
     socket.on('levelUp', handleLevelUp);
+    socket.on('levelTransition', handleLevelTransition);
     socket.on('killFeed', handleKillFeed);
     socket.on('pickupCollected', handlePickupCollected);
+    socket.on('itemUsed', handleItemUsed);
+    socket.on('playerBandaged', handlePlayerBandaged);
+    socket.on('craftingCompleted', handleCraftingCompleted);
+    socket.on('craftingInterrupted', handleCraftingInterrupted);
+    socket.on('itemGiven', handleItemGiven);
+    socket.on('itemReceived', handleItemReceived);
     socket.on('containerLooted', handleContainerLooted);
     socket.on('objectiveCollected', handleObjectiveCollected);
+    socket.on('optionalObjectiveCompleted', handleOptionalObjectiveCompleted);
     socket.on('glassBroken', handleGlassBroken);
     socket.on('enemyHit', handleEnemyHit);
     socket.on('playerDamaged', handlePlayerDamaged);
     socket.on('playerDowned', handlePlayerDowned);
     socket.on('playerRevived', handlePlayerRevived);
+    socket.on('allyDowned', handleAllyDowned);
     socket.on('ping', handlePing);
     socket.on('enemyAggro', handleEnemyAggro);
     socket.on('playerEscaped', handlePlayerEscaped);
+    socket.on('playerDisconnected', handlePlayerDisconnected);
+    socket.on('playerReconnected', handlePlayerReconnected);
+    socket.on('finaleStarted', handleFinaleStarted);
+    socket.on('finaleDefeated', handleFinaleDefeated);
 
     // HUD Update interval
     hudUpdateRef.current = setInterval(() => {
@@ -857,11 +1172,18 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
       setHudState({
         health: game.health, maxHealth: game.maxHealth,
         hunger: game.hunger, warmth: game.warmth, energy: game.energy,
-        ammo: game.ammo, score: game.score, kills: game.kills,
+        ammo: game.heldWeapon && WEAPON_STATS[game.heldWeapon].ammoType
+          ? new Inventory(game.inventory).count(WEAPON_STATS[game.heldWeapon].ammoType)
+          : null,
+        score: game.score, kills: game.kills,
         level: game.level, levelName: game.levelName,
-        weapons: [...game.weapons], activeSlot: game.activeSlot,
-        isDowned: game.isDowned, reviveProgress: game.reviveProgress,
+        hotbar: game.inventory.slice(0, INVENTORY.hotbarSlots), activeSlot: game.activeSlot,
+        crafting: game.crafting, nearFire: game.nearFire,
+        isDowned: game.isDowned, statusEffects: game.statusEffects, reviveProgress: game.reviveProgress,
+        escaped: game.escaped,
+        spectatingName: game.allPlayers.find(p => p.id === game.spectating)?.name || null,
         allPlayers: game.allPlayers,
+        allies: game.allies,
         selectedPerks: [...game.selectedPerks],
         notifications: [...game.notifications],
         killFeed: [...game.killFeed],
@@ -878,6 +1200,7 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
 
     // Game loop
     let frameCount = 0;
+    let lastFrameTime = 0;
     let animationId;
     const clock = new THREE.Clock();
 
@@ -885,45 +1208,46 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
       animationId = requestAnimationFrame(animate);
       frameCount++;
       const elapsedTime = clock.getElapsedTime();
+      const delta = Math.min(elapsedTime - lastFrameTime, 0.1);
+      lastFrameTime = elapsedTime;
+
+      // Predict energy recovery between snapshots, as the server does every tick
+      if (!game.escaped) recoverEnergy(game, delta, getEffectModifier(game.statusEffects, 'energyRegen'));
 
-      if (!escapeMenuOpen && !perkSelectionOpen && !chatFocused) {
-        const moveSpeed = game.isDowned ? 0.03 : 0.12 * game.speedMult;
+      if (!escapeMenuOpen && !perkSelectionOpen && !chatFocused && !game.escaped) {
         const moveVector = new THREE.Vector3();
         if (keys['KeyW'] || keys['ArrowUp']) moveVector.z -= 1;
         if (keys['KeyS'] || keys['ArrowDown']) moveVector.z += 1;
         if (keys['KeyA'] || keys['ArrowLeft']) moveVector.x -= 1;
         if (keys['KeyD'] || keys['ArrowRight']) moveVector.x += 1;
 
-        let finalSpeed = moveSpeed;
         const isSprinting = (keys['ShiftLeft'] || keys['ShiftRight']) && !game.isDowned;
-        if (isSprinting && moveVector.length() > 0 && game.energy > 0) {
-          finalSpeed *= 1.5;
-          game.energy = Math.max(0, game.energy - 0.1);
-        }
 
-        if (moveVector.length() > 0) {
-          moveVector.normalize().multiplyScalar(finalSpeed);
-          const cosYaw = Math.cos(game.yaw);
-          const sinYaw = Math.sin(game.yaw);
-          const desiredX = game.position.x + moveVector.x * cosYaw + moveVector.z * sinYaw;
-          const desiredZ = game.position.z + -moveVector.x * sinYaw + moveVector.z * cosYaw;
-          
-          // Apply collision with wall sliding
-          const newPos = moveWithCollision(game.position.x, game.position.z, desiredX, desiredZ);
-          game.position.x = newPos.x;
-          game.position.z = newPos.z;
+        // Predict this frame's movement and queue it for the server
+        const input = {
+          seq: ++inputSeq,
+          moveX: moveVector.x,
+          moveZ: moveVector.z,
+          yaw: game.yaw,
+          pitch: game.pitch,
+          sprint: isSprinting,
+          dt: delta
+        };
+        // Only the server's acknowledgement trims pendingInputs; dropping
+        // unacknowledged ones would snap the player back on a slow link
+        applyMovementInput(input);
+        pendingInputs.push(input);
+        unsentInputs.push(input);
 
-          // Footstep sounds and glass breaking
+        if (moveVector.length() > 0) {
+          // Footstep sounds (the server detects and breaks the glass itself)
           footstepTimer++;
           if (footstepTimer >= (isSprinting ? 15 : 25)) {
             footstepTimer = 0;
-            const glassZone = checkGlassZone(game.position.x, game.position.z);
+            const glassZone = collisionSystem.getGlassZoneAt(game.position.x, game.position.z);
             if (glassZone) {
-              if (!glassZone.broken) {
-                glassZone.broken = true;
-                audioManager.playGlassBreak();
-                socket.emit('glassBreak', { gameId: gameData.gameId, glassId: glassZone.id, position: { x: glassZone.position.x, z: glassZone.position.z } });
-              }
+              glassZone.broken = true;
+              audioManager.playGlassBreak();
               audioManager.playFootstep(true);
             } else {
               audioManager.playFootstep(false);
@@ -939,25 +1263,23 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
         gunGroup.rotation.x *= 0.9;
 
         // Check if inside building (for warmth bonus indicator)
-        const interior = checkInsideBuilding(game.position.x, game.position.z);
+        // Warmth, fire and glass damage are all applied by the server
+        const interior = collisionSystem.isInInterior(game.position.x, game.position.z);
         game.isInsideBuilding = !!interior;
+        game.nearFire = !!collisionSystem.getNearbyBarrelFire(game.position.x, game.position.z);
 
-        // Check barrel fires for warmth
-        const nearFire = checkNearBarrelFire(game.position.x, game.position.z);
-        if (nearFire && frameCount % 60 === 0) {
-          game.warmth = Math.min(100, game.warmth + 2 * nearFire.warmthFactor);
-        }
-        
-        // Fire damage if too close
-        if (nearFire && nearFire.warmthFactor > 0.8 && frameCount % 30 === 0) {
-          socket.emit('playerHit', { gameId: gameData.gameId, damage: 5, source: 'fire' });
-        }
-
-        // Pickup collection
+        // Pickup collection, skipping anything there's no room for
+        const carried = new Inventory(game.inventory);
+        const now = Date.now();
         for (const [pickupId] of pickupMeshes) {
           const mesh = pickupMeshes.get(pickupId);
           if (mesh && mesh.position.distanceTo(game.position) < 1.5) {
-            socket.emit('pickupCollected', { gameId: gameData.gameId, pickupId, playerId });
+            if (carried.spaceFor(mesh.userData.type) > 0) {
+              socket.emit('pickupCollected', { gameId: gameData.gameId, pickupId, playerId });
+            } else if (now - lastInventoryFullNotice > 3000) {
+              lastInventoryFullNotice = now;
+              game.notifications.push({ id: now, text: 'Inventory full', icon: '🎒', type: 'warning', expires: now + 2000 });
+            }
           }
         }
 
@@ -973,34 +1295,39 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
               }
             }
           }
+          // Downed allies are picked up the same way
+          for (const a of game.allies) {
+            if (revivingPlayer) break;
+            if (!a.isDowned) continue;
+            const mesh = allyMeshes.get(a.id);
+            if (mesh && mesh.position.distanceTo(game.position) < 2) revivingPlayer = a.id;
+          }
+          // The server times the hold from startRevive
+          if (revivingPlayer !== game.reviveTarget) {
+            game.reviveTarget = revivingPlayer;
+            game.reviveProgress = 0;
+            if (revivingPlayer) socket.emit('startRevive', { gameId: gameData.gameId, targetId: revivingPlayer });
+          }
           if (revivingPlayer) {
             const reviveSpeed = game.selectedPerks.some(p => p.id === 'revive_boost') ? 0.5 : 1;
-            game.reviveProgress += 1 / (300 * reviveSpeed);
+            game.reviveProgress += delta / (REVIVE_SECONDS * reviveSpeed);
             if (game.reviveProgress >= 1) {
               socket.emit('revivePlayer', { gameId: gameData.gameId, targetId: revivingPlayer });
               game.reviveProgress = 0;
+              game.reviveTarget = null;
             }
-          } else {
-            game.reviveProgress = 0;
           }
         } else {
           game.reviveProgress = 0;
+          game.reviveTarget = null;
         }
 
-        // Send position to server
-        if (frameCount % 3 === 0) {
-          socket.emit('playerInput', {
-            gameId: gameData.gameId,
-            input: {
-              position: { x: game.position.x, y: game.position.y, z: game.position.z },
-              rotation: { yaw: game.yaw, pitch: game.pitch }
-            }
-          });
+        // Send queued inputs to server
+        if (frameCount % 3 === 0 && unsentInputs.length > 0) {
+          socket.emit('playerInput', { gameId: gameData.gameId, inputs: unsentInputs });
+          unsentInputs = [];
         }
 
-        if (shootCooldown > 0) shootCooldown--;
-        if (meleeCooldown > 0) meleeCooldown--;
-
         // Enemy targeting raycasting
         if (frameCount % 5 === 0) {
           raycaster.setFromCamera(new THREE.Vector2(0, 0), camera);
@@ -1023,12 +1350,53 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
           }
           game.targetedEnemyId = foundEnemy?.id || null;
           setTargetedEnemy(foundEnemy);
+
+          // A teammate in the crosshair and within arm's reach can be handed items
+          let foundTeammate = null;
+          const teammateHit = raycaster.intersectObjects(Array.from(playerMeshes.values()).filter(m => m.visible), true)[0];
+          if (teammateHit && teammateHit.distance <= INVENTORY.giveRange) {
+            let obj = teammateHit.object;
+            while (obj.parent && !obj.userData.playerId) obj = obj.parent;
+            const teammate = game.allPlayers.find(p => p.id === obj.userData.playerId);
+            if (teammate) foundTeammate = { id: teammate.id, name: teammate.name };
+          }
+          if (foundTeammate?.id !== game.targetedTeammate?.id) {
+            game.targetedTeammate = foundTeammate;
+            setTargetedTeammate(foundTeammate);
+          }
+
+          // Bleeding teammates in reach, downed or standing, can be bandaged
+          let bleeding = null;
+          if (!game.isDowned && new Inventory(game.inventory).count('bandage') > 0) {
+            for (const p of game.allPlayers) {
+              if (p.id === playerId || !p.alive || p.escaped || !p.statusEffects?.some(e => e.id === 'bleeding')) continue;
+              const mesh = playerMeshes.get(p.id);
+              if (mesh && mesh.position.distanceTo(game.position) <= INVENTORY.giveRange) {
+                bleeding = { id: p.id, name: p.name };
+                break;
+              }
+            }
+          }
+          if (bleeding?.id !== game.bandageTarget?.id) {
+            game.bandageTarget = bleeding;
+            setBandageTarget(bleeding);
+          }
         }
       }
 
-      // Update camera position
-      camera.position.copy(game.position);
-      if (game.isDowned) camera.position.y = 0.5;
+      // Update camera position. Spectators orbit behind the player they watch.
+      const spectated = game.escaped && playerMeshes.get(game.spectating);
+      if (spectated) {
+        camera.position.set(
+          spectated.position.x + Math.sin(game.yaw) * 4,
+          spectated.position.y + 2.5,
+          spectated.position.z + Math.cos(game.yaw) * 4
+        );
+      } else {
+        camera.position.copy(game.position);
+        if (game.isDowned) camera.position.y = game.position.y - collisionSystem.playerEyeHeight + 0.5;
+      }
+      gunGroup.visible = !game.escaped;
       camera.rotation.order = 'YXZ';
       camera.rotation.y = game.yaw;
       camera.rotation.x = game.pitch;
@@ -1038,6 +1406,40 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
         mapRendererRef.current.updateAnimations(elapsedTime);
       }
 
+      // Interpolate remote players, enemies and projectiles
+      for (const [id, mesh] of playerMeshes) {
+        const sample = playerBuffer.sample(id);
+        if (!sample) continue;
+        // Player positions are at eye height; meshes stand on whatever is underfoot
+        const feetY = Math.max(0, sample.y - collisionSystem.playerEyeHeight);
+        mesh.position.set(sample.x, feetY + (mesh.userData.isDowned ? 0.3 : 0), sample.z);
+        mesh.rotation.y = sample.rotation;
+      }
+      for (const [id, mesh] of enemyMeshes) {
+        const sample = enemyBuffer.sample(id);
+        if (!sample) continue;
+        mesh.position.set(sample.x, sample.y, sample.z);
+        mesh.rotation.y = sample.rotation;
+      }
+      for (const [id, mesh] of allyMeshes) {
+        const sample = allyBuffer.sample(id);
+        if (!sample) continue;
+        mesh.position.set(sample.x, sample.y + (mesh.userData.isDowned ? 0.3 : 0), sample.z);
+        mesh.rotation.y = sample.rotation;
+      }
+      for (const meshes of [bulletMeshes, projectileMeshes]) {
+        for (const [id, mesh] of meshes) {
+          const sample = projectileBuffer.sample(id);
+          if (sample) mesh.position.set(sample.x, sample.y, sample.z);
+        }
+      }
+
+      // Flicker molotov fires
+      for (const [, mesh] of fireMeshes) {
+        mesh.children[0].material.opacity = 0.45 + Math.random() * 0.25;
+        mesh.children[1].intensity = 1.5 + Math.random();
+      }
+
       // Update ping visuals
       for (const [, mesh] of pingMeshes) {
         const age = (Date.now() - mesh.userData.createdAt) / 1000;
@@ -1069,21 +1471,34 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
       document.removeEventListener('mousemove', handleMouseMove);
       document.removeEventListener('pointerlockchange', handlePointerLockChange);
       window.removeEventListener('resize', handleResize);
-      socket.off('gameState', handleGameState);
+      socket.off('gameState', handleSnapshot);
       socket.off('chatMessage', handleChatMessage);
       socket.off('levelUp', handleLevelUp);
+      socket.off('levelTransition', handleLevelTransition);
       socket.off('killFeed', handleKillFeed);
       socket.off('pickupCollected', handlePickupCollected);
+      socket.off('itemUsed', handleItemUsed);
+      socket.off('playerBandaged', handlePlayerBandaged);
+      socket.off('craftingCompleted', handleCraftingCompleted);
+      socket.off('craftingInterrupted', handleCraftingInterrupted);
+      socket.off('itemGiven', handleItemGiven);
+      socket.off('itemReceived', handleItemReceived);
       socket.off('containerLooted', handleContainerLooted);
       socket.off('objectiveCollected', handleObjectiveCollected);
+      socket.off('optionalObjectiveCompleted', handleOptionalObjectiveCompleted);
       socket.off('glassBroken', handleGlassBroken);
       socket.off('enemyHit', handleEnemyHit);
       socket.off('playerDamaged', handlePlayerDamaged);
       socket.off('playerDowned', handlePlayerDowned);
       socket.off('playerRevived', handlePlayerRevived);
+      socket.off('allyDowned', handleAllyDowned);
       socket.off('ping', handlePing);
       socket.off('enemyAggro', handleEnemyAggro);
       socket.off('playerEscaped', handlePlayerEscaped);
+      socket.off('playerDisconnected', handlePlayerDisconnected);
+      socket.off('playerReconnected', handlePlayerReconnected);
+      socket.off('finaleStarted', handleFinaleStarted);
+      socket.off('finaleDefeated', handleFinaleDefeated);
       audioManager.stopMusic();
       if (document.pointerLockElement) document.exitPointerLock();
       if (mapRendererRef.current) mapRendererRef.current.dispose();
@@ -1104,6 +1519,7 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
         <HUD
           player={hudState}
           allPlayers={hudState.allPlayers}
+          allies={hudState.allies}
           level={hudState.level}
           levelName={hudState.levelName}
           playerId={playerId}
@@ -1115,7 +1531,9 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
           perkChoices={perkChoices}
           onSelectPerk={handleSelectPerk}
           selectedPerks={hudState.selectedPerks}
-          weapons={hudState.weapons}
+          hotbar={hudState.hotbar}
+          crafting={hudState.crafting}
+          ammo={hudState.ammo}
           activeSlot={hudState.activeSlot}
           isDowned={hudState.isDowned}
           reviveProgress={hudState.reviveProgress}
@@ -1141,19 +1559,60 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
           <div style={{ color: '#ffd700', fontWeight: 'bold', fontSize: '0.9rem', marginBottom: 8 }}>
             📋 OBJECTIVES
           </div>
-          <div style={{ fontSize: '0.8rem', color: '#ddd', marginBottom: 4 }}>
-            <span style={{ color: collectedCount === totalCount ? '#4f4' : '#fff' }}>
-              Generator Parts: {collectedCount}/{totalCount}
-            </span>
-          </div>
-          {objectives.escapeActive ? (
-            <div style={{ fontSize: '0.8rem', color: '#4f4', marginTop: 8 }}>
-              ✅ Escape vehicle ready!<br/>
-              <span style={{ color: '#888', fontSize: '0.75rem' }}>Go to the extraction point</span>
-            </div>
+          {objectives.finale ? (
+            objectives.finale.state === 'defeated' ? (
+              <div style={{ fontSize: '0.8rem', color: '#4f4' }}>
+                ✅ {objectives.finale.bossName} is dead!<br/>
+                <span style={{ color: '#888', fontSize: '0.75rem' }}>Press E at the lift to get out</span>
+              </div>
+            ) : (
+              <div style={{ fontSize: '0.8rem', color: '#f66' }}>
+                ☠️ Defeat {objectives.finale.bossName}<br/>
+                <span style={{ color: '#888', fontSize: '0.75rem' }}>
+                  {objectives.finale.state === 'dormant' ? 'It waits in the central chamber' : 'The lift runs once it is dead'}
+                </span>
+              </div>
+            )
           ) : (
-            <div style={{ fontSize: '0.75rem', color: '#888', marginTop: 4 }}>
-              Collect all parts to unlock escape
+            <>
+            <div style={{ fontSize: '0.8rem', color: '#ddd', marginBottom: 4 }}>
+              <span style={{ color: collectedCount === totalCount ? '#4f4' : '#fff' }}>
+                Generator Parts: {collectedCount}/{totalCount}
+              </span>
+            </div>
+            {objectives.escapeActive ? (
+              <div style={{ fontSize: '0.8rem', color: '#4f4', marginTop: 8 }}>
+                ✅ Escape vehicle ready!<br/>
+                <span style={{ color: '#888', fontSize: '0.75rem' }}>Press E at the extraction point</span>
+              </div>
+            ) : (
+              <div style={{ fontSize: '0.75rem', color: '#888', marginTop: 4 }}>
+                Collect all parts to unlock escape
+              </div>
+            )}
+            </>
+          )}
+          {objectives.optional?.length > 0 && (
+            <div style={{ marginTop: 8, paddingTop: 6, borderTop: '1px solid rgba(255,255,255,0.1)' }}>
+              <div style={{ color: '#aaa', fontSize: '0.7rem', marginBottom: 4 }}>OPTIONAL</div>
+              {objectives.optional.map(o => (
+                <div key={o.id} style={{ fontSize: '0.75rem', color: o.status === 'rescued' || o.status === 'cleared' ? '#4f4' : o.status === 'failed' ? '#f66' : '#ddd' }}>
+                  {o.type === 'rescue' ? (
+                    o.status === 'rescued' ? `✅ ${o.survivorName} rescued`
+                      : o.status === 'failed' ? '❌ The survivor didn\'t make it'
+                      : o.status === 'following' ? `🧍 Escort ${o.survivorName} to extraction`
+                      : '🧍 Find the survivor'
+                  ) : (
+                    o.status === 'cleared' ? '✅ Building cleared, cache open'
+                      : `🏚️ Clear the building (${o.remaining} left)`
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+          {objectives.extractionTimer > 0 && (
+            <div style={{ fontSize: '0.8rem', color: '#ff9944', marginTop: 8 }}>
+              🚁 Extraction leaves in {objectives.extractionTimer}s
             </div>
           )}
           {hudState?.isInsideBuilding && (
@@ -1164,6 +1623,27 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
         </div>
       )}
 
+      {/* Spectating after escaping */}
+      {hudState?.escaped && !showEscapeMenu && (
+        <div style={{
+          position: 'absolute',
+          top: 20,
+          left: '50%',
+          transform: 'translateX(-50%)',
+          background: 'rgba(0,0,0,0.7)',
+          borderRadius: 8,
+          padding: '10px 20px',
+          border: '1px solid rgba(68,255,68,0.4)',
+          textAlign: 'center',
+          zIndex: 60
+        }}>
+          <div style={{ color: '#4f4', fontWeight: 'bold', fontSize: '1rem' }}>🚁 YOU ESCAPED</div>
+          <div style={{ color: '#ddd', fontSize: '0.8rem', marginTop: 4 }}>
+            {hudState.spectatingName ? `Spectating ${hudState.spectatingName} - click to switch` : 'Waiting for the extraction to leave'}
+          </div>
+        </div>
+      )}
+
       {/* Targeted Enemy Name Tag */}
       {targetedEnemy && targetedEnemy.identity && !showEscapeMenu && !showPerkSelection && (
         <div style={{
@@ -1175,7 +1655,10 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
           zIndex: 80
         }}>
           <div style={{ textAlign: 'center', color: '#fff', textShadow: '0 0 5px black, 0 0 10px black' }}>
-            <div style={{ fontSize: '1.1rem', fontWeight: 'bold', color: '#ffd700' }}>{targetedEnemy.identity.fullName}</div>
+            <div style={{ fontSize: '1.1rem', fontWeight: 'bold', color: '#ffd700' }}>
+              {targetedEnemy.identity.fullName}
+              {targetedEnemy.statusEffects?.map(id => <span key={id} title={STATUS_EFFECTS[id]?.name} style={{ marginLeft: 6 }}>{STATUS_EFFECTS[id]?.icon}</span>)}
+            </div>
           </div>
         </div>
       )}
@@ -1215,6 +1698,12 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
               <span style={{ color: '#888' }}>Type:</span>
               <span style={{ color: targetedEnemy.type === 'boss' ? '#ffd700' : targetedEnemy.type === 'brute' ? '#f60' : '#aaa', textTransform: 'capitalize' }}>{targetedEnemy.type}</span>
             </div>
+            {targetedEnemy.disposition === 'neutral' && (
+              <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 2 }}>
+                <span style={{ color: '#888' }}>Status:</span>
+                <span style={{ color: '#8af' }}>Neutral</span>
+              </div>
+            )}
           </div>
         </div>
       )}
@@ -1364,12 +1853,57 @@ function Game({ socket, gameData, playerId, playerName, onQuit }) {
         </div>
       )}
       
+      {/* Give prompt */}
+      {isLocked && targetedTeammate && !hudState?.isDowned && !showEscapeMenu && !showPerkSelection && (
+        <div style={{ position: 'absolute', top: '50%', left: '50%', transform: 'translate(-50%, 40px)', color: '#ddd', fontSize: '0.85rem', background: 'rgba(0,0,0,0.6)', padding: '4px 10px', borderRadius: 4, zIndex: 60, pointerEvents: 'none' }}>
+          <span style={{ color: '#ffd700' }}>G</span> Give items to {targetedTeammate.name}
+        </div>
+      )}
+
+      {/* Bandage prompt */}
+      {isLocked && bandageTarget && !hudState?.isDowned && !showEscapeMenu && !showPerkSelection && (
+        <div style={{ position: 'absolute', top: '50%', left: '50%', transform: `translate(-50%, ${targetedTeammate ? 72 : 40}px)`, color: '#ddd', fontSize: '0.85rem', background: 'rgba(0,0,0,0.6)', padding: '4px 10px', borderRadius: 4, zIndex: 60, pointerEvents: 'none' }}>
+          <span style={{ color: '#ffd700' }}>B</span> Bandage {bandageTarget.name} 🩸
+        </div>
+      )}
+
+      {/* Give to teammate */}
+      {giveTarget && (
+        <GiveMenu
+          inventory={inventory}
+          targetName={giveTarget.name}
+          onGive={(slot) => {
+            // Consumables and weapons go one at a time, ammo a box's worth
+            const stack = inventory[slot];
+            const quantity = ITEMS[stack.item].category === 'ammo' ? Math.min(stack.quantity, AMMO_BOXES[stack.item].quantity) : 1;
+            socket.emit('giveItem', { gameId: gameData.gameId, targetId: giveTarget.id, slot, quantity });
+            setGiveTarget(null);
+            mountRef.current?.querySelector('canvas')?.requestPointerLock();
+          }}
+          onClose={() => { setGiveTarget(null); mountRef.current?.querySelector('canvas')?.requestPointerLock(); }}
+        />
+      )}
+
+      {/* Inventory */}
+      {showInventory && (
+        <InventoryPanel
+          inventory={inventory}
+          crafting={hudState?.crafting}
+          nearFire={hudState?.nearFire}
+          onCraft={(recipeId) => socket.emit('startCrafting', { gameId: gameData.gameId, recipeId })}
+          onUse={(slot) => socket.emit('useItem', { gameId: gameData.gameId, slot })}
+          onDrop={(slot, quantity) => socket.emit('dropItem', { gameId: gameData.gameId, slot, quantity })}
+          onSwap={(from, to) => socket.emit('swapItem', { gameId: gameData.gameId, from, to })}
+          onClose={() => { setShowInventory(false); mountRef.current?.querySelector('canvas')?.requestPointerLock(); }}
+        />
+      )}
+      
       {/* Click to play */}
-      {!isLocked && !showEscapeMenu && (
+      {!isLocked && !showEscapeMenu && !showInventory && !giveTarget && (
         <div onClick={() => { if (document.pointerLockElement !== mountRef.current?.querySelector('canvas')) { mountRef.current?.querySelector('canvas')?.requestPointerLock(); } }} style={{ position: 'absolute', inset: 0, background: 'rgba(0,0,0,0.7)', display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', cursor: 'pointer', zIndex: 50 }}>
           <div style={{ color: 'white', fontSize: '1.5rem', marginBottom: 10 }}>Click to Play</div>
           <div style={{ color: '#888', fontSize: '1rem' }}>WASD to move • Mouse to aim • Click to attack</div>
-          <div style={{ color: '#888', fontSize: '0.9rem', marginTop: 5 }}>1/2 switch weapons • E interact • T chat • ESC menu</div>
+          <div style={{ color: '#888', fontSize: '0.9rem', marginTop: 5 }}>1-4 hotbar • Tab inventory • G give • B bandage • E interact • T chat • ESC menu</div>
         </div>
       )}
     </div>
@@ -28,7 +28,7 @@ function GameOver({ stats, onReturnToMenu }) {
 
   return (
     <div className="game-over">
-      <h1 className="game-over-title">GAME OVER</h1>
+      <h1 className="game-over-title">{stats.victory ? 'ESCAPED' : 'GAME OVER'}</h1>
       
       <p style={{ color: '#888', marginBottom: '20px', fontSize: '1.1rem' }}>
         {reason || 'All players eliminated'}
@@ -69,7 +69,13 @@ function GameOver({ stats, onReturnToMenu }) {
               {index === 0 && '🏆 '}
               {player.name}
               {!player.alive && ' 💀'}
+              {player.escaped && ' 🚁'}
             </div>
+            {(player.escaped || player.leftBehind) && (
+              <div style={{ fontSize: '0.85rem', marginBottom: '6px', color: player.escaped ? '#44ff44' : '#ff9944' }}>
+                {player.escaped ? 'Escaped' : 'Left behind'}
+              </div>
+            )}
             <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '8px', fontSize: '0.9rem' }}>
               <div>
                 <span style={{ color: '#888' }}>Score: </span>
@@ -1,15 +1,29 @@
 // HUD.jsx - Optimized HUD component
 // Place in: client/src/components/HUD.jsx
 
-import React from 'react';
+import React, { useState } from 'react';
+import '@shared/config/Items.js';
+import '@shared/inventory/Inventory.js';
+import '@shared/config/Recipes.js';
+import '@shared/config/StatusEffects.js';
 
-const WEAPON_ICONS = { knife: '🗡️', bat: '🏏', pipe: '🔧', pistol: '🔫', shotgun: '💥', smg: '⚡', rifle: '🎯' };
+const ITEMS = window.ITEMS;
+const INVENTORY = window.INVENTORY;
+const Inventory = window.Inventory;
+const RECIPES = window.RECIPES;
+const STATUS_EFFECTS = window.STATUS_EFFECTS;
+
+// Names of the items that cure each status effect, for the HUD hints
+const CURED_BY = {};
+for (const item of Object.values(ITEMS)) {
+  for (const effectId of item.cures || []) (CURED_BY[effectId] = CURED_BY[effectId] || []).push(item.name);
+}
 
 function HUD({ 
-  player, allPlayers = [], level, levelName, playerId,
+  player, allPlayers = [], allies = [], level, levelName, playerId,
   showLevelUp, notifications = [], killFeed = [], damageIndicators = [],
   showPerkSelection, perkChoices = [], onSelectPerk, selectedPerks = [],
-  weapons = ['knife', null], activeSlot = 0, isDowned, reviveProgress,
+  hotbar = [], activeSlot = 0, ammo = null, crafting = null, isDowned, reviveProgress,
   minimapData, playerPosition, playerYaw, radarRange = 30
 }) {
   if (!player) return null;
@@ -28,10 +42,15 @@ function HUD({
         <StatBar label="🍞 Food" value={player.hunger} max={100} color="#fa4" />
         <StatBar label="🔥 Warm" value={player.warmth} max={100} color="#f84" />
         <StatBar label="⚡ Stam" value={player.energy} max={100} color="#4af" />
+        {player.statusEffects?.length > 0 && (
+          <div style={{ marginTop: 6 }}>
+            {player.statusEffects.map(effect => <StatusEffectBadge key={effect.id} effect={effect} />)}
+          </div>
+        )}
         <div style={{ marginTop: 10, borderTop: '1px solid #333', paddingTop: 8, fontSize: '0.85rem' }}>
           <div style={{ display: 'flex', justifyContent: 'space-between' }}>
             <span style={{ color: '#888' }}>🔫 Ammo:</span>
-            <span style={{ color: player.ammo < 5 ? '#f44' : '#fff' }}>{player.ammo}</span>
+            <span style={{ color: ammo !== null && ammo < 5 ? '#f44' : '#fff' }}>{ammo ?? '—'}</span>
           </div>
           <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: 3 }}>
             <span style={{ color: '#888' }}>💀 Kills:</span>
@@ -51,21 +70,34 @@ function HUD({
         )}
       </div>
 
-      {/* Weapons */}
+      {/* Craft in progress */}
+      {crafting && (
+        <div style={styles.craftingBar}>
+          <div style={{ color: '#ddd', fontSize: '0.8rem', marginBottom: 4 }}>🔨 Crafting {RECIPES[crafting.recipeId]?.name}…</div>
+          <div style={{ height: 6, background: 'rgba(255,255,255,0.15)', borderRadius: 3, overflow: 'hidden' }}>
+            <div style={{ width: `${crafting.progress * 100}%`, height: '100%', background: '#ffd700' }} />
+          </div>
+          <div style={{ color: '#777', fontSize: '0.65rem', marginTop: 4 }}>Moving or taking damage interrupts</div>
+        </div>
+      )}
+
+      {/* Hotbar */}
       <div style={styles.weaponsBar}>
-        {weapons.map((w, i) => (
+        {hotbar.map((slot, i) => (
           <div key={i} style={{
             border: `2px solid ${activeSlot === i ? '#ffd700' : '#444'}`,
             background: activeSlot === i ? 'rgba(255,215,0,0.1)' : 'rgba(0,0,0,0.8)',
             borderRadius: 8, padding: '8px 12px', minWidth: 80, textAlign: 'center',
             display: 'flex', flexDirection: 'column', alignItems: 'center', position: 'relative',
-            opacity: w ? 1 : 0.4
+            opacity: slot ? 1 : 0.4
           }}>
             <span style={{ position: 'absolute', top: -8, left: 5, background: '#333', padding: '2px 6px', borderRadius: 4, fontSize: '0.65rem' }}>{i + 1}</span>
-            {w ? (
+            {slot ? (
               <>
-                <span style={{ fontSize: '1.3rem' }}>{WEAPON_ICONS[w] || '?'}</span>
-                <span style={{ fontSize: '0.65rem', color: '#aaa', marginTop: 2 }}>{w.toUpperCase()}</span>
+                <span style={{ fontSize: '1.3rem' }}>{ITEMS[slot.item]?.icon || '?'}</span>
+                <span style={{ fontSize: '0.65rem', color: '#aaa', marginTop: 2 }}>
+                  {(ITEMS[slot.item]?.name || slot.item).toUpperCase()}{slot.quantity > 1 ? ` ×${slot.quantity}` : ''}
+                </span>
               </>
             ) : (
               <span style={{ color: '#555', fontSize: '0.7rem' }}>Empty</span>
@@ -85,7 +117,14 @@ function HUD({
           }}>
             <div style={{ width: 8, height: 8, borderRadius: '50%', background: `#${(p.color || 0x4a9eff).toString(16).padStart(6, '0')}` }} />
             <span style={{ flex: 1 }}>{p.name}{p.id === playerId ? ' (You)' : ''}</span>
-            <span style={{ fontFamily: 'monospace', fontSize: '0.75rem' }}>{p.isDowned ? '⬇️' : p.alive ? Math.floor(p.health) : '💀'}</span>
+            <span style={{ fontFamily: 'monospace', fontSize: '0.75rem' }}>{p.isDowned ? '⬇️' : p.escaped ? '🚁' : p.alive ? Math.floor(p.health) : '💀'}</span>
+          </div>
+        ))}
+        {allies.filter(a => a.state === 'fighting').map(a => (
+          <div key={a.id} style={{ display: 'flex', alignItems: 'center', gap: 6, marginBottom: 4, fontSize: '0.8rem', color: a.isDowned ? '#f80' : '#aca' }}>
+            <div style={{ width: 8, height: 8, borderRadius: 2, background: '#4f6' }} />
+            <span style={{ flex: 1 }}>{a.name}{a.kind === 'bot' ? ' (Bot)' : ''}</span>
+            <span style={{ fontFamily: 'monospace', fontSize: '0.75rem' }}>{a.isDowned ? '⬇️' : Math.floor(a.health)}</span>
           </div>
         ))}
       </div>
@@ -247,6 +286,11 @@ function Minimap({ data, playerPosition, playerYaw, radarRange }) {
           return <circle key={`pl-${i}`} cx={pos.x} cy={pos.y} r={4} fill={p.isDowned ? '#f80' : `#${(p.color || 0x4a9eff).toString(16).padStart(6, '0')}`} stroke={!p.alive ? '#f00' : 'none'} strokeWidth="2" />;
         })}
         
+        {data?.allies?.filter(a => inRange(a.x, a.z)).map((a, i) => {
+          const pos = transform(a.x, a.z);
+          return <circle key={`a-${i}`} cx={pos.x} cy={pos.y} r={3} fill={a.isDowned ? '#f80' : '#4f6'} />;
+        })}
+        
         <polygon points={`${size/2},${size/2 - 6} ${size/2 - 4},${size/2 + 3} ${size/2 + 4},${size/2 + 3}`} fill="#4af" stroke="#fff" strokeWidth="1" />
       </svg>
       <div style={{ position: 'absolute', top: 3, left: '50%', transform: 'translateX(-50%)', color: '#f44', fontWeight: 'bold', fontSize: '0.65rem', textShadow: '0 0 3px black' }}>N</div>
@@ -254,6 +298,151 @@ function Minimap({ data, playerPosition, playerYaw, radarRange }) {
   );
 }
 
+function StatusEffectBadge({ effect }) {
+  const def = STATUS_EFFECTS[effect.id];
+  if (!def) return null;
+  const cure = CURED_BY[effect.id];
+  return (
+    <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.75rem', marginTop: 2, color: def.buff ? '#6d6' : '#f66' }}>
+      <span>
+        {def.icon} {def.name}{effect.stacks > 1 ? ` ×${effect.stacks}` : ''}
+        {cure && <span style={{ color: '#888' }}> ({cure.join(', ').toLowerCase()})</span>}
+      </span>
+      {effect.remaining !== null && <span style={{ fontFamily: 'monospace' }}>{effect.remaining}s</span>}
+    </div>
+  );
+}
+
+// Full inventory grid. Click a slot to select it, then another to move it
+// there; the selected stack can be used or dropped.
+export function InventoryPanel({ inventory = [], crafting = null, nearFire = false, onCraft, onUse, onDrop, onSwap, onClose }) {
+  const [selected, setSelected] = useState(null);
+  const weight = new Inventory(inventory).getWeight();
+  const selectedSlot = selected !== null ? inventory[selected] : null;
+  const selectedDef = selectedSlot ? ITEMS[selectedSlot.item] : null;
+  const carried = new Inventory(inventory);
+
+  const handleSlotClick = (index) => {
+    if (selected === null) {
+      if (inventory[index]) setSelected(index);
+    } else {
+      if (index !== selected) onSwap(selected, index);
+      setSelected(null);
+    }
+  };
+
+  return (
+    <div style={styles.inventoryOverlay}>
+      <div style={styles.inventoryPanel}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', marginBottom: 12 }}>
+          <h2 style={{ color: '#ffd700', fontSize: '1.3rem' }}>🎒 INVENTORY</h2>
+          <span style={{ color: weight > INVENTORY.carryCapacity * 0.9 ? '#f84' : '#aaa', fontFamily: 'monospace', fontSize: '0.85rem' }}>
+            {weight.toFixed(1)} / {INVENTORY.carryCapacity} kg
+          </span>
+        </div>
+        <div style={{ display: 'grid', gridTemplateColumns: `repeat(${INVENTORY.hotbarSlots}, 64px)`, gap: 6 }}>
+          {inventory.map((slot, i) => (
+            <div key={i} onClick={() => handleSlotClick(i)} style={{
+              ...styles.inventorySlot,
+              borderColor: selected === i ? '#ffd700' : i < INVENTORY.hotbarSlots ? '#666' : '#333'
+            }}>
+              {i < INVENTORY.hotbarSlots && <span style={styles.inventoryKey}>{i + 1}</span>}
+              {slot && (
+                <>
+                  <span style={{ fontSize: '1.5rem' }}>{ITEMS[slot.item]?.icon || '?'}</span>
+                  {slot.quantity > 1 && <span style={styles.inventoryQuantity}>{slot.quantity}</span>}
+                </>
+              )}
+            </div>
+          ))}
+        </div>
+        <div style={{ minHeight: 70, marginTop: 14 }}>
+          {selectedDef ? (
+            <>
+              <div style={{ color: 'white', marginBottom: 8 }}>{selectedDef.name}{selectedSlot.quantity > 1 ? ` ×${selectedSlot.quantity}` : ''}</div>
+              <div style={{ display: 'flex', gap: 6 }}>
+                {selectedDef.use && <button style={styles.inventoryButton} onClick={() => onUse(selected)}>Use</button>}
+                <button style={styles.inventoryButton} onClick={() => { onDrop(selected, 1); if (selectedSlot.quantity === 1) setSelected(null); }}>Drop 1</button>
+                {selectedSlot.quantity > 1 && (
+                  <button style={styles.inventoryButton} onClick={() => { onDrop(selected); setSelected(null); }}>Drop all</button>
+                )}
+              </div>
+            </>
+          ) : (
+            <div style={{ color: '#666', fontSize: '0.8rem' }}>Select an item. The top row is your hotbar (1-{INVENTORY.hotbarSlots}).</div>
+          )}
+        </div>
+        <button style={{ ...styles.inventoryButton, width: '100%', marginTop: 8 }} onClick={onClose}>Close (Tab)</button>
+      </div>
+      <div style={{ ...styles.inventoryPanel, marginLeft: 12, width: 260 }}>
+        <h2 style={{ color: '#ffd700', fontSize: '1.3rem', marginBottom: 12 }}>🔨 CRAFTING</h2>
+        {Object.entries(RECIPES).map(([id, recipe]) => {
+          const hasIngredients = Object.entries(recipe.ingredients).every(([item, quantity]) => carried.count(item) >= quantity);
+          const hasStation = recipe.station !== 'fire' || nearFire;
+          const output = ITEMS[recipe.output.item];
+          return (
+            <div key={id} style={styles.recipeRow}>
+              <div style={{ flex: 1 }}>
+                <div style={{ color: 'white', fontSize: '0.85rem' }}>
+                  {output.icon} {recipe.name}{recipe.output.quantity > 1 ? ` ×${recipe.output.quantity}` : ''}
+                </div>
+                <div style={{ fontSize: '0.7rem', marginTop: 2 }}>
+                  {Object.entries(recipe.ingredients).map(([item, quantity]) => (
+                    <span key={item} style={{ color: carried.count(item) >= quantity ? '#8c8' : '#c66', marginRight: 6 }}>
+                      {ITEMS[item].icon}{quantity}
+                    </span>
+                  ))}
+                  {recipe.station === 'fire' && <span style={{ color: nearFire ? '#8c8' : '#c66' }}>at a fire</span>}
+                </div>
+              </div>
+              <button
+                style={{ ...styles.inventoryButton, opacity: hasIngredients && hasStation && !crafting ? 1 : 0.4 }}
+                disabled={!hasIngredients || !hasStation || !!crafting}
+                onClick={() => onCraft(id)}
+              >
+                {crafting?.recipeId === id ? `${Math.round(crafting.progress * 100)}%` : 'Craft'}
+              </button>
+            </div>
+          );
+        })}
+        <div style={{ color: '#666', fontSize: '0.7rem', marginTop: 8 }}>Stand still until it's done. Moving or getting hurt interrupts.</div>
+      </div>
+    </div>
+  );
+}
+
+// Radial menu of everything carried, opened while looking at a teammate.
+// Clicking an item hands it over.
+export function GiveMenu({ inventory = [], targetName, onGive, onClose }) {
+  const carried = inventory.map((slot, index) => slot && { ...slot, index }).filter(Boolean);
+  const radius = 130;
+
+  return (
+    <div style={styles.inventoryOverlay} onClick={onClose}>
+      <div style={{ position: 'relative', width: radius * 2 + 80, height: radius * 2 + 80 }}>
+        <div style={styles.giveCenter}>
+          <div style={{ color: '#888', fontSize: '0.7rem' }}>GIVE TO</div>
+          <div style={{ color: '#ffd700', fontWeight: 'bold', marginTop: 2 }}>{targetName}</div>
+          <div style={{ color: '#555', fontSize: '0.65rem', marginTop: 6 }}>{carried.length ? 'G to cancel' : 'Nothing to give'}</div>
+        </div>
+        {carried.map((slot, i) => {
+          const angle = (i / carried.length) * Math.PI * 2 - Math.PI / 2;
+          return (
+            <div key={slot.index} onClick={(e) => { e.stopPropagation(); onGive(slot.index); }} style={{
+              ...styles.giveOption,
+              left: radius + 40 + Math.cos(angle) * radius - 30,
+              top: radius + 40 + Math.sin(angle) * radius - 30
+            }} title={ITEMS[slot.item]?.name}>
+              <span style={{ fontSize: '1.4rem' }}>{ITEMS[slot.item]?.icon || '?'}</span>
+              {slot.quantity > 1 && <span style={styles.inventoryQuantity}>{slot.quantity}</span>}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
 const styles = {
   statsPanel: { position: 'absolute', top: 15, left: 15, background: 'rgba(0,0,0,0.85)', padding: 12, borderRadius: 8, fontFamily: 'monospace', fontSize: '0.85rem', minWidth: 180, border: '1px solid rgba(255,255,255,0.1)' },
   weaponsBar: { position: 'absolute', bottom: 15, left: '50%', transform: 'translateX(-50%)', display: 'flex', gap: 8 },
@@ -265,7 +454,17 @@ const styles = {
   reviveProgress: { position: 'absolute', top: '50%', left: '50%', transform: 'translate(-50%, -50%)', textAlign: 'center', background: 'rgba(0,0,0,0.85)', padding: '18px 30px', borderRadius: 10 },
   levelUp: { position: 'absolute', top: '28%', left: '50%', transform: 'translateX(-50%)', textAlign: 'center' },
   perkOverlay: { position: 'absolute', inset: 0, background: 'rgba(0,0,0,0.92)', display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', zIndex: 200 },
-  perkCard: { background: 'linear-gradient(135deg, #1a1a2e, #16213e)', border: '2px solid #444', borderRadius: 12, padding: '18px 15px', width: 150, cursor: 'pointer', transition: 'all 0.2s', display: 'flex', flexDirection: 'column', alignItems: 'center', textAlign: 'center' }
+  perkCard: { background: 'linear-gradient(135deg, #1a1a2e, #16213e)', border: '2px solid #444', borderRadius: 12, padding: '18px 15px', width: 150, cursor: 'pointer', transition: 'all 0.2s', display: 'flex', flexDirection: 'column', alignItems: 'center', textAlign: 'center' },
+  inventoryOverlay: { position: 'absolute', inset: 0, background: 'rgba(0,0,0,0.7)', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 250, pointerEvents: 'auto' },
+  inventoryPanel: { background: 'linear-gradient(135deg, #1a1a2e, #0a0a1a)', border: '2px solid #333', borderRadius: 12, padding: '20px 24px' },
+  inventorySlot: { width: 64, height: 64, background: 'rgba(0,0,0,0.6)', border: '2px solid #333', borderRadius: 6, display: 'flex', alignItems: 'center', justifyContent: 'center', position: 'relative', cursor: 'pointer' },
+  inventoryKey: { position: 'absolute', top: 2, left: 4, color: '#888', fontSize: '0.6rem' },
+  inventoryQuantity: { position: 'absolute', bottom: 2, right: 4, color: 'white', fontSize: '0.7rem', fontFamily: 'monospace' },
+  giveCenter: { position: 'absolute', left: '50%', top: '50%', transform: 'translate(-50%, -50%)', width: 120, height: 120, borderRadius: '50%', background: 'rgba(0,0,0,0.85)', border: '2px solid #444', display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', textAlign: 'center' },
+  giveOption: { position: 'absolute', width: 60, height: 60, borderRadius: '50%', background: 'rgba(0,0,0,0.8)', border: '2px solid #666', display: 'flex', alignItems: 'center', justifyContent: 'center', cursor: 'pointer' },
+  craftingBar: { position: 'absolute', top: '58%', left: '50%', transform: 'translateX(-50%)', width: 220, background: 'rgba(0,0,0,0.7)', borderRadius: 6, padding: '8px 12px', textAlign: 'center' },
+  recipeRow: { display: 'flex', alignItems: 'center', gap: 8, padding: '6px 0', borderBottom: '1px solid #222' },
+  inventoryButton: { padding: '6px 12px', background: 'rgba(255,255,255,0.05)', border: '1px solid #555', borderRadius: 6, color: 'white', cursor: 'pointer' }
 };
 
 // Inject CSS animations
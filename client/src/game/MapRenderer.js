@@ -16,6 +16,10 @@ export class MapRenderer {
       sidewalks: [],
       buildings: [],
       overpasses: [],
+      tunnels: [],
+      rails: [],
+      fences: [],
+      hazards: [],
       props: [],
       barrelFires: [],
       lootContainers: [],
@@ -53,7 +57,18 @@ export class MapRenderer {
       tarp: new THREE.MeshLambertMaterial({ color: 0x4477aa }),
       glass: new THREE.MeshLambertMaterial({ color: 0x88ccff, transparent: true, opacity: 0.3 }),
       objective: new THREE.MeshBasicMaterial({ color: 0xffff00 }),
-      escapeZone: new THREE.MeshBasicMaterial({ color: 0x00ff00, transparent: true, opacity: 0.3 })
+      escapeZone: new THREE.MeshBasicMaterial({ color: 0x00ff00, transparent: true, opacity: 0.3 }),
+      tunnelWall: new THREE.MeshLambertMaterial({ color: theme.wall || theme.building }),
+      ceiling: new THREE.MeshLambertMaterial({ color: theme.ceiling || theme.ground }),
+      water: new THREE.MeshLambertMaterial({ color: theme.water || 0x1f3a30, transparent: true, opacity: 0.8 }),
+      daylight: new THREE.MeshBasicMaterial({ color: 0xccddff, transparent: true, opacity: 0.12 }),
+      ballast: new THREE.MeshLambertMaterial({ color: 0x4a4540 }),
+      sleeper: new THREE.MeshLambertMaterial({ color: 0x3a2a1e }),
+      chainLink: new THREE.MeshLambertMaterial({ color: 0x888888, transparent: true, opacity: 0.35, side: THREE.DoubleSide }),
+      craneSteel: new THREE.MeshLambertMaterial({ color: 0xb08a20 }),
+      smokestack: new THREE.MeshLambertMaterial({ color: 0x5a3a2e }),
+      toxic: new THREE.MeshBasicMaterial({ color: theme.toxic || 0x66ff33, transparent: true, opacity: 0.55 }),
+      crater: new THREE.MeshLambertMaterial({ color: theme.crater || 0x1a1816 })
     };
   }
   
@@ -67,8 +82,12 @@ export class MapRenderer {
     this.renderGround();
     this.renderRoads();
     this.renderSidewalks();
+    this.renderRails();
     this.renderBuildings();
     this.renderOverpasses();
+    this.renderTunnels();
+    this.renderFences();
+    this.renderHazards();
     this.renderBarrelFires();
     this.renderProps();
     this.renderLootContainers();
@@ -220,6 +239,102 @@ export class MapRenderer {
     }
   }
   
+  // Rail lines: two rails on a bed of sleepers, one instanced mesh per line
+  renderRails() {
+    for (const rail of this.mapData.rails || []) {
+      const horizontal = rail.direction === 'horizontal';
+      const length = horizontal ? rail.end.x - rail.start.x : rail.end.z - rail.start.z;
+      const group = new THREE.Group();
+      
+      const bed = new THREE.Mesh(
+        new THREE.BoxGeometry(horizontal ? length : rail.gauge + 1.5, 0.06, horizontal ? rail.gauge + 1.5 : length),
+        this.materials.ballast
+      );
+      bed.position.y = 0.03;
+      bed.receiveShadow = true;
+      group.add(bed);
+      
+      const sleeperCount = Math.floor(length / 1.2);
+      const sleepers = new THREE.InstancedMesh(
+        new THREE.BoxGeometry(horizontal ? 0.3 : rail.gauge + 0.8, 0.1, horizontal ? rail.gauge + 0.8 : 0.3),
+        this.materials.sleeper,
+        sleeperCount
+      );
+      const matrix = new THREE.Matrix4();
+      for (let i = 0; i < sleeperCount; i++) {
+        const offset = -length / 2 + 0.6 + i * 1.2;
+        matrix.makeTranslation(horizontal ? offset : 0, 0.1, horizontal ? 0 : offset);
+        sleepers.setMatrixAt(i, matrix);
+      }
+      group.add(sleepers);
+      
+      for (const side of [-rail.gauge / 2, rail.gauge / 2]) {
+        const track = new THREE.Mesh(
+          new THREE.BoxGeometry(horizontal ? length : 0.1, 0.12, horizontal ? 0.1 : length),
+          this.materials.rust
+        );
+        track.position.set(horizontal ? 0 : side, 0.21, horizontal ? side : 0);
+        group.add(track);
+      }
+      
+      group.position.set((rail.start.x + rail.end.x) / 2, 0, (rail.start.z + rail.end.z) / 2);
+      this.scene.add(group);
+      this.objects.rails.push(group);
+    }
+  }
+  
+  // Chain-link fences: posts with a see-through mesh panel between them
+  renderFences() {
+    for (const fence of this.mapData.fences || []) {
+      const horizontal = fence.direction === 'horizontal';
+      const length = horizontal ? fence.end.x - fence.start.x : fence.end.z - fence.start.z;
+      const group = new THREE.Group();
+      
+      const panel = new THREE.Mesh(
+        new THREE.PlaneGeometry(length, fence.height),
+        this.materials.chainLink
+      );
+      panel.position.y = fence.height / 2;
+      if (!horizontal) panel.rotation.y = Math.PI / 2;
+      group.add(panel);
+      
+      const postCount = Math.max(2, Math.ceil(length / 3) + 1);
+      for (let i = 0; i < postCount; i++) {
+        const offset = -length / 2 + (length * i) / (postCount - 1);
+        const post = new THREE.Mesh(
+          new THREE.CylinderGeometry(0.05, 0.05, fence.height + 0.1, 6),
+          this.materials.metal
+        );
+        post.position.set(horizontal ? offset : 0, (fence.height + 0.1) / 2, horizontal ? 0 : offset);
+        group.add(post);
+      }
+      
+      group.position.set((fence.start.x + fence.end.x) / 2, 0, (fence.start.z + fence.end.z) / 2);
+      this.scene.add(group);
+      this.objects.fences.push(group);
+    }
+  }
+  
+  // Toxic spills: glowing pools on the ground
+  renderHazards() {
+    for (const hazard of this.mapData.hazards || []) {
+      const pool = new THREE.Mesh(
+        new THREE.CircleGeometry(hazard.radius, 20),
+        this.materials.toxic
+      );
+      pool.rotation.x = -Math.PI / 2;
+      pool.position.set(hazard.position.x, 0.04, hazard.position.z);
+      pool.userData = { type: 'hazard', hazardId: hazard.id };
+      this.scene.add(pool);
+      this.objects.hazards.push(pool);
+      
+      const light = new THREE.PointLight(this.area.theme.toxic || 0x66ff33, 0.4, hazard.radius * 2);
+      light.position.set(hazard.position.x, 0.8, hazard.position.z);
+      this.scene.add(light);
+      this.objects.hazards.push(light);
+    }
+  }
+  
   renderBuildings() {
     for (const building of this.mapData.buildings) {
       const buildingGroup = this.createBuilding(building);
@@ -242,11 +357,23 @@ export class MapRenderer {
     const buildingColor = new THREE.Color(building.color || this.area.theme.building);
     const buildingMat = new THREE.MeshLambertMaterial({ color: buildingColor });
     
+    // Collapsed buildings only keep the part that is still standing
+    let box = { x: 0, z: 0, width, depth };
+    if (building.standing) {
+      const s = building.standing;
+      box = {
+        x: (s.minX + s.maxX) / 2 - building.position.x,
+        z: (s.minZ + s.maxZ) / 2 - building.position.z,
+        width: s.maxX - s.minX,
+        depth: s.maxZ - s.minZ
+      };
+    }
+    
     const mainMesh = new THREE.Mesh(
-      new THREE.BoxGeometry(width, height, depth),
+      new THREE.BoxGeometry(box.width, height, box.depth),
       buildingMat
     );
-    mainMesh.position.y = height / 2;
+    mainMesh.position.set(box.x, height / 2, box.z);
     mainMesh.castShadow = true;
     mainMesh.receiveShadow = true;
     group.add(mainMesh);
@@ -302,30 +429,24 @@ export class MapRenderer {
       group.add(awning);
     }
     
-    // Rubble (for ruined buildings)
-    if (building.hasRubble) {
-      const rubbleCount = Math.floor(Math.random() * 5) + 3;
-      for (let i = 0; i < rubbleCount; i++) {
-        const rubble = new THREE.Mesh(
-          new THREE.BoxGeometry(
-            Math.random() * 2 + 0.5,
-            Math.random() * 1 + 0.3,
-            Math.random() * 2 + 0.5
-          ),
-          this.materials.concrete
-        );
-        rubble.position.set(
-          (Math.random() - 0.5) * width * 1.2,
-          0.2,
-          (Math.random() - 0.5) * depth * 1.2
-        );
-        rubble.rotation.set(
-          Math.random() * 0.3,
-          Math.random() * Math.PI,
-          Math.random() * 0.3
-        );
-        group.add(rubble);
-      }
+    // Smokestack (for factories)
+    if (building.hasSmokestack) {
+      const stackHeight = height + 8;
+      const stack = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.9, 1.2, stackHeight, 10),
+        this.materials.smokestack
+      );
+      stack.position.set(width * 0.3, stackHeight / 2, depth * 0.25);
+      stack.castShadow = true;
+      group.add(stack);
+    }
+    
+    // Broken facades (rubble itself comes through as map props)
+    if (building.collapse) {
+      this.addBrokenFacade(group, building, box, height);
+    }
+    if (building.brokenTop) {
+      this.addBrokenTop(group, box, height);
     }
     
     // Store building data for collision reference
@@ -340,6 +461,79 @@ export class MapRenderer {
     return group;
   }
   
+  // Place a block against one face of a building box. `along` runs across the
+  // face, `out` away from it; sizes follow the same axes.
+  addFacadeBlock(group, side, box, along, out, y, sizeAlong, sizeOut, height, material) {
+    const acrossX = side === 'front' || side === 'back';
+    const mesh = new THREE.Mesh(
+      new THREE.BoxGeometry(acrossX ? sizeAlong : sizeOut, height, acrossX ? sizeOut : sizeAlong),
+      material
+    );
+    switch (side) {
+      case 'front':
+        mesh.position.set(box.x + along, y, box.z - box.depth / 2 - out);
+        break;
+      case 'back':
+        mesh.position.set(box.x + along, y, box.z + box.depth / 2 + out);
+        break;
+      case 'left':
+        mesh.position.set(box.x - box.width / 2 - out, y, box.z + along);
+        break;
+      case 'right':
+        mesh.position.set(box.x + box.width / 2 + out, y, box.z + along);
+        break;
+    }
+    mesh.castShadow = true;
+    group.add(mesh);
+    return mesh;
+  }
+  
+  // Exposed side of a collapsed building: gutted floors, snapped slabs
+  // hanging out over the rubble and a ragged top edge
+  addBrokenFacade(group, building, box, height) {
+    const side = building.collapse.side;
+    const faceLength = side === 'front' || side === 'back' ? box.width : box.depth;
+    
+    this.addFacadeBlock(group, side, box, 0, 0.02, height / 2, faceLength * 0.92, 0.04, height * 0.95, this.materials.buildingDark);
+    
+    for (let y = 3.5; y < height; y += 3.5) {
+      if (Math.random() < 0.3) continue;
+      const length = faceLength * (0.3 + Math.random() * 0.6);
+      const along = (Math.random() - 0.5) * (faceLength - length);
+      const out = 0.5 + Math.random() * 2;
+      this.addFacadeBlock(group, side, box, along, out / 2, y, length, out, 0.3, this.materials.concrete);
+    }
+    
+    const chunks = Math.max(3, Math.floor(faceLength / 2));
+    for (let i = 0; i < chunks; i++) {
+      const along = -faceLength / 2 + (i + 0.5) * (faceLength / chunks);
+      const chunkHeight = 0.5 + Math.random() * 3;
+      this.addFacadeBlock(group, side, box, along, -0.4, height + chunkHeight / 2, faceLength / chunks * 0.8, 0.8, chunkHeight, this.materials.concrete);
+    }
+  }
+  
+  // Ragged crown of broken walls and bent rebar where upper floors are gone
+  addBrokenTop(group, box, height) {
+    const sides = ['front', 'back', 'left', 'right'];
+    for (const side of sides) {
+      const faceLength = side === 'front' || side === 'back' ? box.width : box.depth;
+      const chunks = Math.max(2, Math.floor(faceLength / 3));
+      for (let i = 0; i < chunks; i++) {
+        if (Math.random() < 0.35) continue;
+        const along = -faceLength / 2 + (i + 0.5) * (faceLength / chunks);
+        const chunkHeight = 0.5 + Math.random() * 4;
+        this.addFacadeBlock(group, side, box, along, -0.3, height + chunkHeight / 2, faceLength / chunks * 0.9, 0.6, chunkHeight, this.materials.concrete);
+      }
+    }
+    
+    for (let i = 0; i < 6; i++) {
+      const rebar = new THREE.Mesh(new THREE.CylinderGeometry(0.04, 0.04, 1.5 + Math.random() * 2, 4), this.materials.rust);
+      rebar.position.set(box.x + (Math.random() - 0.5) * box.width, height + 0.8, box.z + (Math.random() - 0.5) * box.depth);
+      rebar.rotation.set((Math.random() - 0.5) * 0.8, 0, (Math.random() - 0.5) * 0.8);
+      group.add(rebar);
+    }
+  }
+  
   renderOverpasses() {
     for (const overpass of this.mapData.overpasses) {
       const group = new THREE.Group();
@@ -411,6 +605,77 @@ export class MapRenderer {
     }
   }
   
+  getCeilingHeight() {
+    return (this.area.tunnels || this.area.arena)?.ceilingHeight || 4.5;
+  }
+  
+  // Underground areas: walls around the carved tunnels and rooms, a ceiling
+  // and flooded channels. Tunnel coordinates are whole units, so walls are
+  // drawn as one-unit blocks wherever rock touches open floor.
+  renderTunnels() {
+    const tunnels = this.mapData.tunnels || [];
+    if (tunnels.length === 0) return;
+    
+    const bounds = this.mapData.bounds;
+    const width = Math.ceil(bounds.maxX - bounds.minX);
+    const depth = Math.ceil(bounds.maxZ - bounds.minZ);
+    const height = this.getCeilingHeight();
+    
+    // Rasterize open floor
+    const open = new Uint8Array(width * depth);
+    for (const space of [...tunnels, ...(this.mapData.rooms || [])]) {
+      const b = space.bounds;
+      for (let x = Math.max(0, b.minX - bounds.minX); x < Math.min(width, b.maxX - bounds.minX); x++) {
+        for (let z = Math.max(0, b.minZ - bounds.minZ); z < Math.min(depth, b.maxZ - bounds.minZ); z++) {
+          open[z * width + x] = 1;
+        }
+      }
+    }
+    const isOpen = (x, z) => x >= 0 && x < width && z >= 0 && z < depth && open[z * width + x] === 1;
+    
+    const wallCells = [];
+    for (let x = 0; x < width; x++) {
+      for (let z = 0; z < depth; z++) {
+        if (isOpen(x, z)) continue;
+        // Diagonal neighbours too, so room corners are closed
+        let touchesOpen = false;
+        for (let dx = -1; dx <= 1 && !touchesOpen; dx++) {
+          for (let dz = -1; dz <= 1 && !touchesOpen; dz++) {
+            touchesOpen = isOpen(x + dx, z + dz);
+          }
+        }
+        if (touchesOpen) wallCells.push({ x, z });
+      }
+    }
+    
+    const walls = new THREE.InstancedMesh(new THREE.BoxGeometry(1, height, 1), this.materials.tunnelWall, wallCells.length);
+    const matrix = new THREE.Matrix4();
+    wallCells.forEach((cell, i) => {
+      matrix.makeTranslation(bounds.minX + cell.x + 0.5, height / 2, bounds.minZ + cell.z + 0.5);
+      walls.setMatrixAt(i, matrix);
+    });
+    walls.receiveShadow = true;
+    this.scene.add(walls);
+    this.objects.tunnels.push(walls);
+    
+    // Ceiling faces down over the whole map
+    const ceiling = new THREE.Mesh(new THREE.PlaneGeometry(width, depth), this.materials.ceiling);
+    ceiling.rotation.x = Math.PI / 2;
+    ceiling.position.set((bounds.minX + bounds.maxX) / 2, height, (bounds.minZ + bounds.maxZ) / 2);
+    this.scene.add(ceiling);
+    this.objects.tunnels.push(ceiling);
+    
+    // Water channels
+    for (const channel of this.mapData.waterChannels || []) {
+      const b = channel.bounds;
+      const water = new THREE.Mesh(new THREE.PlaneGeometry(b.maxX - b.minX, b.maxZ - b.minZ), this.materials.water);
+      water.rotation.x = -Math.PI / 2;
+      water.position.set((b.minX + b.maxX) / 2, 0.08, (b.minZ + b.maxZ) / 2);
+      this.scene.add(water);
+      this.objects.tunnels.push(water);
+    }
+  }
+  
   renderBarrelFires() {
     for (const fire of this.mapData.barrelFires) {
       const group = new THREE.Group();
@@ -475,6 +740,27 @@ export class MapRenderer {
         case 'glass_zone':
           propMesh = this.createGlassZone(prop);
           break;
+        case 'manhole':
+          propMesh = this.createManhole(prop);
+          break;
+        case 'shipping_container':
+          propMesh = this.createShippingContainer(prop);
+          break;
+        case 'crane':
+          propMesh = this.createCrane(prop);
+          break;
+        case 'rubble_pile':
+          propMesh = this.createRubblePile(prop);
+          break;
+        case 'crater':
+          propMesh = this.createCrater(prop);
+          break;
+        case 'pillar':
+          propMesh = this.createPillar(prop);
+          break;
+        case 'lift':
+          propMesh = this.createLift(prop);
+          break;
         default:
           continue;
       }
@@ -625,6 +911,219 @@ export class MapRenderer {
     return group;
   }
   
+  // Ladder up to a manhole in the tunnel ceiling; the exit lets daylight in
+  createManhole(prop) {
+    const group = new THREE.Group();
+    const height = this.getCeilingHeight();
+    
+    for (const side of [-0.3, 0.3]) {
+      const rail = new THREE.Mesh(new THREE.BoxGeometry(0.06, height, 0.06), this.materials.rust);
+      rail.position.set(side, height / 2, 0);
+      group.add(rail);
+    }
+    for (let y = 0.4; y < height; y += 0.45) {
+      const rung = new THREE.Mesh(new THREE.BoxGeometry(0.6, 0.04, 0.04), this.materials.rust);
+      rung.position.y = y;
+      group.add(rung);
+    }
+    
+    const shaft = new THREE.Mesh(new THREE.CylinderGeometry(0.7, 0.7, 0.3, 12), this.materials.metal);
+    shaft.position.y = height - 0.1;
+    group.add(shaft);
+    
+    if (prop.isExit) {
+      const beam = new THREE.Mesh(new THREE.CylinderGeometry(0.6, 1.2, height, 12, 1, true), this.materials.daylight);
+      beam.position.y = height / 2;
+      group.add(beam);
+      
+      const light = new THREE.PointLight(0xccddff, 0.8, 10);
+      light.position.y = height - 0.5;
+      group.add(light);
+    }
+    
+    return group;
+  }
+  
+  // Shipping container, corrugated sides suggested by ribs along its length
+  createShippingContainer(prop) {
+    const group = new THREE.Group();
+    const { width, depth } = prop.dimensions;
+    const height = prop.height;
+    const material = new THREE.MeshLambertMaterial({ color: prop.color || 0x8a3324 });
+    
+    const body = new THREE.Mesh(new THREE.BoxGeometry(width, height, depth), material);
+    body.position.y = height / 2;
+    body.castShadow = true;
+    body.receiveShadow = true;
+    group.add(body);
+    
+    const alongX = width >= depth;
+    const length = alongX ? width : depth;
+    for (let offset = -length / 2 + 0.5; offset < length / 2; offset += 1) {
+      const rib = new THREE.Mesh(
+        new THREE.BoxGeometry(alongX ? 0.08 : width + 0.06, height - 0.2, alongX ? depth + 0.06 : 0.08),
+        material
+      );
+      rib.position.set(alongX ? offset : 0, height / 2, alongX ? 0 : offset);
+      group.add(rib);
+    }
+    
+    return group;
+  }
+  
+  // Crane: a climbable concrete base with a lattice tower and jib above
+  createCrane(prop) {
+    const group = new THREE.Group();
+    const { width, depth } = prop.dimensions;
+    
+    const base = new THREE.Mesh(new THREE.BoxGeometry(width, prop.height, depth), this.materials.concrete);
+    base.position.y = prop.height / 2;
+    base.castShadow = true;
+    base.receiveShadow = true;
+    group.add(base);
+    
+    // Four legs of the tower, inset so there is room to stand on the base
+    const legSpan = width * 0.3;
+    for (const [lx, lz] of [[-1, -1], [-1, 1], [1, -1], [1, 1]]) {
+      const leg = new THREE.Mesh(
+        new THREE.BoxGeometry(0.2, prop.towerHeight, 0.2),
+        this.materials.craneSteel
+      );
+      leg.position.set(lx * legSpan, prop.height + prop.towerHeight / 2, lz * legSpan);
+      leg.castShadow = true;
+      group.add(leg);
+    }
+    
+    // Jib and counterweight pivot on top of the tower
+    const jib = new THREE.Group();
+    const arm = new THREE.Mesh(new THREE.BoxGeometry(prop.jibLength, 0.6, 0.6), this.materials.craneSteel);
+    arm.position.x = prop.jibLength / 2 - 3;
+    jib.add(arm);
+    
+    const counterweight = new THREE.Mesh(new THREE.BoxGeometry(2, 1.2, 1.4), this.materials.concrete);
+    counterweight.position.set(-3, -0.4, 0);
+    jib.add(counterweight);
+    
+    const cable = new THREE.Mesh(new THREE.CylinderGeometry(0.03, 0.03, prop.towerHeight * 0.6, 4), this.materials.metal);
+    cable.position.set(prop.jibLength - 4, -prop.towerHeight * 0.3, 0);
+    jib.add(cable);
+    
+    jib.position.y = prop.height + prop.towerHeight;
+    jib.rotation.y = prop.jibRotation || 0;
+    group.add(jib);
+    
+    return group;
+  }
+  
+  // Heap of broken concrete; big heaps block movement
+  createRubblePile(prop) {
+    const group = new THREE.Group();
+    
+    const mound = new THREE.Mesh(new THREE.ConeGeometry(prop.size / 2, prop.height, 7), this.materials.concrete);
+    mound.position.y = prop.height / 2;
+    mound.castShadow = true;
+    mound.receiveShadow = true;
+    group.add(mound);
+    
+    const chunks = 3 + Math.floor(prop.size);
+    for (let i = 0; i < chunks; i++) {
+      const chunkSize = 0.3 + Math.random() * prop.size * 0.25;
+      const chunk = new THREE.Mesh(
+        new THREE.BoxGeometry(chunkSize, chunkSize * 0.6, chunkSize * 0.8),
+        Math.random() < 0.3 ? this.materials.buildingDark : this.materials.concrete
+      );
+      const angle = Math.random() * Math.PI * 2;
+      const dist = Math.random() * prop.size * 0.45;
+      chunk.position.set(Math.cos(angle) * dist, chunkSize * 0.3 + (1 - dist / (prop.size / 2)) * prop.height * 0.5, Math.sin(angle) * dist);
+      chunk.rotation.set(Math.random(), Math.random() * Math.PI, Math.random());
+      chunk.castShadow = true;
+      group.add(chunk);
+    }
+    
+    return group;
+  }
+  
+  // Scorched blast crater
+  createCrater(prop) {
+    const group = new THREE.Group();
+    
+    const floor = new THREE.Mesh(new THREE.CircleGeometry(prop.radius, 20), this.materials.crater);
+    floor.rotation.x = -Math.PI / 2;
+    floor.position.y = 0.03;
+    group.add(floor);
+    
+    const rim = new THREE.Mesh(new THREE.TorusGeometry(prop.radius, 0.35, 5, 20), this.materials.concrete);
+    rim.rotation.x = -Math.PI / 2;
+    rim.position.y = 0.05;
+    rim.scale.z = 0.5;
+    group.add(rim);
+    
+    return group;
+  }
+  
+  // Square concrete column holding up the arena roof
+  createPillar(prop) {
+    const group = new THREE.Group();
+    
+    const column = new THREE.Mesh(new THREE.BoxGeometry(prop.size, prop.height, prop.size), this.materials.tunnelWall);
+    column.position.y = prop.height / 2;
+    column.castShadow = true;
+    column.receiveShadow = true;
+    group.add(column);
+    
+    // Rusted footing where the water has eaten at it
+    const footing = new THREE.Mesh(new THREE.BoxGeometry(prop.size + 0.3, 0.6, prop.size + 0.3), this.materials.rust);
+    footing.position.y = 0.3;
+    group.add(footing);
+    
+    return group;
+  }
+  
+  // Freight lift cage with its gate facing the arena. The signal lamp turns
+  // green when the lift starts running (see activateEscapeZone).
+  createLift(prop) {
+    const group = new THREE.Group();
+    const size = prop.size;
+    const height = prop.height;
+    
+    // Kept below the escape zone marker
+    const floor = new THREE.Mesh(new THREE.BoxGeometry(size, 0.04, size), this.materials.metal);
+    floor.position.y = 0.02;
+    group.add(floor);
+    
+    for (const x of [-size / 2, size / 2]) {
+      for (const z of [-size / 2, size / 2]) {
+        const post = new THREE.Mesh(new THREE.BoxGeometry(0.2, height, 0.2), this.materials.rust);
+        post.position.set(x, height / 2, z);
+        group.add(post);
+      }
+    }
+    
+    // Bars on the back and sides; the front is the open gate
+    for (let t = -size / 2 + 0.5; t < size / 2; t += 0.5) {
+      const back = new THREE.Mesh(new THREE.BoxGeometry(0.05, height, 0.05), this.materials.metal);
+      back.position.set(t, height / 2, -size / 2);
+      group.add(back);
+      for (const x of [-size / 2, size / 2]) {
+        const side = new THREE.Mesh(new THREE.BoxGeometry(0.05, height, 0.05), this.materials.metal);
+        side.position.set(x, height / 2, t);
+        group.add(side);
+      }
+    }
+    
+    const lamp = new THREE.Mesh(new THREE.SphereGeometry(0.2, 8, 8), new THREE.MeshBasicMaterial({ color: 0xff2200 }));
+    lamp.name = 'liftLamp';
+    lamp.position.set(0, height - 0.5, size / 2);
+    group.add(lamp);
+    
+    const light = new THREE.PointLight(0xff2200, 0.8, 10);
+    light.name = 'liftLight';
+    light.position.set(0, height - 0.8, size / 2 - 0.5);
+    group.add(light);
+    
+    return group;
+  }
+  
   createDumpster(prop) {
     const group = new THREE.Group();
     
@@ -765,6 +1264,22 @@ export class MapRenderer {
           );
           mesh.position.y = 0.2;
           break;
+        case 'weapon_cache': {
+          // Lamp on the lid stays red until the building is cleared
+          mesh = new THREE.Mesh(
+            new THREE.BoxGeometry(1.4, 0.7, 0.8),
+            new THREE.MeshLambertMaterial({ color: 0x3a4a2a })
+          );
+          mesh.position.y = 0.35;
+          const lamp = new THREE.Mesh(
+            new THREE.SphereGeometry(0.08, 8, 8),
+            new THREE.MeshBasicMaterial({ color: container.locked ? 0xff3322 : 0x33ff55 })
+          );
+          lamp.name = 'cacheLamp';
+          lamp.position.y = 0.4;
+          mesh.add(lamp);
+          break;
+        }
         case 'car_trunk':
           // Just a marker - car is already rendered
           mesh = new THREE.Mesh(
@@ -789,6 +1304,7 @@ export class MapRenderer {
         containerId: container.id,
         containerType: container.type,
         looted: container.looted,
+        locked: container.locked || false,
         loot: container.loot
       };
       
@@ -883,6 +1399,12 @@ export class MapRenderer {
         obj.userData.active = true;
       }
     }
+    
+    for (const prop of this.objects.props) {
+      if (prop.userData.type !== 'lift') continue;
+      prop.getObjectByName('liftLamp').material.color.set(0x33ff55);
+      prop.getObjectByName('liftLight').color.set(0x33ff55);
+    }
   }
   
   updateLootContainer(containerId, looted) {
@@ -897,6 +1419,14 @@ export class MapRenderer {
     }
   }
   
+  unlockLootContainer(containerId) {
+    const container = this.objects.lootContainers.find(c => c.userData.containerId === containerId);
+    if (!container || !container.userData.locked) return;
+    container.userData.locked = false;
+    const lamp = container.getObjectByName('cacheLamp');
+    if (lamp) lamp.material.color.set(0x33ff55);
+  }
+  
   breakGlassZone(glassId) {
     const glass = this.objects.props.find(p => p.userData.glassId === glassId);
     if (glass) {
@@ -953,6 +1483,10 @@ export class MapRenderer {
     removeGroup(this.objects.sidewalks);
     removeGroup(this.objects.buildings);
     removeGroup(this.objects.overpasses);
+    removeGroup(this.objects.tunnels);
+    removeGroup(this.objects.rails);
+    removeGroup(this.objects.fences);
+    removeGroup(this.objects.hazards);
     removeGroup(this.objects.props);
     removeGroup(this.objects.barrelFires);
     removeGroup(this.objects.lootContainers);
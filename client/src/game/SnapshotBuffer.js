@@ -0,0 +1,116 @@
+// SnapshotBuffer.js - Buffered entity states for smooth remote movement
+// Place in: client/src/game/SnapshotBuffer.js
+//
+// Entities are rendered slightly in the past (interpolationDelay) so there is
+// nearly always a snapshot on either side to blend between. When packets stop
+// arriving, positions are extrapolated along the last velocity for a short while.
+
+// Shortest-path blend between two angles
+function lerpAngle(a, b, t) {
+  let diff = b - a;
+  while (diff > Math.PI) diff -= Math.PI * 2;
+  while (diff < -Math.PI) diff += Math.PI * 2;
+  return a + diff * t;
+}
+
+export class SnapshotBuffer {
+  constructor({ interpolationDelay = 100, maxExtrapolation = 150, maxSnapshots = 30 } = {}) {
+    this.interpolationDelay = interpolationDelay;
+    this.maxExtrapolation = maxExtrapolation;
+    this.maxSnapshots = maxSnapshots;
+    
+    this.snapshots = []; // [{ time, entities: Map(id -> { x, y, z, rotation }) }], oldest first
+    this.clockOffset = null; // serverTime - local time
+  }
+  
+  // entities: iterable of { id, position, rotation } where rotation is a number
+  // or an object with a yaw
+  push(serverTime, entities) {
+    const last = this.snapshots[this.snapshots.length - 1];
+    if (last && serverTime <= last.time) return;
+    
+    // Track the fastest-arriving packet; drift slowly when the link gets slower
+    const offset = serverTime - Date.now();
+    if (this.clockOffset === null || offset > this.clockOffset) {
+      this.clockOffset = offset;
+    } else {
+      this.clockOffset += (offset - this.clockOffset) * 0.01;
+    }
+    
+    const states = new Map();
+    for (const entity of entities) {
+      const rotation = typeof entity.rotation === 'number' ? entity.rotation : (entity.rotation?.yaw || 0);
+      states.set(entity.id, { x: entity.position.x, y: entity.position.y || 0, z: entity.position.z, rotation });
+    }
+    
+    this.snapshots.push({ time: serverTime, entities: states });
+    if (this.snapshots.length > this.maxSnapshots) this.snapshots.shift();
+  }
+  
+  getRenderTime() {
+    return Date.now() + (this.clockOffset || 0) - this.interpolationDelay;
+  }
+  
+  // Interpolated { x, y, z, rotation } for an entity, or null if it is unknown
+  sample(id, renderTime = this.getRenderTime()) {
+    const snapshots = this.snapshots;
+    
+    // Find the newest snapshot at or before renderTime that has this entity
+    let fromIndex = -1;
+    for (let i = snapshots.length - 1; i >= 0; i--) {
+      if (snapshots[i].time <= renderTime && snapshots[i].entities.has(id)) {
+        fromIndex = i;
+        break;
+      }
+    }
+    
+    // Newly spawned - nothing old enough yet, use its earliest known state
+    if (fromIndex === -1) {
+      for (const snapshot of snapshots) {
+        if (snapshot.entities.has(id)) return { ...snapshot.entities.get(id) };
+      }
+      return null;
+    }
+    
+    const from = snapshots[fromIndex];
+    const fromState = from.entities.get(id);
+    
+    // Interpolate towards the next snapshot that has this entity
+    for (let i = fromIndex + 1; i < snapshots.length; i++) {
+      const to = snapshots[i];
+      const toState = to.entities.get(id);
+      if (!toState) continue;
+      
+      const t = (renderTime - from.time) / (to.time - from.time);
+      return {
+        x: fromState.x + (toState.x - fromState.x) * t,
+        y: fromState.y + (toState.y - fromState.y) * t,
+        z: fromState.z + (toState.z - fromState.z) * t,
+        rotation: lerpAngle(fromState.rotation, toState.rotation, t)
+      };
+    }
+    
+    // Ran out of snapshots - extrapolate briefly from the last known velocity
+    for (let i = fromIndex - 1; i >= 0; i--) {
+      const prev = snapshots[i];
+      const prevState = prev.entities.get(id);
+      if (!prevState) continue;
+      
+      const ahead = Math.min(renderTime - from.time, this.maxExtrapolation);
+      const t = ahead / (from.time - prev.time);
+      return {
+        x: fromState.x + (fromState.x - prevState.x) * t,
+        y: fromState.y + (fromState.y - prevState.y) * t,
+        z: fromState.z + (fromState.z - prevState.z) * t,
+        rotation: fromState.rotation
+      };
+    }
+    
+    return { ...fromState };
+  }
+  
+  clear() {
+    this.snapshots = [];
+    this.clockOffset = null;
+  }
+}
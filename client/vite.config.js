@@ -1,11 +1,26 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { fileURLToPath } from 'url'
 
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    alias: {
+      // Definitions shared with the server (see /shared). They are CommonJS
+      // for Node and imported here only for their side effects: the
+      // production build leaves their require calls unresolved and can run
+      // them with a stand-in module object, so every shared module also
+      // publishes on window whether or not module.exports exists, and
+      // components read the definitions back off window.
+      '@shared': fileURLToPath(new URL('../shared', import.meta.url))
+    }
+  },
   server: {
     port: 3000,
     host: true,
+    fs: {
+      allow: ['..']
+    },
     proxy: {
       '/socket.io': {
         target: 'http://localhost:3001',
@@ -3,8 +3,17 @@
 
 const { v4: uuidv4 } = require('uuid');
 const MapManager = require('./MapManager');
-const CollisionSystem = require('./CollisionSystem');
+const CollisionSystem = require('../../shared/collision/CollisionSystem');
 const PathfindingSystem = require('./PathfindingSystem');
+const SnapshotManager = require('./SnapshotManager');
+const SpatialGrid = require('./SpatialGrid');
+const StatusEffectSystem = require('./StatusEffectSystem');
+const { WEAPON_STATS, WEAPON_PERK_MODIFIERS } = require('../../shared/config/WeaponStats');
+const { ITEMS, AMMO_BOXES, INVENTORY } = require('../../shared/config/Items');
+const Inventory = require('../../shared/inventory/Inventory');
+const { RECIPES, CRAFTING } = require('../../shared/config/Recipes');
+const { STATUS_EFFECTS } = require('../../shared/config/StatusEffects');
+const { PLAYER_MOVEMENT, MOVEMENT_PERK_MODIFIERS, getMoveDirection, drainSprintEnergy, recoverEnergy } = require('../../shared/config/PlayerMovement');
 
 // Name generation data
 const FIRST_NAMES_MALE = [
@@ -42,26 +51,28 @@ const LEVEL_CONFIG = [
   { name: 'Industrial Wasteland', areaId: 'industrial_wasteland', maxEnemies: 18, spawnRate: 120, killsToAdvance: 60, isMilestone: true },
   { name: 'The Camps', areaId: 'the_camps', maxEnemies: 20, spawnRate: 100, killsToAdvance: 90, isMilestone: false },
   { name: 'Downtown Ruins', areaId: 'downtown_ruins', maxEnemies: 25, spawnRate: 80, killsToAdvance: 130, isMilestone: false },
-  { name: 'The Depths', areaId: 'the_depths', maxEnemies: 30, spawnRate: 60, killsToAdvance: 999, isMilestone: true }
+  // The last area has no kill target; it ends with the scripted boss fight (see updateFinale)
+  { name: 'The Depths', areaId: 'the_depths', maxEnemies: 30, spawnRate: 60, killsToAdvance: null, isMilestone: false, isFinal: true }
 ];
 
+// inflicts: status effect (see StatusEffects.js) a hit gives the player, with its chance
 const ENEMY_TYPES = {
   normal: { 
     health: 30, speed: 0.04, damage: 8, 
-    spawnWeight: 50, headMultiplier: 2 
+    spawnWeight: 50, headMultiplier: 2, inflicts: { effect: 'infection', chance: 0.1 } 
   },
   runner: { 
     health: 15, speed: 0.075, damage: 6, 
-    spawnWeight: 25, headMultiplier: 2.5 
+    spawnWeight: 25, headMultiplier: 2.5, inflicts: { effect: 'infection', chance: 0.1 } 
   },
   brute: { 
     health: 90, speed: 0.025, damage: 16, 
-    spawnWeight: 15, headMultiplier: 1.5 
+    spawnWeight: 15, headMultiplier: 1.5, inflicts: { effect: 'bleeding', chance: 1 } 
   },
   thrower: { 
     health: 22, speed: 0.035, damage: 15, 
     spawnWeight: 10, headMultiplier: 2, 
-    ranged: true, throwCooldown: 180, throwRange: 20 
+    ranged: true, throwCooldown: 180, throwRange: 20, inflicts: { effect: 'bleeding', chance: 1 } 
   },
   boss: { 
     health: 300, speed: 0.03, damage: 25, 
@@ -71,19 +82,101 @@ const ENEMY_TYPES = {
 
 const PICKUP_TYPES = {
   consumables: ['food', 'medicine', 'ammo', 'blanket', 'water'],
-  weapons: ['pistol', 'shotgun', 'smg', 'rifle', 'bat', 'pipe']
+  weapons: ['pistol', 'shotgun', 'smg', 'rifle', 'bat', 'pipe'],
+  materials: ['cloth', 'scrap_metal', 'duct_tape', 'alcohol', 'bottle']
 };
 
-const WEAPON_STATS = {
-  knife: { damage: 35, type: 'melee' },
-  bat: { damage: 50, type: 'melee' },
-  pipe: { damage: 45, type: 'melee' },
-  pistol: { damage: 25, type: 'ranged' },
-  shotgun: { damage: 15, type: 'ranged', pellets: 6 },
-  smg: { damage: 12, type: 'ranged' },
-  rifle: { damage: 45, type: 'ranged' }
+// How far from a pickup or loot container a player can reach it, and how far
+// ahead of the player dropped items land (clear of the client's walk-over pickup)
+const PICKUP_REACH = {
+  collect: 3,
+  drop: 2
 };
 
+// Reviving means holding E next to a downed player or ally for holdTime ms
+// (halved by the Medic perk). Clients start from 2 units away; the rest of
+// range, like tolerance on the hold, is slack for latency.
+const REVIVE = {
+  range: 3,
+  holdTime: 5000,
+  tolerance: 0.9
+};
+
+// Environmental damage, applied server-side from server-known positions.
+// Intervals are in server ticks (30 per second).
+const ENVIRONMENT_DAMAGE = {
+  fire: { damage: 5, interval: 15, minWarmthFactor: 0.8 },
+  glass: { damage: 4 },
+  toxic: { damage: 3, interval: 15 },
+  fall: { minDrop: 2, damagePerUnit: 5 } // Height dropped in one move, in world units
+};
+
+// Attacks spend a weapon's cooldown from a per-player budget in milliseconds
+// that refills in real time. Banking up to bankedAttacks cooldowns lets a shot
+// that arrives early, after one delayed by jitter, still go through.
+const ATTACK_BUDGET = {
+  tolerance: 1.1, // Slack on refill versus real time
+  bankedAttacks: 2
+};
+
+// Rejections that honest clients trip now and then; counted but not logged
+const ROUTINE_REJECTIONS = ['rate_limited', 'speed_limit'];
+
+// How far sounds carry. Hostile enemies in range come to investigate;
+// neutral residents in range turn hostile.
+const NOISE_RADIUS = {
+  gunshot: 35,
+  glass: 15
+};
+
+// Camp residents ambling around their camp until provoked
+const NEUTRAL_BEHAVIOR = {
+  wanderSpeed: 0.3, // Fraction of normal speed
+  retargetChance: 0.01 // Per tick chance of picking a new spot
+};
+
+// Once the first player is aboard, everyone else has this long (server ticks)
+// to reach the extraction point before it leaves
+const EXTRACTION = {
+  countdown: 60 * 30
+};
+
+// Friendly NPCs: rescued survivors and bots filling empty squad slots. They
+// follow a leader player and shoot at enemies they can see. A rescued survivor
+// waits in its interior until someone reaches it, then follows until escorted
+// to the extraction point. Distances in world units, speed per tick, times in ticks.
+const ALLY = {
+  squadSize: 4, // Bots fill the squad up to this many
+  health: 80,
+  downedTime: 900,
+  reviveHealth: 30,
+  contactRadius: 3,
+  followDistance: 3,
+  speed: 0.2,
+  weapon: 'pistol',
+  damage: 15,
+  fireRange: 20,
+  fireCooldown: 30
+};
+
+// Interest management: what each player gets replicated.
+// Entities inside alwaysRadius are always sent; out to radius they need line of sight.
+const RELEVANCE = {
+  radius: 60,
+  alwaysRadius: 15,
+  cellSize: 16,
+  lineOfSight: ['enemies', 'pickups'] // Bullets and projectiles only use the radius
+};
+
+// Round network values to centimetres so tiny float drift doesn't show up in deltas
+function quantize(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function quantizePosition(pos) {
+  return { x: quantize(pos.x), y: quantize(pos.y || 0), z: quantize(pos.z) };
+}
+
 class GameState {
   constructor(gameId, lobbyPlayers) {
     this.gameId = gameId;
@@ -97,38 +190,40 @@ class GameState {
     // Difficulty scaling based on player count
     this.difficultyMult = 1 + (this.playerCount - 1) * 0.3;
     
-    // Initialize map manager with procedural generation
-    const levelConfig = this.getLevelConfig();
-    this.mapManager = new MapManager(levelConfig.areaId || 'skid_row', this.worldSeed);
-    this.mapData = this.mapManager.generate();
+    // Generate the first area's map, collision and pathfinding
+    this.pathfindingSystem = null;
+    this.loadArea(this.getLevelConfig().areaId);
     
-    // Initialize collision system
-    this.collisionSystem = new CollisionSystem(this.mapManager);
+    // Per-client delta snapshots
+    this.snapshotManager = new SnapshotManager();
     
-    // Initialize pathfinding system
-    this.pathfindingSystem = new PathfindingSystem(this.mapManager);
+    // Replicated entities by location, rebuilt each tick
+    this.interestGrid = new SpatialGrid(RELEVANCE.cellSize);
+    
+    // Effect damage goes through the same paths as any other hit
+    this.statusEffects = new StatusEffectSystem({
+      damage: (entity, amount, effect) => this.handleEffectDamage(entity, amount, effect),
+      heal: (entity, amount) => {
+        if (!entity.isDowned) entity.health = Math.min(entity.maxHealth, entity.health + amount);
+      }
+    });
     
     // Initialize players
     this.players = new Map();
-    const spawnPoints = this.mapData.spawnPoints.players;
-    
     lobbyPlayers.forEach((p, index) => {
-      const spawnPoint = spawnPoints[index % spawnPoints.length];
       this.players.set(p.id, {
         id: p.id,
         name: p.name,
-        position: {
-          x: spawnPoint.x + (Math.random() - 0.5) * 2,
-          y: 1.6,
-          z: spawnPoint.z + (Math.random() - 0.5) * 2
-        },
+        position: this.getPlayerSpawnPosition(index),
         rotation: { yaw: 0, pitch: 0 },
         health: 100,
         maxHealth: 100,
         hunger: 100,
         warmth: 100,
         energy: 100,
-        ammo: 30,
+        staminaDelay: 0, // Seconds until energy starts recovering after a sprint
+        inventory: Inventory.createStarting(),
+        crafting: null, // { recipeId, progress, origin } while a craft is under way
         score: 0,
         kills: 0,
         headshots: 0,
@@ -136,18 +231,32 @@ class GameState {
         revives: 0,
         alive: true,
         isDowned: false,
+        statusEffects: [],
         downedTimer: 0,
-        weapons: ['knife', null],
-        activeSlot: 0,
+        lastAttackAt: 0,
+        attackBudget: 0,
+        reviving: null, // { targetId, startedAt } while holding E over a downed teammate
+        lastInputAt: Date.now(),
+        inputBudget: 0,
+        lastProcessedInput: 0,
+        connected: true,
+        disconnectedAt: null,
         perks: [],
         color: this.getPlayerColor(index),
-        isInsideBuilding: false
+        isInsideBuilding: false,
+        escaped: false,
+        spectating: null // Player watched after escaping
       });
     });
     
-    // Initialize enemies
+    // Enemies are spawned once the area state is set up
     this.enemies = new Map();
-    this.spawnInitialEnemies();
+    
+    // Friendly NPCs, with bots standing in for missing players
+    this.allies = new Map();
+    for (let i = this.playerCount; i < ALLY.squadSize; i++) {
+      this.spawnAlly('bot', this.getPlayerSpawnPosition(i));
+    }
     
     // Initialize pickups
     this.pickups = new Map();
@@ -159,6 +268,9 @@ class GameState {
     // Projectiles (thrown by enemies)
     this.projectiles = new Map();
     
+    // Fires started by thrown molotovs
+    this.fires = new Map();
+    
     // Pings
     this.pings = [];
     
@@ -166,41 +278,27 @@ class GameState {
     this.bossSpawned = false;
     this.bossKilled = false;
     
+    // Set when the run ends by extraction: { reason, victory }
+    this.outcome = null;
+    
     // Chat messages (combat log + player chat)
     this.chatMessages = [];
     
-    // Objectives tracking
-    this.objectives = {
-      items: new Map(), // itemId -> { collected: false, collectedBy: null }
-      escapeActive: false
-    };
-    
-    // Initialize objectives from map data
-    for (const obj of this.mapData.objectives) {
-      if (obj.type === 'collect') {
-        this.objectives.items.set(obj.id, { collected: false, collectedBy: null });
-      }
-    }
+    // Events raised during a tick, drained and emitted by the server loop
+    this.events = [];
     
-    // Glass zones state (synced with map data)
-    this.glassZones = new Map();
-    for (const prop of this.mapData.props) {
-      if (prop.type === 'glass_zone') {
-        this.glassZones.set(prop.id, { broken: false });
-      }
-    }
+    // Rejected client actions per player (playerId -> { total, reasons })
+    this.rejectedActions = new Map();
     
-    // Loot containers state
-    this.lootContainers = new Map();
-    for (const container of this.mapData.lootContainers) {
-      this.lootContainers.set(container.id, { looted: false, loot: container.loot });
-    }
+    // Objectives, glass and loot container state for the current map
+    this.initAreaState();
+    this.spawnInitialEnemies();
     
     console.log(`[GameState] Created game ${gameId} with seed ${this.worldSeed}`);
     console.log(`[GameState] Map: ${this.mapManager.area.name}, Players: ${this.playerCount}`);
   }
 
-  // Generate a random identity for an enemy
+  // Generate a random identity for an enemy or ally
   generateEnemyIdentity() {
     const isMale = Math.random() > 0.5;
     const firstName = isMale 
@@ -229,6 +327,135 @@ class GameState {
     return LEVEL_CONFIG[Math.min(this.level - 1, LEVEL_CONFIG.length - 1)];
   }
 
+  // ============================================
+  // AREA SETUP
+  // ============================================
+
+  // Generate an area and rebuild everything that depends on its layout
+  loadArea(areaId) {
+    if (this.pathfindingSystem) {
+      this.pathfindingSystem.shutdown();
+    }
+    
+    // Each level gets its own layout from the game's seed
+    this.mapManager = new MapManager(areaId || 'skid_row', this.worldSeed + this.level - 1);
+    this.mapData = this.mapManager.generate();
+    
+    this.collisionSystem = new CollisionSystem(this.mapManager.collisionGrid, this.mapManager.toClientData());
+    this.pathfindingSystem = new PathfindingSystem(this.mapManager);
+  }
+
+  // Per-map state that is rebuilt whenever the area changes
+  initAreaState() {
+    // Objectives tracking
+    this.objectives = {
+      items: new Map(), // itemId -> { collected: false, collectedBy: null }
+      optional: new Map(), // objectiveId -> { status, ... }
+      escapeActive: false
+    };
+    
+    // Initialize objectives from map data
+    for (const obj of this.mapData.objectives) {
+      if (obj.type === 'collect') {
+        this.objectives.items.set(obj.id, { collected: false, collectedBy: null });
+      } else if (obj.type === 'rescue') {
+        const position = this.collisionSystem.findNearestWalkable(obj.position.x, obj.position.z) || obj.position;
+        const allyId = this.spawnAlly('survivor', position, obj.id);
+        this.objectives.optional.set(obj.id, { status: 'waiting', allyId }); // waiting, following, rescued, failed
+      } else if (obj.type === 'clear_building') {
+        // remaining is counted once the occupants have actually spawned
+        this.objectives.optional.set(obj.id, { status: 'occupied', remaining: 0 }); // occupied, cleared
+      }
+    }
+    
+    // Glass zones state (synced with map data)
+    this.glassZones = new Map();
+    for (const prop of this.mapData.props) {
+      if (prop.type === 'glass_zone') {
+        this.glassZones.set(prop.id, { broken: false });
+      }
+    }
+    
+    // Loot containers state
+    this.lootContainers = new Map();
+    for (const container of this.mapData.lootContainers) {
+      this.lootContainers.set(container.id, { looted: false, loot: container.loot, locked: container.locked || false });
+    }
+    
+    // Extraction countdown, started when the first player is aboard
+    this.extraction = null;
+    
+    // Scripted boss encounter, for areas that have one
+    this.finale = this.mapManager.area.finale
+      ? { state: 'dormant', bossId: null, phase: 0 } // dormant, active, defeated
+      : null;
+  }
+
+  getPlayerSpawnPosition(index) {
+    const spawnPoints = this.mapData.spawnPoints.players;
+    const spawnPoint = spawnPoints[index % spawnPoints.length];
+    return {
+      x: spawnPoint.x + (Math.random() - 0.5) * 2,
+      y: 1.6,
+      z: spawnPoint.z + (Math.random() - 0.5) * 2
+    };
+  }
+
+  // Move the whole game to a new area. Players keep their stats, weapons and
+  // perks; everything on the old map is discarded.
+  transitionToArea(areaId) {
+    this.loadArea(areaId);
+    
+    this.enemies.clear();
+    this.pickups.clear();
+    this.bullets.clear();
+    this.projectiles.clear();
+    this.fires.clear();
+    this.pings = [];
+    
+    let index = 0;
+    for (const player of this.players.values()) {
+      player.position = this.getPlayerSpawnPosition(index++);
+      player.isInsideBuilding = false;
+      player.crafting = null;
+      player.inputBudget = 0;
+      player.lastInputAt = Date.now();
+      // Nobody can still be aboard an extraction from the old map
+      player.escaped = false;
+      player.spectating = null;
+    }
+    
+    // Allies come along and get back on their feet; survivors not yet
+    // brought out are left behind
+    for (const [id, ally] of this.allies) {
+      if (ally.state !== 'fighting') {
+        this.allies.delete(id);
+        continue;
+      }
+      const spawn = this.getPlayerSpawnPosition(index++);
+      ally.position = { x: spawn.x, y: 0, z: spawn.z };
+      if (ally.isDowned) {
+        ally.isDowned = false;
+        ally.health = ALLY.reviveHealth;
+      }
+    }
+    
+    this.initAreaState();
+    this.spawnInitialEnemies();
+    this.spawnInitialPickups();
+    
+    this.queueEvent('levelTransition', {
+      level: this.level,
+      levelName: this.getLevelName(),
+      mapData: this.getMapData(),
+      players: this.getPlayersData(),
+      objectives: this.getObjectivesData(),
+      lootContainers: this.getLootContainersData()
+    });
+    
+    console.log(`[GameState] Game ${this.gameId} moved to ${this.mapManager.area.name} (level ${this.level})`);
+  }
+
   getLevelName() {
     return this.getLevelConfig().name;
   }
@@ -243,6 +470,87 @@ class GameState {
     for (let i = 0; i < initialCount; i++) {
       this.spawnEnemy();
     }
+    
+    this.spawnCampResidents();
+    this.spawnBuildingOccupants();
+  }
+
+  // Neutral residents for each camp zone in the area
+  spawnCampResidents() {
+    for (const camp of this.mapData.camps || []) {
+      for (let i = 0; i < camp.residents; i++) {
+        const angle = Math.random() * Math.PI * 2;
+        const dist = Math.random() * camp.radius * 0.7;
+        const position = this.collisionSystem.findNearestWalkable(
+          camp.position.x + Math.cos(angle) * dist,
+          camp.position.z + Math.sin(angle) * dist
+        );
+        if (!position) continue;
+        
+        this.spawnEnemy(null, { position, disposition: 'neutral', camp });
+      }
+    }
+  }
+
+  // Enemies holed up at each building that has to be cleared
+  spawnBuildingOccupants() {
+    for (const objective of this.mapData.objectives) {
+      if (objective.type !== 'clear_building') continue;
+      
+      let spawned = 0;
+      for (let i = 0; i < objective.occupants; i++) {
+        const angle = Math.random() * Math.PI * 2;
+        const dist = Math.random() * 3;
+        const position = this.collisionSystem.findNearestWalkable(
+          objective.position.x + Math.cos(angle) * dist,
+          objective.position.z + Math.sin(angle) * dist
+        );
+        if (!position) continue;
+        
+        this.spawnEnemy(null, {
+          position,
+          guarding: objective.id,
+          home: { x: objective.position.x, z: objective.position.z, radius: 4 }
+        });
+        spawned++;
+      }
+      this.objectives.optional.get(objective.id).remaining = spawned;
+    }
+  }
+
+  // kind 'bot' joins the fight straight away; kind 'survivor' waits at the
+  // rescue objective objectiveId. Returns the ally's id.
+  spawnAlly(kind, position, objectiveId = null) {
+    const id = uuidv4();
+    
+    this.allies.set(id, {
+      id,
+      kind,
+      name: this.generateEnemyIdentity().fullName,
+      objectiveId,
+      position: { x: position.x, y: 0, z: position.z },
+      rotation: 0,
+      health: ALLY.health,
+      maxHealth: ALLY.health,
+      isDowned: false,
+      downedTimer: 0,
+      state: kind === 'survivor' ? 'waiting' : 'fighting', // waiting, following, fighting
+      leaderId: null,
+      fireCooldown: 0,
+      lastPathRequest: 0,
+      stuckTimer: 0
+    });
+    
+    return id;
+  }
+
+  // Residents don't count against the spawn cap until they turn hostile
+  countHostileEnemies() {
+    let count = 0;
+    for (const enemy of this.enemies.values()) {
+      if (enemy.disposition !== 'neutral') count++;
+    }
+    return count;
   }
 
   spawnInitialPickups() {
@@ -281,7 +589,11 @@ class GameState {
     return 'normal';
   }
 
-  spawnEnemy(forceType = null) {
+  // options.position overrides the spawn point; options.disposition 'neutral'
+  // with options.camp makes a resident that ignores players until provoked.
+  // options.home keeps an enemy near a spot until it aggroes; options.guarding
+  // ties it to a clear_building objective.
+  spawnEnemy(forceType = null, options = {}) {
     const type = forceType || this.selectEnemyType();
     const typeData = ENEMY_TYPES[type];
     const id = uuidv4();
@@ -291,11 +603,11 @@ class GameState {
     
     // Get player positions for spawn calculation
     const playerPositions = Array.from(this.players.values())
-      .filter(p => p.alive)
+      .filter(p => p.alive && !p.escaped)
       .map(p => p.position);
     
     // Find spawn position using map manager
-    const spawnPos = this.mapManager.getEnemySpawnPosition(playerPositions, 25, 80);
+    let spawnPos = options.position || this.mapManager.getEnemySpawnPosition(playerPositions, 25, 80);
     
     if (!spawnPos) {
       // Fallback to simple spawn if map manager can't find position
@@ -325,8 +637,13 @@ class GameState {
       ranged: typeData.ranged || false,
       throwRange: typeData.throwRange || 0,
       isBoss: typeData.isBoss || false,
+      disposition: options.disposition || 'hostile', // hostile, neutral
+      campId: options.camp ? options.camp.id : null,
+      home: options.camp ? { x: options.camp.position.x, z: options.camp.position.z, radius: options.camp.radius } : options.home || null,
+      guarding: options.guarding || null,
       aggroed: false,
       targetPlayerId: null,
+      statusEffects: [],
       // Pathfinding state
       pathfindingState: 'idle', // idle, chasing, patrolling, waiting
       patrolTarget: null,
@@ -347,7 +664,6 @@ class GameState {
   }
 
   spawnPickup(category = 'consumable') {
-    const id = uuidv4();
     let type;
     
     if (category === 'weapon') {
@@ -357,6 +673,8 @@ class GameState {
         if (rareIndex > -1) weapons.splice(rareIndex, 1);
       }
       type = weapons[Math.floor(Math.random() * weapons.length)];
+    } else if (category === 'material') {
+      type = PICKUP_TYPES.materials[Math.floor(Math.random() * PICKUP_TYPES.materials.length)];
     } else {
       type = PICKUP_TYPES.consumables[Math.floor(Math.random() * PICKUP_TYPES.consumables.length)];
     }
@@ -378,81 +696,316 @@ class GameState {
       position = { x: 0, y: 0.5, z: 0 };
     }
     
-    this.pickups.set(id, {
-      id,
+    return this.addPickup(type, position).id;
+  }
+
+  // Put an item on the ground. A generic 'ammo' drop becomes a box of one
+  // ammo family.
+  addPickup(type, position, quantity = 1) {
+    if (type === 'ammo') {
+      type = this.pickWeighted(AMMO_BOXES);
+      quantity = AMMO_BOXES[type].quantity;
+    }
+    
+    const pickup = {
+      id: uuidv4(),
       type,
-      position,
+      quantity,
+      position: { x: position.x, y: 0.5, z: position.z },
       rotation: 0
-    });
-    
-    return id;
+    };
+    this.pickups.set(pickup.id, pickup);
+    return pickup;
+  }
+
+  // Key from a table of { key: { weight } }
+  pickWeighted(table) {
+    const entries = Object.entries(table);
+    let roll = Math.random() * entries.reduce((sum, [, entry]) => sum + entry.weight, 0);
+    for (const [key, entry] of entries) {
+      roll -= entry.weight;
+      if (roll <= 0) return key;
+    }
+    return entries[entries.length - 1][0];
   }
 
   // ============================================
   // PLAYER ACTIONS
   // ============================================
 
-  handlePlayerInput(playerId, input) {
+  // Run a batch of numbered input commands from the client. The client
+  // predicts the same movement and replays anything newer than lastProcessedInput.
+  handlePlayerInputs(playerId, inputs) {
     const player = this.players.get(playerId);
-    if (!player || !player.alive) return;
-    
-    if (input.position) {
-      // Validate movement with collision system
-      const newPos = this.collisionSystem.movePlayer(player.position, input.position);
-      
-      // Clamp to map bounds
-      const clamped = this.collisionSystem.clampToMap(newPos.x, newPos.z);
-      player.position = {
-        x: clamped.x,
-        y: input.position.y || player.position.y,
-        z: clamped.z
-      };
+    if (!player || !Array.isArray(inputs)) return;
+    
+    // Simulated time may not outrun real time by more than the tolerance
+    const now = Date.now();
+    const elapsed = (now - player.lastInputAt) / 1000;
+    player.lastInputAt = now;
+    player.inputBudget = Math.min(
+      player.inputBudget + elapsed * PLAYER_MOVEMENT.tolerance,
+      PLAYER_MOVEMENT.maxBudgetSeconds * PLAYER_MOVEMENT.tolerance
+    );
+    
+    if (inputs.length > PLAYER_MOVEMENT.maxInputsPerPacket) {
+      this.rejectAction(playerId, 'move', 'too_many_inputs');
+      inputs = inputs.slice(-PLAYER_MOVEMENT.maxInputsPerPacket);
+    }
+    
+    let budgetExceeded = false;
+    for (const input of inputs) {
+      if (!input || !Number.isInteger(input.seq) || input.seq <= player.lastProcessedInput) continue;
+      player.lastProcessedInput = input.seq;
+      
+      let dt = Number.isFinite(input.dt) ? Math.max(0, Math.min(input.dt, PLAYER_MOVEMENT.maxInputDt)) : 0;
+      if (dt > player.inputBudget) {
+        budgetExceeded = true;
+        dt = player.inputBudget;
+      }
+      player.inputBudget -= dt;
       
-      // Check if player is inside a building
-      const interior = this.collisionSystem.isInInterior(player.position.x, player.position.z);
-      player.isInsideBuilding = !!interior;
-      player.currentInterior = interior ? interior.id : null;
+      if (player.alive && !player.escaped) this.applyMovementInput(player, input, dt);
+    }
+    
+    if (budgetExceeded) this.rejectAction(playerId, 'move', 'speed_limit');
+  }
+
+  applyMovementInput(player, input, dt) {
+    if (Number.isFinite(input.yaw) && Number.isFinite(input.pitch)) {
+      player.rotation = { yaw: input.yaw, pitch: input.pitch };
+    }
+    
+    const moveX = Math.sign(input.moveX) || 0;
+    const moveZ = Math.sign(input.moveZ) || 0;
+    if ((moveX === 0 && moveZ === 0) || dt === 0) return;
+    
+    // Sprint is only a request; energy and exhaustion decide whether it happens
+    let speed = this.getPlayerMoveSpeed(player);
+    if (input.sprint && !player.isDowned && player.energy > 0 && !this.statusEffects.blocks(player, 'sprint')) {
+      speed *= PLAYER_MOVEMENT.sprintMultiplier;
+      drainSprintEnergy(player, dt);
+    }
+    
+    const direction = getMoveDirection(moveX, moveZ, player.rotation.yaw);
+    const previousY = player.position.y;
+    const newPos = this.collisionSystem.movePlayer(player.position, {
+      x: player.position.x + direction.x * speed * dt,
+      z: player.position.z + direction.z * speed * dt
+    });
+    
+    // Clamp to map bounds
+    const clamped = this.collisionSystem.clampToMap(newPos.x, newPos.z);
+    player.position = {
+      x: clamped.x,
+      y: newPos.y, // Higher when standing on a container
+      z: clamped.z
+    };
+    
+    this.checkFallDamage(player, previousY);
+    
+    // Check if player is inside a building
+    const interior = this.collisionSystem.isInInterior(player.position.x, player.position.z);
+    player.isInsideBuilding = !!interior;
+    player.currentInterior = interior ? interior.id : null;
+  }
+
+  // Base movement speed for a player after downed state and perks
+  getPlayerMoveSpeed(player) {
+    if (player.isDowned) return PLAYER_MOVEMENT.downedSpeed;
+    
+    let speed = PLAYER_MOVEMENT.walkSpeed;
+    for (const perk of player.perks) {
+      if (MOVEMENT_PERK_MODIFIERS[perk.id]) speed *= MOVEMENT_PERK_MODIFIERS[perk.id];
+    }
+    return speed;
+  }
+
+  // Check an attack request against the shared weapon table.
+  // Returns a rejection reason, or null if the attack is allowed.
+  validateAttack(player, weapon, type, direction) {
+    const stats = WEAPON_STATS[weapon];
+    
+    if (!player.alive || player.isDowned) return 'player_incapacitated';
+    if (player.escaped) return 'player_escaped';
+    if (!stats) return 'unknown_weapon';
+    if (!player.inventory.count(weapon)) return 'weapon_not_owned';
+    if (stats.type !== type) return 'wrong_weapon_type';
+    
+    if (!direction || !Number.isFinite(direction.x) || !Number.isFinite(direction.y) || !Number.isFinite(direction.z)) {
+      return 'invalid_direction';
+    }
+    
+    if (this.getAttackBudget(player, stats) < stats.cooldown) return 'rate_limited';
+    
+    if (stats.ammoType && player.inventory.count(stats.ammoType) < (stats.ammo || 1)) return 'no_ammo';
+    
+    return null;
+  }
+
+  // Attack budget in ms as of now, capped at a few of this weapon's cooldowns
+  getAttackBudget(player, stats) {
+    const refill = (Date.now() - player.lastAttackAt) * ATTACK_BUDGET.tolerance;
+    return Math.min(player.attackBudget + refill, stats.cooldown * ATTACK_BUDGET.bankedAttacks);
+  }
+
+  spendAttack(player, stats) {
+    player.attackBudget = this.getAttackBudget(player, stats) - stats.cooldown;
+    player.lastAttackAt = Date.now();
+  }
+
+  // Damage for a weapon after the player's perks are applied
+  getWeaponDamage(player, weapon) {
+    const stats = WEAPON_STATS[weapon];
+    let damage = stats.damage;
+    
+    for (const perk of player.perks) {
+      const modifier = WEAPON_PERK_MODIFIERS[perk.id];
+      if (!modifier) continue;
+      damage *= (modifier.all || 1) * (modifier[stats.type] || 1);
+    }
+    
+    return damage;
+  }
+
+  rejectAction(playerId, action, reason) {
+    const player = this.players.get(playerId);
+    
+    let record = this.rejectedActions.get(playerId);
+    if (!record) {
+      record = { total: 0, reasons: {} };
+      this.rejectedActions.set(playerId, record);
     }
+    record.total++;
+    record.reasons[reason] = (record.reasons[reason] || 0) + 1;
+    
+    if (ROUTINE_REJECTIONS.includes(reason)) return;
+    console.warn(`[GameState] Rejected ${action} from ${player ? player.name : 'unknown'} (${playerId}): ${reason} [${record.total} total]`);
+  }
+
+  // Fire the player's weapon. Returns the created bullets (one per pellet).
+  createBullet(playerId, direction, weapon) {
+    const player = this.players.get(playerId);
+    if (!player) return [];
     
-    if (input.rotation) {
-      player.rotation = input.rotation;
+    const rejection = this.validateAttack(player, weapon, 'ranged', direction);
+    if (rejection) {
+      this.rejectAction(playerId, 'playerShoot', rejection);
+      return [];
     }
     
-    if (input.stats) {
-      if (input.stats.energy !== undefined) player.energy = input.stats.energy;
-      // Warmth is now calculated server-side based on position
+    const stats = WEAPON_STATS[weapon];
+    this.spendAttack(player, stats);
+    player.inventory.remove(stats.ammoType, stats.ammo || 1);
+    
+    const damage = this.getWeaponDamage(player, weapon);
+    const length = Math.sqrt(direction.x * direction.x + direction.y * direction.y + direction.z * direction.z) || 1;
+    const bullets = [];
+    
+    for (let i = 0; i < (stats.pellets || 1); i++) {
+      const dir = {
+        x: direction.x / length,
+        y: direction.y / length,
+        z: direction.z / length
+      };
+      
+      if (stats.spread) {
+        dir.x += (Math.random() - 0.5) * stats.spread;
+        dir.y += (Math.random() - 0.5) * stats.spread;
+        const spreadLength = Math.sqrt(dir.x * dir.x + dir.y * dir.y + dir.z * dir.z);
+        dir.x /= spreadLength;
+        dir.y /= spreadLength;
+        dir.z /= spreadLength;
+      }
+      
+      const id = uuidv4();
+      const bullet = {
+        id,
+        ownerId: playerId,
+        weapon,
+        damage,
+        origin: { ...player.position },
+        range: stats.range,
+        position: { ...player.position },
+        velocity: {
+          x: dir.x * 1.5,
+          y: dir.y * 1.5,
+          z: dir.z * 1.5
+        },
+        createdAt: Date.now()
+      };
+      
+      this.bullets.set(id, bullet);
+      bullets.push(bullet);
     }
+    
+    this.makeNoise(player.position, NOISE_RADIUS.gunshot);
+    
+    return bullets;
   }
 
-  createBullet(playerId, position, direction, weapon, damage) {
+  // Throw a molotov: it flies until it hits a wall or runs out of range and
+  // starts a fire where it lands. Returns the fire, or null.
+  throwWeapon(playerId, direction, weapon) {
     const player = this.players.get(playerId);
     if (!player) return null;
     
+    const rejection = this.validateAttack(player, weapon, 'thrown', direction);
+    if (rejection) {
+      this.rejectAction(playerId, 'throwWeapon', rejection);
+      return null;
+    }
+    
+    const stats = WEAPON_STATS[weapon];
+    this.spendAttack(player, stats);
+    player.inventory.remove(stats.ammoType, stats.ammo || 1);
+    
+    const length = Math.sqrt(direction.x * direction.x + direction.z * direction.z) || 1;
+    const step = { x: direction.x / length * 0.5, z: direction.z / length * 0.5 };
+    const position = { x: player.position.x, y: 0, z: player.position.z };
+    for (let travelled = 0; travelled < stats.range; travelled += 0.5) {
+      if (this.collisionSystem.blocksProjectile(position.x + step.x, 1, position.z + step.z)) break;
+      position.x += step.x;
+      position.z += step.z;
+    }
+    
     const id = uuidv4();
-    const bullet = {
+    const fire = {
       id,
       ownerId: playerId,
-      weapon: weapon || 'pistol',
-      damage: damage || WEAPON_STATS[weapon]?.damage || 25,
-      position: { ...position },
-      velocity: {
-        x: direction.x * 1.5,
-        y: direction.y * 1.5,
-        z: direction.z * 1.5
-      },
-      createdAt: Date.now()
+      weapon,
+      position,
+      radius: stats.radius,
+      inflicts: stats.inflicts,
+      ticksLeft: stats.burnTime
     };
+    this.fires.set(id, fire);
+    this.makeNoise(position, NOISE_RADIUS.glass);
     
-    this.bullets.set(id, bullet);
-    return bullet;
+    return fire;
   }
 
-  handleMeleeAttack(playerId, position, direction, weapon, damage, range) {
+  handleMeleeAttack(playerId, direction, weapon) {
     const player = this.players.get(playerId);
     if (!player) return [];
     
+    const rejection = this.validateAttack(player, weapon, 'melee', direction);
+    if (rejection) {
+      this.rejectAction(playerId, 'meleeAttack', rejection);
+      return [];
+    }
+    
+    this.spendAttack(player, WEAPON_STATS[weapon]);
+    
+    const range = WEAPON_STATS[weapon].range;
+    const damage = this.getWeaponDamage(player, weapon);
+    const position = player.position;
     const hits = [];
     
+    // Only the facing on the ground counts, not the length the client sent
+    const facing = Math.sqrt(direction.x * direction.x + direction.z * direction.z) || 1;
+    const aim = { x: direction.x / facing, z: direction.z / facing };
+    
     for (const [enemyId, enemy] of this.enemies) {
       const dx = enemy.position.x - position.x;
       const dz = enemy.position.z - position.z;
@@ -460,18 +1013,18 @@ class GameState {
       
       if (dist > range) continue;
       
-      // Check if enemy is in front of player (within ~90 degree cone)
-      const enemyDir = { x: dx / dist, z: dz / dist };
-      const dot = direction.x * enemyDir.x + direction.z * enemyDir.z;
+      // Check if enemy is in front of player (within ~90 degree cone); one
+      // standing right on top of the player is hit whichever way they face
+      const dot = dist < 0.01 ? 1 : (aim.x * dx + aim.z * dz) / dist;
       
       if (dot > 0.3) { // Roughly 70 degree cone
-        const actualDamage = damage;
-        enemy.health -= actualDamage;
-        player.damageDealt += actualDamage;
+        this.provokeEnemy(enemy);
+        enemy.health -= damage;
+        player.damageDealt += damage;
         
         hits.push({
           enemyId,
-          damage: actualDamage,
+          damage,
           isHeadshot: false,
           position: enemy.position
         });
@@ -486,29 +1039,290 @@ class GameState {
   }
 
   // ============================================
-  // DAMAGE & DEATH
+  // INVENTORY
   // ============================================
 
-  handleBulletHit(bulletId, enemyId, isHeadshot = false) {
-    const bullet = this.bullets.get(bulletId);
-    const enemy = this.enemies.get(enemyId);
+  // Take what fits of a pickup the player is standing at.
+  // Returns { type, quantity } taken, or null.
+  collectPickup(playerId, pickupId) {
+    const player = this.players.get(playerId);
+    const pickup = this.pickups.get(pickupId);
+    if (!player || !pickup || !player.alive || player.escaped) return null;
+    
+    const dx = pickup.position.x - player.position.x;
+    const dz = pickup.position.z - player.position.z;
+    if (dx * dx + dz * dz > PICKUP_REACH.collect * PICKUP_REACH.collect) {
+      this.rejectAction(playerId, 'pickupCollected', 'out_of_reach');
+      return null;
+    }
     
-    if (!bullet || !enemy) return null;
+    // Stockpile perk stretches each box of ammo
+    const boost = ITEMS[pickup.type]?.category === 'ammo' && player.perks.some(p => p.id === 'ammo_boost') ? 1.25 : 1;
+    const amount = Math.ceil(pickup.quantity * boost);
     
-    const player = this.players.get(bullet.ownerId);
+    // Full pockets: it stays on the ground
+    const added = player.inventory.add(pickup.type, amount);
+    if (added === 0) return null;
     
-    let damage = bullet.damage;
-    if (isHeadshot) {
-      damage *= enemy.headMultiplier || 2;
-      if (player) {
-        player.headshots++;
-        const headshotPerk = player.perks.find(p => p.id === 'headshot_boost');
-        if (headshotPerk) {
-          damage *= 1.25;
+    // What's left on the ground is counted in unboosted rounds
+    pickup.quantity -= Math.min(pickup.quantity, Math.ceil(added / boost));
+    if (pickup.quantity === 0) this.pickups.delete(pickupId);
+    
+    return { type: pickup.type, quantity: added };
+  }
+
+  // Returns a rejection reason, or null if the player may touch that slot
+  validateInventoryAction(player, slot) {
+    if (!player.alive || player.isDowned) return 'player_incapacitated';
+    if (player.escaped) return 'player_escaped';
+    if (!player.inventory.isValidSlot(slot)) return 'invalid_slot';
+    if (!player.inventory.slots[slot]) return 'empty_slot';
+    return null;
+  }
+
+  // Eat, drink or medicate from a slot. Returns { item, effect } or null.
+  useItem(playerId, slot) {
+    const player = this.players.get(playerId);
+    if (!player) return null;
+    
+    let rejection = this.validateInventoryAction(player, slot);
+    const item = rejection ? null : player.inventory.slots[slot].item;
+    if (item && !ITEMS[item].use) rejection = 'not_usable';
+    if (rejection) {
+      this.rejectAction(playerId, 'useItem', rejection);
+      return null;
+    }
+    
+    player.inventory.takeFromSlot(slot, 1);
+    const effect = ITEMS[item].use;
+    for (const [stat, amount] of Object.entries(effect)) {
+      const max = stat === 'health' ? player.maxHealth : 100;
+      player[stat] = Math.min(max, player[stat] + amount);
+    }
+    for (const effectId of ITEMS[item].cures || []) {
+      this.statusEffects.cure(player, effectId);
+    }
+    
+    return { item, effect };
+  }
+
+  // Bandage a bleeding teammate within reach, downed or not. Returns true if done.
+  bandagePlayer(playerId, targetId) {
+    const player = this.players.get(playerId);
+    const target = this.players.get(targetId);
+    if (!player) return false;
+    
+    let rejection = null;
+    if (!player.alive || player.isDowned) rejection = 'player_incapacitated';
+    else if (player.escaped) rejection = 'player_escaped';
+    else if (!target || targetId === playerId || !target.alive || target.escaped) rejection = 'invalid_target';
+    else if (!this.statusEffects.has(target, 'bleeding')) rejection = 'not_bleeding';
+    else if (!player.inventory.count('bandage')) rejection = 'missing_item';
+    if (!rejection) {
+      const dx = target.position.x - player.position.x;
+      const dz = target.position.z - player.position.z;
+      if (dx * dx + dz * dz > INVENTORY.giveRange * INVENTORY.giveRange) rejection = 'out_of_reach';
+    }
+    if (rejection) {
+      this.rejectAction(playerId, 'bandagePlayer', rejection);
+      return false;
+    }
+    
+    player.inventory.remove('bandage', 1);
+    this.statusEffects.cure(target, 'bleeding');
+    this.queueEvent('playerBandaged', { playerId: targetId, playerName: target.name, medicId: playerId, medicName: player.name });
+    
+    return true;
+  }
+
+  // Drop some or all of a slot on the ground just ahead of the player.
+  // Returns the new pickup, or null.
+  dropItem(playerId, slot, quantity) {
+    const player = this.players.get(playerId);
+    if (!player) return null;
+    
+    let rejection = this.validateInventoryAction(player, slot);
+    if (!rejection && quantity !== undefined && (!Number.isInteger(quantity) || quantity < 1)) {
+      rejection = 'invalid_quantity';
+    }
+    if (rejection) {
+      this.rejectAction(playerId, 'dropItem', rejection);
+      return null;
+    }
+    
+    const taken = player.inventory.takeFromSlot(slot, quantity ?? player.inventory.slots[slot].quantity);
+    const forward = getMoveDirection(0, -1, player.rotation.yaw || 0);
+    const position = this.collisionSystem.findNearestWalkable(
+      player.position.x + forward.x * PICKUP_REACH.drop,
+      player.position.z + forward.z * PICKUP_REACH.drop
+    ) || player.position;
+    
+    return this.addPickup(taken.item, position, taken.quantity);
+  }
+
+  // Move a slot onto another, merging stacks of the same item
+  swapItem(playerId, from, to) {
+    const player = this.players.get(playerId);
+    if (!player) return false;
+    
+    let rejection = this.validateInventoryAction(player, from);
+    if (!rejection && (!player.inventory.isValidSlot(to) || to === from)) rejection = 'invalid_slot';
+    if (rejection) {
+      this.rejectAction(playerId, 'swapItem', rejection);
+      return false;
+    }
+    
+    player.inventory.swap(from, to);
+    return true;
+  }
+
+  // Hand some or all of a slot to a nearby teammate, as much as they can carry.
+  // Returns { item, quantity, targetName } given, or null.
+  giveItem(playerId, targetId, slot, quantity) {
+    const player = this.players.get(playerId);
+    const target = this.players.get(targetId);
+    if (!player) return null;
+    
+    let rejection = this.validateInventoryAction(player, slot);
+    if (!rejection && quantity !== undefined && (!Number.isInteger(quantity) || quantity < 1)) {
+      rejection = 'invalid_quantity';
+    }
+    if (!rejection && (!target || targetId === playerId || !target.alive || target.escaped)) {
+      rejection = 'invalid_target';
+    }
+    if (!rejection) {
+      const dx = target.position.x - player.position.x;
+      const dz = target.position.z - player.position.z;
+      if (dx * dx + dz * dz > INVENTORY.giveRange * INVENTORY.giveRange) rejection = 'out_of_reach';
+    }
+    
+    let added = 0;
+    const stack = rejection ? null : player.inventory.slots[slot];
+    if (stack) {
+      added = target.inventory.add(stack.item, Math.min(quantity ?? stack.quantity, stack.quantity));
+      if (added === 0) rejection = 'target_full';
+    }
+    if (rejection) {
+      this.rejectAction(playerId, 'giveItem', rejection);
+      return null;
+    }
+    
+    const given = player.inventory.takeFromSlot(slot, added);
+    this.queueEvent('itemReceived', { fromName: player.name, item: given.item, quantity: given.quantity }, targetId);
+    
+    return { ...given, targetName: target.name };
+  }
+
+  // ============================================
+  // CRAFTING
+  // ============================================
+
+  // Returns a rejection reason, or null if the player could craft the recipe right now
+  validateCrafting(player, recipeId) {
+    const recipe = RECIPES[recipeId];
+    if (!player.alive || player.isDowned) return 'player_incapacitated';
+    if (player.escaped) return 'player_escaped';
+    if (!recipe) return 'unknown_recipe';
+    for (const [item, quantity] of Object.entries(recipe.ingredients)) {
+      if (player.inventory.count(item) < quantity) return 'missing_ingredients';
+    }
+    if (recipe.station === 'fire' && !this.collisionSystem.getNearbyBarrelFire(player.position.x, player.position.z)) {
+      return 'no_station';
+    }
+    return null;
+  }
+
+  // Start crafting. Ingredients are only used up once the time has passed.
+  startCrafting(playerId, recipeId) {
+    const player = this.players.get(playerId);
+    if (!player) return false;
+    
+    let rejection = this.validateCrafting(player, recipeId);
+    if (!rejection && player.crafting) rejection = 'already_crafting';
+    if (rejection) {
+      this.rejectAction(playerId, 'startCrafting', rejection);
+      return false;
+    }
+    
+    player.crafting = { recipeId, progress: 0, origin: { x: player.position.x, z: player.position.z } };
+    return true;
+  }
+
+  cancelCrafting(playerId) {
+    const player = this.players.get(playerId);
+    if (player) this.interruptCrafting(player, 'cancelled');
+  }
+
+  interruptCrafting(player, reason) {
+    if (!player.crafting) return;
+    
+    this.queueEvent('craftingInterrupted', { recipeId: player.crafting.recipeId, reason }, player.id);
+    player.crafting = null;
+  }
+
+  updateCrafting() {
+    for (const player of this.players.values()) {
+      // Disconnected players are frozen, their craft with them
+      const crafting = player.crafting;
+      if (!crafting || !player.connected) continue;
+      
+      const dx = player.position.x - crafting.origin.x;
+      const dz = player.position.z - crafting.origin.z;
+      if (dx * dx + dz * dz > CRAFTING.interruptDistance * CRAFTING.interruptDistance) {
+        this.interruptCrafting(player, 'moved');
+        continue;
+      }
+      
+      // Ingredients given away or a fire left behind since starting
+      const rejection = this.validateCrafting(player, crafting.recipeId);
+      if (rejection) {
+        this.interruptCrafting(player, rejection);
+        continue;
+      }
+      
+      crafting.progress++;
+      const recipe = RECIPES[crafting.recipeId];
+      if (crafting.progress < recipe.time) continue;
+      
+      for (const [item, quantity] of Object.entries(recipe.ingredients)) {
+        player.inventory.remove(item, quantity);
+      }
+      
+      // Whatever doesn't fit lands at the player's feet
+      const { item, quantity } = recipe.output;
+      const added = player.inventory.add(item, quantity);
+      if (added < quantity) this.addPickup(item, player.position, quantity - added);
+      
+      player.crafting = null;
+      this.queueEvent('craftingCompleted', { recipeId: crafting.recipeId, item, quantity }, player.id);
+    }
+  }
+
+  // ============================================
+  // DAMAGE & DEATH
+  // ============================================
+
+  handleBulletHit(bulletId, enemyId, isHeadshot = false) {
+    const bullet = this.bullets.get(bulletId);
+    const enemy = this.enemies.get(enemyId);
+    
+    if (!bullet || !enemy) return null;
+    
+    const player = this.players.get(bullet.ownerId);
+    
+    let damage = bullet.damage;
+    if (isHeadshot) {
+      damage *= enemy.headMultiplier || 2;
+      if (player) {
+        player.headshots++;
+        const headshotPerk = player.perks.find(p => p.id === 'headshot_boost');
+        if (headshotPerk) {
+          damage *= 1.25;
         }
       }
     }
     
+    this.provokeEnemy(enemy);
     enemy.health -= damage;
     if (player) {
       player.damageDealt += damage;
@@ -534,6 +1348,9 @@ class GameState {
     
     const killer = this.players.get(killerId);
     
+    // Allies shoot too; they show up by name in the kill feed
+    const ally = killer ? null : this.allies.get(killerId);
+    
     // Award score and kills
     if (killer) {
       const baseScore = enemy.isBoss ? 500 : 50;
@@ -545,7 +1362,7 @@ class GameState {
     this.totalKills++;
     
     // Create kill message for chat
-    const killerName = killer ? killer.name : 'Unknown';
+    const killerName = killer ? killer.name : ally ? ally.name : 'Unknown';
     const identity = enemy.identity;
     const killMessage = {
       id: uuidv4(),
@@ -567,6 +1384,9 @@ class GameState {
     if (enemy.isBoss) {
       this.bossKilled = true;
     }
+    if (this.finale && enemyId === this.finale.bossId) {
+      this.endFinale();
+    }
     
     // Clear pathfinding for this enemy
     this.pathfindingSystem.clearPath(enemyId);
@@ -576,23 +1396,16 @@ class GameState {
     
     // Chance to spawn pickup at death location
     if (Math.random() < 0.2) {
-      const pickupId = uuidv4();
-      const type = Math.random() < 0.3 
-        ? PICKUP_TYPES.weapons[Math.floor(Math.random() * PICKUP_TYPES.weapons.length)]
-        : PICKUP_TYPES.consumables[Math.floor(Math.random() * PICKUP_TYPES.consumables.length)];
-      
-      this.pickups.set(pickupId, {
-        id: pickupId,
-        type,
-        position: { x: enemy.position.x, y: 0.5, z: enemy.position.z },
-        rotation: 0
-      });
+      const roll = Math.random();
+      const pool = roll < 0.25 ? PICKUP_TYPES.weapons : roll < 0.6 ? PICKUP_TYPES.materials : PICKUP_TYPES.consumables;
+      
+      this.addPickup(pool[Math.floor(Math.random() * pool.length)], enemy.position);
     }
   }
 
   handlePlayerDamage(playerId, damage, sourcePosition, sourceType) {
     const player = this.players.get(playerId);
-    if (!player || !player.alive || player.isDowned) return null;
+    if (!player || !player.alive || player.isDowned || player.escaped) return null;
     
     // Apply perks
     const defensePerk = player.perks.find(p => p.id === 'defense_boost');
@@ -601,6 +1414,8 @@ class GameState {
     }
     
     player.health -= damage;
+    // Damage over time from status effects doesn't break concentration
+    if (!STATUS_EFFECTS[sourceType]) this.interruptCrafting(player, 'damaged');
     
     if (player.health <= 0) {
       player.health = 0;
@@ -608,6 +1423,21 @@ class GameState {
       player.downedTimer = 900; // 15 seconds at 60fps
     }
     
+    if (player.isDowned) {
+      this.queueEvent('playerDowned', {
+        playerId,
+        playerName: player.name
+      });
+    } else {
+      this.queueEvent('playerDamaged', {
+        playerId,
+        damage,
+        sourcePosition,
+        sourceType,
+        currentHealth: player.health
+      }, playerId);
+    }
+    
     return {
       damage,
       health: player.health,
@@ -617,14 +1447,88 @@ class GameState {
     };
   }
 
-  revivePlayer(reviverId, targetId) {
+  handleAllyDamage(allyId, damage, sourcePosition) {
+    const ally = this.allies.get(allyId);
+    if (!ally || ally.isDowned) return null;
+    
+    ally.health -= damage;
+    
+    if (ally.health <= 0) {
+      ally.health = 0;
+      ally.isDowned = true;
+      ally.downedTimer = ALLY.downedTime;
+      this.pathfindingSystem.clearPath(allyId);
+      this.queueEvent('allyDowned', { allyId, allyName: ally.name });
+    }
+    
+    return { damage, health: ally.health, isDowned: ally.isDowned, sourcePosition };
+  }
+
+  // A downed ally nobody got to in time. A survivor lost before reaching
+  // extraction fails its rescue.
+  handleAllyDeath(allyId) {
+    const ally = this.allies.get(allyId);
+    if (!ally) return;
+    
+    this.allies.delete(allyId);
+    this.pathfindingSystem.clearPath(allyId);
+    
+    const rescue = ally.objectiveId ? this.objectives.optional.get(ally.objectiveId) : null;
+    if (rescue && rescue.status !== 'rescued') {
+      rescue.status = 'failed';
+      this.addSystemMessage(`💀 ${ally.name} didn't make it. The rescue failed.`);
+    } else {
+      this.addSystemMessage(`💀 ${ally.name} didn't make it.`);
+    }
+  }
+
+  // Returns a rejection reason, or null if reviver can reach a downed targetId
+  validateRevive(reviver, targetId) {
+    const target = this.players.get(targetId) || this.allies.get(targetId);
+    if (!reviver.alive || reviver.isDowned) return 'player_incapacitated';
+    if (reviver.escaped) return 'player_escaped';
+    if (!target || !target.isDowned) return 'invalid_target';
+    
+    const dx = target.position.x - reviver.position.x;
+    const dz = target.position.z - reviver.position.z;
+    if (dx * dx + dz * dz > REVIVE.range * REVIVE.range) return 'out_of_reach';
+    return null;
+  }
+
+  // The reviver started holding E over targetId; revivePlayer finishes it
+  startRevive(reviverId, targetId) {
     const reviver = this.players.get(reviverId);
-    const target = this.players.get(targetId);
+    if (!reviver) return false;
     
-    if (!reviver || !target || !reviver.alive || !target.isDowned) return false;
+    const rejection = this.validateRevive(reviver, targetId);
+    if (rejection) {
+      this.rejectAction(reviverId, 'startRevive', rejection);
+      return false;
+    }
     
+    reviver.reviving = { targetId, startedAt: Date.now() };
+    return true;
+  }
+
+  // targetId may be a downed player or ally, which the reviver has to have
+  // been holding E over for the whole revive time
+  revivePlayer(reviverId, targetId) {
+    const reviver = this.players.get(reviverId);
+    if (!reviver) return false;
+    
+    const holdTime = REVIVE.holdTime * (reviver.perks.some(p => p.id === 'revive_boost') ? 0.5 : 1);
+    let rejection = this.validateRevive(reviver, targetId);
+    if (!rejection && (!reviver.reviving || reviver.reviving.targetId !== targetId)) rejection = 'not_started';
+    else if (!rejection && Date.now() - reviver.reviving.startedAt < holdTime * REVIVE.tolerance) rejection = 'too_soon';
+    reviver.reviving = null;
+    if (rejection) {
+      this.rejectAction(reviverId, 'revivePlayer', rejection);
+      return false;
+    }
+    
+    const target = this.players.get(targetId) || this.allies.get(targetId);
     target.isDowned = false;
-    target.health = 30;
+    target.health = this.allies.has(targetId) ? ALLY.reviveHealth : 30;
     target.downedTimer = 0;
     reviver.revives++;
     reviver.score += 100;
@@ -646,7 +1550,7 @@ class GameState {
     const effectiveSpawnRate = Math.floor(config.spawnRate / this.difficultyMult);
     if (this.frameCount % effectiveSpawnRate === 0) {
       const maxEnemies = Math.floor(config.maxEnemies * this.difficultyMult);
-      if (this.enemies.size < maxEnemies) {
+      if (this.countHostileEnemies() < maxEnemies) {
         this.spawnEnemy();
       }
     }
@@ -659,7 +1563,8 @@ class GameState {
     // Spawn pickups
     const pickupRate = 300 - this.level * 15;
     if (this.frameCount % pickupRate === 0 && this.pickups.size < 12 + this.playerCount * 2) {
-      this.spawnPickup(Math.random() < 0.1 ? 'weapon' : 'consumable');
+      const roll = Math.random();
+      this.spawnPickup(roll < 0.1 ? 'weapon' : roll < 0.35 ? 'material' : 'consumable');
     }
     
     // Update pathfinding system
@@ -668,20 +1573,42 @@ class GameState {
     // Update enemies AI
     this.updateEnemies();
     
+    // Allies following players or fighting alongside them
+    this.updateAllies();
+    
     // Update bullets
     this.updateBullets();
     
     // Update projectiles
     this.updateProjectiles();
     
+    // Molotov fires
+    this.updateFires();
+    
+    // Crafts in progress
+    this.updateCrafting();
+    
+    // Bleeding, hypothermia and the rest
+    this.updateStatusEffects();
+    
     // Update player survival stats
     this.updatePlayerStats();
     
+    // Fire and broken glass damage
+    this.updateEnvironmentalHazards();
+    
     // Update downed players
     this.updateDownedPlayers();
     
     // Check objectives
     this.updateObjectives();
+    this.updateOptionalObjectives();
+    
+    // Final boss encounter
+    this.updateFinale();
+    
+    // Players aboard the extraction and its countdown
+    this.updateExtraction();
     
     // Rotate pickups
     for (const pickup of this.pickups.values()) {
@@ -693,18 +1620,26 @@ class GameState {
     
     // Check level up
     this.checkLevelUp();
+    
+    // Index entities for per-player snapshots
+    this.updateInterestGrid();
   }
 
   updateEnemies() {
     const currentTime = Date.now();
     
     for (const [enemyId, enemy] of this.enemies) {
-      // Find nearest alive, non-downed player
-      let nearestPlayer = null;
+      if (enemy.disposition === 'neutral') {
+        this.updateNeutralEnemy(enemy);
+        continue;
+      }
+      
+      // Find nearest alive, non-downed player or ally in the fight
+      let target = null;
       let nearestDist = Infinity;
       
       for (const player of this.players.values()) {
-        if (!player.alive || player.isDowned) continue;
+        if (!player.alive || player.isDowned || !player.connected || player.escaped) continue;
         
         const dx = player.position.x - enemy.position.x;
         const dz = player.position.z - enemy.position.z;
@@ -712,26 +1647,45 @@ class GameState {
         
         if (dist < nearestDist) {
           nearestDist = dist;
-          nearestPlayer = player;
+          target = player;
+        }
+      }
+      
+      for (const ally of this.allies.values()) {
+        if (ally.isDowned || ally.state === 'waiting') continue;
+        
+        const dx = ally.position.x - enemy.position.x;
+        const dz = ally.position.z - enemy.position.z;
+        const dist = Math.sqrt(dx * dx + dz * dz);
+        
+        if (dist < nearestDist) {
+          nearestDist = dist;
+          target = ally;
         }
       }
       
-      if (!nearestPlayer) continue;
+      if (!target) continue;
       
       // Aggro check
       if (!enemy.aggroed && nearestDist < 18) {
         enemy.aggroed = true;
-        enemy.targetPlayerId = nearestPlayer.id;
+        enemy.targetPlayerId = target.id;
       }
       
-      const dx = nearestPlayer.position.x - enemy.position.x;
-      const dz = nearestPlayer.position.z - enemy.position.z;
+      // Building occupants idle at home like camp residents until they notice someone
+      if (!enemy.aggroed && enemy.home) {
+        this.updateNeutralEnemy(enemy);
+        continue;
+      }
+      
+      const dx = target.position.x - enemy.position.x;
+      const dz = target.position.z - enemy.position.z;
       const dist = Math.sqrt(dx * dx + dz * dz);
       
       // Check line of sight
       const hasLOS = this.collisionSystem.hasLineOfSight(
         enemy.position.x, enemy.position.z,
-        nearestPlayer.position.x, nearestPlayer.position.z
+        target.position.x, target.position.z
       );
       
       // Ranged enemy behavior (throwers)
@@ -748,12 +1702,13 @@ class GameState {
             }
           );
           enemy.position.x = newPos.x;
+          enemy.position.y = newPos.y;
           enemy.position.z = newPos.z;
         }
         
         // Throw projectile
         if (enemy.throwCooldown <= 0) {
-          this.createProjectile(enemy, nearestPlayer);
+          this.createProjectile(enemy, target);
           enemy.throwCooldown = ENEMY_TYPES.thrower.throwCooldown;
         }
         
@@ -784,6 +1739,7 @@ class GameState {
           }
           
           enemy.position.x = newPos.x;
+          enemy.position.y = newPos.y;
           enemy.position.z = newPos.z;
         }
         
@@ -796,7 +1752,7 @@ class GameState {
           this.pathfindingSystem.requestPath(
             enemyId,
             enemy.position,
-            nearestPlayer.position
+            target.position
           );
           enemy.lastPathRequest = currentTime;
         }
@@ -815,6 +1771,7 @@ class GameState {
             }
           );
           enemy.position.x = newPos.x;
+          enemy.position.y = newPos.y;
           enemy.position.z = newPos.z;
           enemy.pathfindingState = 'pathfinding';
         } else if (this.pathfindingSystem.pathFailed(enemyId)) {
@@ -849,6 +1806,7 @@ class GameState {
                 }
               );
               enemy.position.x = newPos.x;
+              enemy.position.y = newPos.y;
               enemy.position.z = newPos.z;
             }
             
@@ -863,7 +1821,12 @@ class GameState {
       if (enemy.attackCooldown > 0) {
         enemy.attackCooldown--;
       } else if (dist < 1.8) {
-        this.handlePlayerDamage(nearestPlayer.id, enemy.damage, enemy.position, 'enemy');
+        if (this.allies.has(target.id)) {
+          this.handleAllyDamage(target.id, enemy.damage, enemy.position);
+        } else {
+          const hit = this.handlePlayerDamage(target.id, enemy.damage, enemy.position, 'enemy');
+          if (hit) this.inflictEffect(this.players.get(target.id), ENEMY_TYPES[enemy.type]?.inflicts);
+        }
         enemy.attackCooldown = 60;
       }
       
@@ -873,6 +1836,87 @@ class GameState {
     }
   }
 
+  // Neutral residents ignore players and wander around their camp
+  updateNeutralEnemy(enemy) {
+    const home = enemy.home || { x: enemy.position.x, z: enemy.position.z, radius: 5 };
+    
+    if (!enemy.patrolTarget || Math.random() < NEUTRAL_BEHAVIOR.retargetChance) {
+      const angle = Math.random() * Math.PI * 2;
+      const dist = Math.random() * home.radius * 0.8;
+      enemy.patrolTarget = {
+        x: home.x + Math.cos(angle) * dist,
+        z: home.z + Math.sin(angle) * dist
+      };
+    }
+    
+    const pdx = enemy.patrolTarget.x - enemy.position.x;
+    const pdz = enemy.patrolTarget.z - enemy.position.z;
+    const pdist = Math.sqrt(pdx * pdx + pdz * pdz);
+    
+    if (pdist > 1) {
+      const moveSpeed = enemy.speed * NEUTRAL_BEHAVIOR.wanderSpeed;
+      const newPos = this.collisionSystem.moveEnemy(
+        enemy.position,
+        {
+          x: enemy.position.x + (pdx / pdist) * moveSpeed,
+          y: 0,
+          z: enemy.position.z + (pdz / pdist) * moveSpeed
+        }
+      );
+      enemy.position.x = newPos.x;
+      enemy.position.y = newPos.y;
+      enemy.position.z = newPos.z;
+      enemy.rotation = Math.atan2(pdx, pdz);
+    }
+    
+    enemy.pathfindingState = 'idle';
+  }
+
+  // A sound at a position. Hostile enemies in range aggro; neutral
+  // residents in range are provoked.
+  makeNoise(position, radius) {
+    for (const enemy of this.enemies.values()) {
+      const dx = enemy.position.x - position.x;
+      const dz = enemy.position.z - position.z;
+      if (dx * dx + dz * dz >= radius * radius) continue;
+      
+      if (enemy.disposition === 'neutral') {
+        this.provokeEnemy(enemy);
+      } else if (!enemy.aggroed) {
+        enemy.aggroed = true;
+        this.queueEvent('enemyAggro', {
+          enemyId: enemy.id,
+          type: enemy.type,
+          position: enemy.position
+        });
+      }
+    }
+  }
+
+  // Turn a neutral resident hostile, along with the rest of its camp
+  provokeEnemy(enemy) {
+    if (enemy.disposition !== 'neutral') return;
+    
+    const provoked = enemy.campId
+      ? [...this.enemies.values()].filter(e => e.disposition === 'neutral' && e.campId === enemy.campId)
+      : [enemy];
+    
+    for (const resident of provoked) {
+      resident.disposition = 'hostile';
+      resident.aggroed = true;
+      resident.patrolTarget = null;
+      this.queueEvent('enemyAggro', {
+        enemyId: resident.id,
+        type: resident.type,
+        position: resident.position
+      });
+    }
+    
+    if (enemy.campId) {
+      this.addSystemMessage('⚠️ A camp has turned hostile!');
+    }
+  }
+
   createProjectile(enemy, targetPlayer) {
     const id = uuidv4();
     const dx = targetPlayer.position.x - enemy.position.x;
@@ -896,6 +1940,7 @@ class GameState {
         z: (dz / dist) * speed
       },
       damage: enemy.damage,
+      inflicts: ENEMY_TYPES[enemy.type]?.inflicts || null,
       createdAt: Date.now()
     });
   }
@@ -910,8 +1955,8 @@ class GameState {
       bullet.position.y += bullet.velocity.y;
       bullet.position.z += bullet.velocity.z;
       
-      // Check collision with walls
-      if (this.mapManager.isBlocked(bullet.position.x, bullet.position.z)) {
+      // Check collision with walls (fences let bullets through)
+      if (this.collisionSystem.blocksProjectile(bullet.position.x, bullet.position.y, bullet.position.z)) {
         bulletsToRemove.push(bulletId);
         continue;
       }
@@ -924,11 +1969,13 @@ class GameState {
         
         if (distXZ > 1) continue;
         
+        // Heights are relative to the enemy's feet, which may be up on a container
         const enemyHeight = enemy.isBoss ? 2.2 : 1.2;
+        const bulletY = bullet.position.y - (enemy.position.y || 0);
         const headY = enemyHeight + 0.15;
-        const isHeadshot = Math.abs(bullet.position.y - headY) < 0.3;
+        const isHeadshot = Math.abs(bulletY - headY) < 0.3;
         
-        const bodyHit = bullet.position.y > 0 && bullet.position.y < enemyHeight + 0.5;
+        const bodyHit = bulletY > 0 && bulletY < enemyHeight + 0.5;
         
         if (isHeadshot || bodyHit) {
           this.handleBulletHit(bulletId, enemyId, isHeadshot);
@@ -937,8 +1984,10 @@ class GameState {
         }
       }
       
-      // Remove old bullets
-      if (Date.now() - bullet.createdAt > 3000) {
+      // Remove bullets past their weapon's range or too old
+      const tdx = bullet.position.x - bullet.origin.x;
+      const tdz = bullet.position.z - bullet.origin.z;
+      if (tdx * tdx + tdz * tdz > bullet.range * bullet.range || Date.now() - bullet.createdAt > 3000) {
         bulletsToRemove.push(bulletId);
       }
     }
@@ -962,25 +2011,42 @@ class GameState {
       }
       
       // Check wall collision
-      if (this.mapManager.isBlocked(proj.position.x, proj.position.z)) {
+      if (this.collisionSystem.blocksProjectile(proj.position.x, proj.position.y, proj.position.z)) {
         toRemove.push(projId);
         continue;
       }
       
-      // Check player collision
-      for (const player of this.players.values()) {
-        if (!player.alive || player.isDowned) continue;
+      // Check player collision; a projectile hits one target at most
+      const hitPlayer = Array.from(this.players.values()).find(player => {
+        if (!player.alive || player.isDowned || !player.connected || player.escaped) return false;
         
         const dx = proj.position.x - player.position.x;
         const dy = proj.position.y - player.position.y;
         const dz = proj.position.z - player.position.z;
-        const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        return Math.sqrt(dx * dx + dy * dy + dz * dz) < 1;
+      });
+      
+      if (hitPlayer) {
+        const hit = this.handlePlayerDamage(hitPlayer.id, proj.damage, proj.position, 'projectile');
+        if (hit) this.inflictEffect(hitPlayer, proj.inflicts);
+        toRemove.push(projId);
+        continue;
+      }
+      
+      // Allies stand on the ground, so aim at their middle
+      const hitAlly = Array.from(this.allies.values()).find(ally => {
+        if (ally.isDowned || ally.state === 'waiting') return false;
         
-        if (dist < 1) {
-          this.handlePlayerDamage(player.id, proj.damage, proj.position, 'projectile');
-          toRemove.push(projId);
-          break;
-        }
+        const dx = proj.position.x - ally.position.x;
+        const dy = proj.position.y - (ally.position.y + 1);
+        const dz = proj.position.z - ally.position.z;
+        return Math.sqrt(dx * dx + dy * dy + dz * dz) < 1;
+      });
+      
+      if (hitAlly) {
+        this.handleAllyDamage(hitAlly.id, proj.damage, proj.position);
+        toRemove.push(projId);
+        continue;
       }
       
       if (Date.now() - proj.createdAt > 5000) {
@@ -991,21 +2057,81 @@ class GameState {
     toRemove.forEach(id => this.projectiles.delete(id));
   }
 
+  // Molotov fires set whoever stands in them alight, enemies and players alike
+  updateFires() {
+    for (const [fireId, fire] of this.fires) {
+      fire.ticksLeft--;
+      if (fire.ticksLeft <= 0) {
+        this.fires.delete(fireId);
+        continue;
+      }
+      
+      const radiusSq = fire.radius * fire.radius;
+      const inFire = (position) => {
+        const dx = position.x - fire.position.x;
+        const dz = position.z - fire.position.z;
+        return dx * dx + dz * dz <= radiusSq;
+      };
+      const source = { sourceId: fire.ownerId, weapon: fire.weapon };
+      
+      for (const enemy of this.enemies.values()) {
+        if (!inFire(enemy.position)) continue;
+        if (!this.statusEffects.has(enemy, fire.inflicts)) this.provokeEnemy(enemy);
+        this.statusEffects.apply(enemy, fire.inflicts, source);
+      }
+      
+      for (const player of this.players.values()) {
+        if (player.alive && !player.escaped && inFire(player.position)) this.statusEffects.apply(player, fire.inflicts, source);
+      }
+    }
+  }
+
+  // Tick status effects on everyone still in play
+  updateStatusEffects() {
+    for (const player of this.players.values()) {
+      if (!player.alive || !player.connected || player.escaped) continue;
+      this.statusEffects.update(player);
+    }
+    for (const enemy of this.enemies.values()) {
+      this.statusEffects.update(enemy);
+    }
+  }
+
+  // Roll an enemy type's inflicts entry against a player it just hit
+  inflictEffect(player, inflicts) {
+    if (!player || !inflicts || Math.random() >= inflicts.chance) return;
+    this.statusEffects.apply(player, inflicts.effect);
+  }
+
+  // Damage from a status effect tick. Kills are credited to whoever caused it.
+  handleEffectDamage(entity, amount, effect) {
+    if (this.players.has(entity.id)) {
+      this.handlePlayerDamage(entity.id, amount, entity.position, effect.id);
+      return;
+    }
+    if (!this.enemies.has(entity.id)) return;
+    
+    entity.health -= amount;
+    const source = this.players.get(effect.sourceId);
+    if (source) source.damageDealt += amount;
+    if (entity.health <= 0) this.handleEnemyDeath(entity.id, effect.sourceId, effect.weapon || effect.id, false);
+  }
+
   updatePlayerStats() {
     for (const player of this.players.values()) {
-      if (!player.alive) continue;
+      // Disconnected players are frozen until they resume or time out;
+      // escaped players are out of the game
+      if (!player.alive || !player.connected || player.escaped) continue;
       
-      // Hunger decay
+      // Hunger decay; starving at zero is a status effect
       const hungerPerk = player.perks.find(p => p.id === 'hunger_boost');
-      const hungerRate = hungerPerk ? 150 : 120;
+      const hungerRate = Math.round((hungerPerk ? 150 : 120) / this.statusEffects.modifier(player, 'hungerDrain'));
       if (this.frameCount % hungerRate === 0) {
         player.hunger = Math.max(0, player.hunger - 1);
-        if (player.hunger <= 0 && !player.isDowned) {
-          this.handlePlayerDamage(player.id, 2, player.position, 'starvation');
-        }
       }
       
-      // Warmth decay (modified by interior and barrel fires)
+      // Warmth decay (modified by interior and barrel fires); the cold itself
+      // hurts through the hypothermia status effect
       const warmthPerk = player.perks.find(p => p.id === 'warmth_boost');
       let warmthRate = warmthPerk ? 140 : 100;
       
@@ -1026,33 +2152,71 @@ class GameState {
         // Outside = normal decay
         if (this.frameCount % warmthRate === 0) {
           player.warmth = Math.max(0, player.warmth - 1);
-          if (player.warmth <= 20 && !player.isDowned) {
-            this.handlePlayerDamage(player.id, 1, player.position, 'cold');
-          }
         }
       }
       
-      // Energy recovery
-      if (this.frameCount % 60 === 0) {
-        player.energy = Math.min(100, player.energy + 0.5);
+      // Energy recovery, slowed by hunger, cold and exhaustion
+      recoverEnergy(player, 1 / 30, this.statusEffects.modifier(player, 'energyRegen'));
+    }
+  }
+
+  updateEnvironmentalHazards() {
+    for (const player of this.players.values()) {
+      if (!player.alive || player.isDowned || !player.connected || player.escaped) continue;
+      
+      // Standing too close to a barrel fire burns
+      const fireConfig = ENVIRONMENT_DAMAGE.fire;
+      if (this.frameCount % fireConfig.interval === 0) {
+        const nearFire = this.collisionSystem.getNearbyBarrelFire(player.position.x, player.position.z);
+        if (nearFire && nearFire.warmthFactor > fireConfig.minWarmthFactor) {
+          this.handlePlayerDamage(player.id, fireConfig.damage, nearFire.fire.position, 'fire');
+        }
+      }
+      
+      // Walking over intact glass cuts and makes noise
+      const glass = this.collisionSystem.getGlassZoneAt(player.position.x, player.position.z);
+      if (glass) {
+        this.breakGlass(glass.id);
+        this.handlePlayerDamage(player.id, ENVIRONMENT_DAMAGE.glass.damage, glass.position, 'glass');
+      }
+      
+      // Toxic spills eat away at anyone wading through them
+      const toxicConfig = ENVIRONMENT_DAMAGE.toxic;
+      if (this.frameCount % toxicConfig.interval === 0) {
+        const hazard = this.collisionSystem.getHazardAt(player.position.x, player.position.z);
+        if (hazard && hazard.type === 'toxic_spill') {
+          this.handlePlayerDamage(player.id, toxicConfig.damage, hazard.position, 'toxic');
+        }
       }
     }
   }
 
+  // Stepping off something tall lands hard
+  checkFallDamage(player, previousY) {
+    const drop = previousY - player.position.y;
+    if (drop >= ENVIRONMENT_DAMAGE.fall.minDrop) {
+      this.handlePlayerDamage(player.id, Math.round(drop * ENVIRONMENT_DAMAGE.fall.damagePerUnit), player.position, 'fall');
+    }
+  }
+
   updateDownedPlayers() {
     for (const player of this.players.values()) {
-      if (!player.isDowned) continue;
+      if (!player.isDowned || !player.connected) continue;
       
-      player.downedTimer--;
+      player.downedTimer -= this.statusEffects.modifier(player, 'downedDrain');
       
       if (player.downedTimer <= 0) {
         player.alive = false;
         player.isDowned = false;
+        this.statusEffects.clear(player);
       }
     }
   }
 
   updateObjectives() {
+    // The final area's exit opens when the boss dies instead
+    if (this.finale) return;
+    
     // Check if all items collected
     let allCollected = true;
     for (const [itemId, itemState] of this.objectives.items) {
@@ -1074,10 +2238,12 @@ class GameState {
     const itemState = this.objectives.items.get(objectiveId);
     if (!itemState || itemState.collected) return false;
     
+    const player = this.players.get(playerId);
+    if (player && player.escaped) return false;
+    
     itemState.collected = true;
     itemState.collectedBy = playerId;
     
-    const player = this.players.get(playerId);
     const playerName = player ? player.name : 'Unknown';
     
     // Find objective info
@@ -1089,6 +2255,204 @@ class GameState {
     return true;
   }
 
+  // Buildings are cleared once their occupants are dead and nothing hostile
+  // is left near the door. Rescues are advanced by updateAllies.
+  updateOptionalObjectives() {
+    for (const [objectiveId, state] of this.objectives.optional) {
+      if (state.status !== 'occupied') continue;
+      
+      const objective = this.mapData.objectives.find(o => o.id === objectiveId);
+      let remaining = 0;
+      for (const enemy of this.enemies.values()) {
+        if (enemy.guarding === objectiveId) {
+          remaining++;
+          continue;
+        }
+        if (enemy.disposition === 'neutral') continue;
+        const dx = enemy.position.x - objective.position.x;
+        const dz = enemy.position.z - objective.position.z;
+        if (dx * dx + dz * dz < objective.radius * objective.radius) remaining++;
+      }
+      
+      state.remaining = remaining;
+      if (remaining > 0) continue;
+      
+      state.status = 'cleared';
+      
+      // Open the cache; mapData too, so late joiners see it unlocked
+      const container = this.lootContainers.get(objective.containerId);
+      if (container) container.locked = false;
+      const containerData = this.mapData.lootContainers.find(c => c.id === objective.containerId);
+      if (containerData) containerData.locked = false;
+      
+      this.addSystemMessage('🔓 Building cleared! The weapon cache is open.');
+      this.completeOptionalObjective(objective);
+    }
+  }
+
+  completeOptionalObjective(objective) {
+    this.queueEvent('optionalObjectiveCompleted', {
+      objectiveId: objective.id,
+      type: objective.type,
+      reward: objective.reward,
+      containerId: objective.containerId || null
+    });
+  }
+
+  // ============================================
+  // ALLIES
+  // ============================================
+
+  updateAllies() {
+    for (const [allyId, ally] of this.allies) {
+      if (ally.isDowned) {
+        ally.downedTimer--;
+        if (ally.downedTimer <= 0) this.handleAllyDeath(allyId);
+        continue;
+      }
+      
+      if (ally.state === 'waiting') {
+        const rescuer = this.getNearestActivePlayer(ally.position, ALLY.contactRadius);
+        if (!rescuer) continue;
+        
+        ally.state = 'following';
+        ally.leaderId = rescuer.id;
+        this.objectives.optional.get(ally.objectiveId).status = 'following';
+        this.addSystemMessage(`🧍 ${rescuer.name} found ${ally.name}. Get them to the extraction point!`);
+        continue;
+      }
+      
+      // Stick with the leader, or whoever is closest if they can't lead any more
+      let leader = this.players.get(ally.leaderId);
+      if (!leader || !leader.alive || leader.isDowned || !leader.connected || leader.escaped) {
+        leader = this.getNearestActivePlayer(ally.position);
+        ally.leaderId = leader ? leader.id : null;
+      }
+      if (leader) this.followLeader(ally, leader);
+      
+      if (ally.state === 'fighting') {
+        this.updateAllyCombat(ally);
+        continue;
+      }
+      
+      // Escorted to the extraction point
+      const zone = this.mapData.objectives.find(o => o.type === 'escape');
+      const dx = ally.position.x - zone.position.x;
+      const dz = ally.position.z - zone.position.z;
+      if (dx * dx + dz * dz <= zone.radius * zone.radius) {
+        ally.state = 'fighting';
+        this.objectives.optional.get(ally.objectiveId).status = 'rescued';
+        this.addSystemMessage(`🤝 ${ally.name} is safe and joins the fight!`);
+        this.completeOptionalObjective(this.mapData.objectives.find(o => o.id === ally.objectiveId));
+      }
+    }
+  }
+
+  // Walk toward the leader, directly when they're in sight and by path
+  // otherwise. Low obstacles don't block sight, so an ally stuck on a
+  // direct walk keeps to the path until it catches up.
+  followLeader(ally, leader) {
+    const dx = leader.position.x - ally.position.x;
+    const dz = leader.position.z - ally.position.z;
+    const dist = Math.sqrt(dx * dx + dz * dz);
+    if (dist <= ALLY.followDistance) {
+      ally.stuckTimer = 0;
+      return;
+    }
+    
+    let moveDir = null;
+    const hasLOS = ally.stuckTimer < 30 && dist < 20 && this.collisionSystem.hasLineOfSight(
+      ally.position.x, ally.position.z,
+      leader.position.x, leader.position.z
+    );
+    
+    if (hasLOS) {
+      moveDir = { x: dx / dist, z: dz / dist };
+    } else {
+      const currentTime = Date.now();
+      if (currentTime - ally.lastPathRequest > 1000 || !this.pathfindingSystem.hasPath(ally.id)) {
+        this.pathfindingSystem.requestPath(ally.id, ally.position, leader.position);
+        ally.lastPathRequest = currentTime;
+      }
+      moveDir = this.pathfindingSystem.getMoveDirection(ally.id, ally.position);
+    }
+    if (!moveDir) return;
+    
+    const newPos = this.collisionSystem.moveEnemy(
+      ally.position,
+      {
+        x: ally.position.x + moveDir.x * ALLY.speed,
+        y: 0,
+        z: ally.position.z + moveDir.z * ALLY.speed
+      }
+    );
+    
+    const moved = Math.sqrt(
+      Math.pow(newPos.x - ally.position.x, 2) +
+      Math.pow(newPos.z - ally.position.z, 2)
+    );
+    if (hasLOS) {
+      ally.stuckTimer = moved < ALLY.speed * 0.3 ? ally.stuckTimer + 1 : 0;
+    }
+    
+    ally.position.x = newPos.x;
+    ally.position.y = newPos.y;
+    ally.position.z = newPos.z;
+    ally.rotation = Math.atan2(moveDir.x, moveDir.z);
+  }
+
+  // Allies shoot at the nearest hostile enemy they can see
+  updateAllyCombat(ally) {
+    if (ally.fireCooldown > 0) {
+      ally.fireCooldown--;
+      return;
+    }
+    
+    let target = null;
+    let nearestDist = ALLY.fireRange;
+    for (const enemy of this.enemies.values()) {
+      if (enemy.disposition === 'neutral') continue;
+      const dx = enemy.position.x - ally.position.x;
+      const dz = enemy.position.z - ally.position.z;
+      const dist = Math.sqrt(dx * dx + dz * dz);
+      if (dist >= nearestDist) continue;
+      if (!this.collisionSystem.hasLineOfSight(ally.position.x, ally.position.z, enemy.position.x, enemy.position.z)) continue;
+      nearestDist = dist;
+      target = enemy;
+    }
+    if (!target) return;
+    
+    // Aim at the body from shoulder height
+    const origin = { x: ally.position.x, y: (ally.position.y || 0) + 1.4, z: ally.position.z };
+    const dir = {
+      x: target.position.x - origin.x,
+      y: (target.position.y || 0) + 0.8 - origin.y,
+      z: target.position.z - origin.z
+    };
+    const length = Math.sqrt(dir.x * dir.x + dir.y * dir.y + dir.z * dir.z) || 1;
+    
+    const id = uuidv4();
+    this.bullets.set(id, {
+      id,
+      ownerId: ally.id,
+      weapon: ALLY.weapon,
+      damage: ALLY.damage,
+      origin: { ...origin },
+      range: WEAPON_STATS[ALLY.weapon].range,
+      position: { ...origin },
+      velocity: {
+        x: dir.x / length * 1.5,
+        y: dir.y / length * 1.5,
+        z: dir.z / length * 1.5
+      },
+      createdAt: Date.now()
+    });
+    
+    ally.rotation = Math.atan2(dir.x, dir.z);
+    ally.fireCooldown = ALLY.fireCooldown;
+    this.makeNoise(ally.position, NOISE_RADIUS.gunshot);
+  }
+
   // ============================================
   // LEVEL PROGRESSION
   // ============================================
@@ -1096,6 +2460,9 @@ class GameState {
   checkLevelUp() {
     const config = this.getLevelConfig();
     
+    // The final area ends with its boss fight; nobody advances while the extraction is boarding
+    if (config.isFinal || this.extraction) return false;
+    
     if (config.isMilestone) {
       if (this.bossKilled && this.totalKills >= config.killsToAdvance) {
         return this.advanceLevel();
@@ -1108,23 +2475,190 @@ class GameState {
   }
 
   advanceLevel() {
+    if (this.level >= LEVEL_CONFIG.length) return false;
+    
     this.level++;
     this.bossSpawned = false;
     this.bossKilled = false;
     
-    // Potentially transition to new area
-    // For now, stay in same area but increase difficulty
+    this.queueEvent('levelUp', {
+      level: this.level,
+      levelName: this.getLevelName()
+    });
+    
+    this.transitionToArea(this.getLevelConfig().areaId);
     
     return true;
   }
 
+  // ============================================
+  // EXTRACTION
+  // ============================================
+
+  // Board the extraction from inside the escape zone. Escaped players leave
+  // the simulation and spectate whoever is still on the ground.
+  escapePlayer(playerId) {
+    const player = this.players.get(playerId);
+    if (!player) return false;
+    
+    let rejection = null;
+    const zone = this.mapData.objectives.find(o => o.type === 'escape');
+    if (!player.alive || player.isDowned) rejection = 'player_incapacitated';
+    else if (player.escaped) rejection = 'already_escaped';
+    else if (!this.objectives.escapeActive || !zone) rejection = 'escape_inactive';
+    else if (Math.hypot(player.position.x - zone.position.x, player.position.z - zone.position.z) > zone.radius) rejection = 'out_of_range';
+    
+    if (rejection) {
+      this.rejectAction(playerId, 'attemptEscape', rejection);
+      return false;
+    }
+    
+    player.escaped = true;
+    player.isInsideBuilding = false;
+    player.spectating = this.findSpectateTarget();
+    
+    const first = !this.extraction;
+    if (first) this.extraction = { timer: EXTRACTION.countdown };
+    const departsIn = Math.ceil(this.extraction.timer / 30);
+    
+    this.addSystemMessage(first
+      ? `🚁 ${player.name} made it out! Extraction leaves in ${departsIn}s`
+      : `🚁 ${player.name} made it out!`);
+    this.queueEvent('playerEscaped', { playerId, playerName: player.name, departsIn });
+    
+    return true;
+  }
+
+  // The run ends once nobody who could still make it is left, or when the
+  // countdown runs out. Downed players don't hold it up.
+  updateExtraction() {
+    if (!this.extraction || this.outcome) return;
+    
+    this.extraction.timer = Math.max(0, this.extraction.timer - 1);
+    
+    for (const player of this.players.values()) {
+      if (player.escaped && !this.canBeSpectated(this.players.get(player.spectating))) {
+        player.spectating = this.findSpectateTarget();
+      }
+    }
+    
+    const players = Array.from(this.players.values());
+    const waiting = players.some(p => p.alive && !p.isDowned && !p.escaped);
+    if (waiting && this.extraction.timer > 0) return;
+    
+    const escaped = players.filter(p => p.escaped).length;
+    this.outcome = {
+      reason: escaped === players.length ? 'Everyone escaped!' : `${escaped} of ${players.length} survivors escaped`,
+      victory: true
+    };
+  }
+
+  canBeSpectated(player) {
+    return !!player && player.alive && !player.escaped;
+  }
+
+  // Next player to watch after `currentId`, or null when nobody is left
+  findSpectateTarget(currentId = null) {
+    const candidates = Array.from(this.players.values()).filter(p => this.canBeSpectated(p));
+    if (candidates.length === 0) return null;
+    
+    const index = candidates.findIndex(p => p.id === currentId);
+    return candidates[(index + 1) % candidates.length].id;
+  }
+
+  cycleSpectateTarget(playerId) {
+    const player = this.players.get(playerId);
+    if (!player || !player.escaped) return;
+    player.spectating = this.findSpectateTarget(player.spectating);
+  }
+
+  // ============================================
+  // FINAL ENCOUNTER
+  // ============================================
+
+  updateFinale() {
+    if (!this.finale) return;
+    
+    const config = this.mapManager.area.finale;
+    
+    if (this.finale.state === 'dormant') {
+      // The boss wakes when a survivor steps into the arena
+      const b = this.mapData.rooms.find(r => r.type === 'arena').bounds;
+      for (const player of this.players.values()) {
+        if (!player.alive || player.escaped) continue;
+        const { x, z } = player.position;
+        if (x >= b.minX && x <= b.maxX && z >= b.minZ && z <= b.maxZ) {
+          this.startFinale(player);
+          break;
+        }
+      }
+      return;
+    }
+    
+    if (this.finale.state === 'active') {
+      const boss = this.enemies.get(this.finale.bossId);
+      const phase = config.phases[this.finale.phase];
+      if (!boss || !phase || boss.health / boss.maxHealth > phase.health) return;
+      
+      this.finale.phase++;
+      if (phase.speedMultiplier) boss.speed *= phase.speedMultiplier;
+      this.spawnBroodWave(Math.round(phase.wave * this.difficultyMult), config.waveTypes);
+      this.addSystemMessage(phase.message);
+    }
+  }
+
+  startFinale(intruder) {
+    const config = this.mapManager.area.finale;
+    const arena = this.mapData.rooms.find(r => r.type === 'arena');
+    
+    const bossId = this.spawnEnemy('boss', { position: arena.center });
+    const boss = this.enemies.get(bossId);
+    boss.health *= config.healthMultiplier;
+    boss.maxHealth = boss.health;
+    boss.identity = { ...boss.identity, fullName: config.bossName };
+    boss.aggroed = true;
+    boss.targetPlayerId = intruder.id;
+    
+    this.bossSpawned = true;
+    this.finale.state = 'active';
+    this.finale.bossId = bossId;
+    
+    this.addSystemMessage(`☠️ ${config.bossName} rises from the water!`);
+    this.queueEvent('finaleStarted', { bossId, bossName: config.bossName });
+  }
+
+  endFinale() {
+    const config = this.mapManager.area.finale;
+    
+    this.finale.state = 'defeated';
+    this.objectives.escapeActive = true;
+    
+    this.addSystemMessage(`🛗 ${config.bossName} is dead! The lift is running - get everyone to the exit!`);
+    this.queueEvent('finaleDefeated', { bossName: config.bossName });
+  }
+
+  // Adds pour out of the brood chambers and go straight for the players
+  spawnBroodWave(count, types) {
+    const chambers = this.mapData.rooms.filter(r => r.type === 'brood');
+    
+    for (let i = 0; i < count; i++) {
+      const b = chambers[i % chambers.length].bounds;
+      const position = {
+        x: b.minX + 1 + Math.random() * (b.maxX - b.minX - 2),
+        z: b.minZ + 1 + Math.random() * (b.maxZ - b.minZ - 2)
+      };
+      const enemyId = this.spawnEnemy(types[Math.floor(Math.random() * types.length)], { position });
+      this.enemies.get(enemyId).aggroed = true;
+    }
+  }
+
   // ============================================
   // UTILITY
   // ============================================
 
   isNearPlayer(pos, minDist) {
     for (const player of this.players.values()) {
-      if (!player.alive) continue;
+      if (!player.alive || player.escaped) continue;
       const dx = player.position.x - pos.x;
       const dz = player.position.z - pos.z;
       if (Math.sqrt(dx * dx + dz * dz) < minDist) {
@@ -1134,24 +2668,91 @@ class GameState {
     return false;
   }
 
+  // Closest player who is up and still on the map, optionally within maxDist
+  getNearestActivePlayer(pos, maxDist = Infinity) {
+    let nearest = null;
+    let nearestDist = maxDist;
+    for (const player of this.players.values()) {
+      if (!player.alive || player.isDowned || !player.connected || player.escaped) continue;
+      const dx = player.position.x - pos.x;
+      const dz = player.position.z - pos.z;
+      const dist = Math.sqrt(dx * dx + dz * dz);
+      if (dist < nearestDist) {
+        nearestDist = dist;
+        nearest = player;
+      }
+    }
+    return nearest;
+  }
+
   hasPlayer(playerId) {
     return this.players.has(playerId);
   }
 
   removePlayer(playerId) {
     this.players.delete(playerId);
+    this.snapshotManager.removeClient(playerId);
+  }
+
+  // Keep a dropped player's state around so they can resume
+  markDisconnected(playerId) {
+    const player = this.players.get(playerId);
+    if (!player) return;
+    
+    player.connected = false;
+    player.disconnectedAt = Date.now();
+    this.snapshotManager.removeClient(playerId);
+  }
+
+  // A dropped player came back on a new connection
+  markReconnected(playerId) {
+    const player = this.players.get(playerId);
+    if (!player) return null;
+    
+    player.connected = true;
+    player.disconnectedAt = null;
+    
+    // The new client starts counting inputs from scratch
+    player.lastProcessedInput = 0;
+    player.lastInputAt = Date.now();
+    player.inputBudget = 0;
+    this.snapshotManager.removeClient(playerId);
+    
+    return player;
   }
 
   getPlayerCount() {
     return this.players.size;
   }
 
+  // Players still on the ground; escaped players are out of the fight
   getAlivePlayers() {
-    return Array.from(this.players.values()).filter(p => p.alive);
+    return Array.from(this.players.values()).filter(p => p.alive && !p.escaped);
   }
 
+  // Only what clients need - timers, budgets and AI state stay on the server
   getPlayersData() {
-    return Array.from(this.players.values());
+    return Array.from(this.players.values()).map(p => ({
+      id: p.id,
+      name: p.name,
+      position: quantizePosition(p.position),
+      rotation: { yaw: quantize(p.rotation.yaw || 0), pitch: quantize(p.rotation.pitch || 0) },
+      health: quantize(p.health),
+      maxHealth: p.maxHealth,
+      hunger: quantize(p.hunger),
+      warmth: quantize(p.warmth),
+      energy: quantize(p.energy),
+      score: p.score,
+      kills: p.kills,
+      alive: p.alive,
+      isDowned: p.isDowned,
+      statusEffects: this.statusEffects.toData(p),
+      color: p.color,
+      isInsideBuilding: p.isInsideBuilding,
+      connected: p.connected,
+      escaped: p.escaped,
+      spectating: p.spectating
+    }));
   }
 
   getPlayerData(playerId) {
@@ -1159,19 +2760,66 @@ class GameState {
   }
 
   getEnemiesData() {
-    return Array.from(this.enemies.values());
+    return Array.from(this.enemies.values()).map(e => ({
+      id: e.id,
+      type: e.type,
+      identity: e.identity,
+      position: quantizePosition(e.position),
+      rotation: quantize(e.rotation || 0),
+      health: quantize(e.health),
+      maxHealth: quantize(e.maxHealth),
+      isBoss: e.isBoss,
+      disposition: e.disposition,
+      aggroed: e.aggroed,
+      statusEffects: e.statusEffects.map(effect => effect.id)
+    }));
+  }
+
+  getAlliesData() {
+    return Array.from(this.allies.values()).map(a => ({
+      id: a.id,
+      kind: a.kind,
+      name: a.name,
+      position: quantizePosition(a.position),
+      rotation: quantize(a.rotation || 0),
+      health: Math.round(a.health),
+      maxHealth: a.maxHealth,
+      isDowned: a.isDowned,
+      state: a.state
+    }));
   }
 
   getPickupsData() {
-    return Array.from(this.pickups.values());
+    return Array.from(this.pickups.values()).map(p => ({
+      id: p.id,
+      type: p.type,
+      quantity: p.quantity,
+      position: quantizePosition(p.position)
+    }));
   }
 
   getBulletsData() {
-    return Array.from(this.bullets.values());
+    return Array.from(this.bullets.values()).map(b => ({
+      id: b.id,
+      ownerId: b.ownerId,
+      weapon: b.weapon,
+      position: quantizePosition(b.position)
+    }));
   }
 
   getProjectilesData() {
-    return Array.from(this.projectiles.values());
+    return Array.from(this.projectiles.values()).map(p => ({
+      id: p.id,
+      position: quantizePosition(p.position)
+    }));
+  }
+
+  getFiresData() {
+    return Array.from(this.fires.values()).map(f => ({
+      id: f.id,
+      position: quantizePosition(f.position),
+      radius: f.radius
+    }));
   }
 
   getPingsData() {
@@ -1200,8 +2848,116 @@ class GameState {
         // Include position from map data
         ...this.mapData.objectives.find(o => o.id === id)
       })),
+      optional: Array.from(this.objectives.optional.entries()).map(([id, state]) => {
+        const objective = this.mapData.objectives.find(o => o.id === id);
+        const survivor = state.allyId ? this.allies.get(state.allyId) : null;
+        return {
+          id,
+          type: objective.type,
+          name: objective.name,
+          reward: objective.reward,
+          position: objective.position,
+          status: state.status,
+          remaining: state.remaining,
+          survivorName: survivor ? survivor.name : null
+        };
+      }),
       escapeActive: this.objectives.escapeActive,
-      escapeZone: this.mapData.objectives.find(o => o.type === 'escape')
+      escapeZone: this.mapData.objectives.find(o => o.type === 'escape'),
+      extractionTimer: this.extraction ? Math.ceil(this.extraction.timer / 30) : null,
+      finale: this.finale ? { state: this.finale.state, bossName: this.mapManager.area.finale.bossName } : null
+    };
+  }
+
+  // Everything clients see each tick, as entity collections keyed by id plus
+  // whole-game values. SnapshotManager turns this into per-client deltas.
+  getSnapshotData() {
+    const byId = (list) => {
+      const collection = {};
+      for (const item of list) collection[item.id] = item;
+      return collection;
+    };
+    
+    return {
+      collections: {
+        players: byId(this.getPlayersData()),
+        enemies: byId(this.getEnemiesData()),
+        allies: byId(this.getAlliesData()),
+        pickups: byId(this.getPickupsData()),
+        bullets: byId(this.getBulletsData()),
+        projectiles: byId(this.getProjectilesData()),
+        fires: byId(this.getFiresData())
+      },
+      globals: {
+        level: this.level,
+        totalKills: this.totalKills,
+        pings: this.getPingsData(),
+        chatMessages: this.getChatMessages(),
+        objectives: this.getObjectivesData(),
+        lootContainerStates: this.getLootContainersData()
+      }
+    };
+  }
+
+  // ============================================
+  // INTEREST MANAGEMENT
+  // ============================================
+
+  updateInterestGrid() {
+    this.interestGrid.clear();
+    const collections = {
+      enemies: this.enemies,
+      allies: this.allies,
+      pickups: this.pickups,
+      bullets: this.bullets,
+      projectiles: this.projectiles,
+      fires: this.fires
+    };
+    
+    for (const [collection, entities] of Object.entries(collections)) {
+      for (const entity of entities.values()) {
+        this.interestGrid.insert({ collection, id: entity.id, x: entity.position.x, z: entity.position.z });
+      }
+    }
+  }
+
+  // Narrow a snapshot from getSnapshotData() down to what one player should see.
+  // Players are always sent so the HUD and minimap can show teammates.
+  getRelevantSnapshotData(data, playerId) {
+    const player = this.players.get(playerId);
+    if (!player) return data;
+    
+    // Escaped players see what the player they spectate sees
+    const viewer = (player.escaped && this.players.get(player.spectating)) || player;
+    const { x, z } = viewer.position;
+    const collections = { players: data.collections.players, enemies: {}, allies: {}, pickups: {}, bullets: {}, projectiles: {}, fires: {} };
+    
+    for (const item of this.interestGrid.queryRadius(x, z, RELEVANCE.radius)) {
+      const entity = data.collections[item.collection][item.id];
+      if (!entity) continue;
+      
+      if (RELEVANCE.lineOfSight.includes(item.collection)) {
+        const dx = item.x - x;
+        const dz = item.z - z;
+        const close = dx * dx + dz * dz <= RELEVANCE.alwaysRadius * RELEVANCE.alwaysRadius;
+        const enemy = item.collection === 'enemies' ? this.enemies.get(item.id) : null;
+        const targetingPlayer = enemy && enemy.targetPlayerId === viewer.id;
+        
+        if (!close && !targetingPlayer && !this.collisionSystem.hasLineOfSight(x, z, item.x, item.z)) continue;
+      }
+      
+      collections[item.collection][item.id] = entity;
+    }
+    
+    // Lets the client drop inputs the server has already simulated; the
+    // inventory and craft in progress only go to their owner
+    const crafting = player.crafting && {
+      recipeId: player.crafting.recipeId,
+      progress: Math.round(player.crafting.progress / RECIPES[player.crafting.recipeId].time * 100) / 100
+    };
+    return {
+      collections,
+      globals: { ...data.globals, lastProcessedInput: player.lastProcessedInput, inventory: player.inventory.toData(), crafting }
     };
   }
 
@@ -1217,7 +2973,10 @@ class GameState {
         headshots: p.headshots,
         damageDealt: Math.floor(p.damageDealt),
         revives: p.revives,
-        alive: p.alive
+        alive: p.alive,
+        escaped: p.escaped,
+        leftBehind: this.extraction !== null && p.alive && !p.escaped,
+        rejectedActions: this.rejectedActions.get(p.id)?.total || 0
       }))
     };
   }
@@ -1267,34 +3026,36 @@ class GameState {
     return this.chatMessages;
   }
 
+  // Queue an event for the server loop to emit. Targeted events go only to
+  // that player's socket; the rest are broadcast to the game room.
+  queueEvent(type, data, targetPlayerId = null) {
+    this.events.push({ type, data, targetPlayerId });
+  }
+
+  drainEvents() {
+    const events = this.events;
+    this.events = [];
+    return events;
+  }
+
   // Interact with loot container
   lootContainer(playerId, containerId) {
     const container = this.lootContainers.get(containerId);
-    if (!container || container.looted) return null;
-    
-    container.looted = true;
-    
-    if (container.loot) {
-      // Create pickup at container location
-      const containerData = this.mapData.lootContainers.find(c => c.id === containerId);
-      if (containerData) {
-        const pickupId = uuidv4();
-        this.pickups.set(pickupId, {
-          id: pickupId,
-          type: container.loot,
-          position: { 
-            x: containerData.position.x, 
-            y: 0.5, 
-            z: containerData.position.z 
-          },
-          rotation: 0
-        });
-        
-        return container.loot;
-      }
+    const player = this.players.get(playerId);
+    if (!container || container.looted || container.locked || !player || player.escaped) return null;
+    
+    const containerData = this.mapData.lootContainers.find(c => c.id === containerId);
+    const dx = containerData.position.x - player.position.x;
+    const dz = containerData.position.z - player.position.z;
+    if (dx * dx + dz * dz > PICKUP_REACH.collect * PICKUP_REACH.collect) {
+      this.rejectAction(playerId, 'lootContainer', 'out_of_reach');
+      return null;
     }
+
+    container.looted = true;
     
-    return null;
+    // Create pickup at container location
+    return container.loot ? this.addPickup(container.loot, containerData.position).type : null;
   }
 
   // Break glass zone
@@ -1305,9 +3066,16 @@ class GameState {
       
       // Update prop state
       const prop = this.mapData.props.find(p => p.id === glassId);
-      if (prop) {
-        prop.broken = true;
-      }
+      if (!prop) return true;
+      prop.broken = true;
+      
+      // Alert nearby enemies
+      this.makeNoise(prop.position, NOISE_RADIUS.glass);
+      
+      this.queueEvent('glassBroken', {
+        glassId,
+        position: { x: prop.position.x, z: prop.position.z }
+      });
       
       return true;
     }
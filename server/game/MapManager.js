@@ -3,6 +3,19 @@
 
 const { SeededRandom, PerlinNoise } = require('../../shared/utils/SeededRandom');
 const SKID_ROW = require('../../shared/areas/SkidRowArea');
+const THE_TUNNELS = require('../../shared/areas/TunnelsArea');
+const INDUSTRIAL_WASTELAND = require('../../shared/areas/IndustrialArea');
+const THE_CAMPS = require('../../shared/areas/CampsArea');
+const DOWNTOWN_RUINS = require('../../shared/areas/DowntownArea');
+const THE_DEPTHS = require('../../shared/areas/DepthsArea');
+const CollisionGrid = require('../../shared/collision/CollisionGrid');
+
+// Rubble from ruined buildings in areas without their own destruction config
+const DEFAULT_RUBBLE = {
+  perCollapse: { min: 2, max: 4 },
+  size: { min: 1.5, max: 3 },
+  blockingSize: 2.5
+};
 
 class MapManager {
   constructor(areaId, seed) {
@@ -25,6 +38,13 @@ class MapManager {
       lootContainers: [],
       barrelFires: [],
       overpasses: [],
+      tunnels: [], // Carved corridors (underground areas)
+      rooms: [], // Junction and maintenance rooms (underground areas)
+      waterChannels: [],
+      rails: [],
+      fences: [],
+      hazards: [], // Damaging zones such as toxic spills
+      camps: [], // Shelter clusters with neutral residents
       spawnPoints: {
         players: [],
         enemies: []
@@ -32,17 +52,23 @@ class MapManager {
       objectives: []
     };
     
+    // Areas kept clear of buildings (rail lines)
+    this.reserved = [];
+    
     // Collision grid (for pathfinding and collision detection)
     this.collisionGrid = null;
     this.gridResolution = 0.5; // 0.5 units per cell
-    this.gridWidth = 0;
-    this.gridHeight = 0;
   }
   
   loadAreaDefinition(areaId) {
-    // For now, only Skid Row is implemented
+    // Areas without a definition yet fall back to Skid Row
     const areas = {
-      'skid_row': SKID_ROW
+      'skid_row': SKID_ROW,
+      'the_tunnels': THE_TUNNELS,
+      'industrial_wasteland': INDUSTRIAL_WASTELAND,
+      'the_camps': THE_CAMPS,
+      'downtown_ruins': DOWNTOWN_RUINS,
+      'the_depths': THE_DEPTHS
     };
     return areas[areaId] || SKID_ROW;
   }
@@ -52,20 +78,47 @@ class MapManager {
     console.log(`[MapManager] Generating ${this.area.name} with seed ${this.seed}`);
     
     // Generate in order of dependencies
-    this.generateRoadNetwork();
-    this.generateCityBlocks();
-    this.generateBuildings();
-    this.generateOverpasses();
-    this.generateBarrelFires();
-    this.generateProps();
-    this.generateLootContainers();
-    this.generateObjectives();
-    this.calculateSpawnPoints();
+    if (this.area.layout === 'tunnels') {
+      this.generateTunnelNetwork();
+      this.generateTunnelProps();
+      this.generateTunnelLoot();
+      this.generateObjectiveItems();
+      this.generateTunnelExit();
+      this.calculateTunnelSpawnPoints();
+      this.generateOptionalObjectives();
+    } else if (this.area.layout === 'arena') {
+      this.generateArena();
+      this.generateArenaProps();
+      this.generateArenaLoot();
+      this.generateArenaExit();
+      this.calculateArenaSpawnPoints();
+    } else {
+      this.generateRoadNetwork();
+      if (this.area.rails) this.generateRailLines();
+      this.generateCityBlocks();
+      this.generateBuildings();
+      if (this.area.fences) this.generateFences();
+      if (this.area.containers) this.generateContainerYards();
+      this.generateOverpasses();
+      if (this.area.camps) this.generateCamps();
+      this.generateBarrelFires();
+      this.generateProps();
+      this.generateLootContainers();
+      this.generateObjectives();
+      this.generateRubble();
+      if (this.area.hazards) this.generateHazardZones();
+      this.calculateSpawnPoints();
+      this.generateOptionalObjectives();
+    }
     
     // Build collision grid last (needs all structures)
     this.buildCollisionGrid();
     
     console.log(`[MapManager] Generation complete:`);
+    if (this.data.tunnels.length > 0) {
+      console.log(`  - Tunnels: ${this.data.tunnels.length}`);
+      console.log(`  - Rooms: ${this.data.rooms.length}`);
+    }
     console.log(`  - Roads: ${this.data.roads.length}`);
     console.log(`  - Buildings: ${this.data.buildings.length}`);
     console.log(`  - Interiors: ${this.data.interiors.length}`);
@@ -225,8 +278,9 @@ class MapManager {
           
           // Check if not in center spawn area
           const inSpawnArea = Math.abs(x) < 20 && Math.abs(z) < 20;
+          const onReserved = this.overlapsReserved(x - width / 2, z - depth / 2, x + width / 2, z + depth / 2);
           
-          if (!overlaps && !inSpawnArea) {
+          if (!overlaps && !inSpawnArea && !onReserved) {
             const rotation = this.rng.pick([0, Math.PI / 2, Math.PI, Math.PI * 1.5]);
             
             const building = {
@@ -240,6 +294,7 @@ class MapManager {
               color: this.area.theme.building + this.rng.int(-this.area.theme.buildingVariation, this.area.theme.buildingVariation),
               windows: this.generateWindowLayout(width, height, depth, typeData),
               hasAwning: typeData.awning && this.rng.bool(0.7),
+              hasSmokestack: typeData.smokestack && this.rng.bool(0.7),
               hasRubble: typeData.rubble,
               blockId: block.id
             };
@@ -253,6 +308,8 @@ class MapManager {
               this.data.interiors.push(this.generateInterior(building, typeData));
             }
             
+            this.applyBuildingDamage(building, typeData);
+            
             this.data.buildings.push(building);
             placedBuildings.push({ x, z, width, depth });
             placed = true;
@@ -267,6 +324,474 @@ class MapManager {
     }
   }
   
+  // Strips of the map that buildings and containers must keep clear of
+  overlapsReserved(minX, minZ, maxX, maxZ) {
+    return this.reserved.some(r => this.rectanglesOverlap(minX, minZ, maxX, maxZ, r.minX, r.minZ, r.maxX, r.maxZ));
+  }
+  
+  // Freight lines running the full width of the map, clear of main roads and spawn
+  generateRailLines() {
+    const config = this.area.rails;
+    const bounds = this.area.bounds;
+    const count = this.rng.int(config.count.min, config.count.max);
+    const half = config.bandWidth / 2;
+    
+    for (let i = 0; i < count; i++) {
+      const direction = this.rng.pick(['horizontal', 'vertical']);
+      const roads = this.data.roads.filter(r => r.direction === direction);
+      
+      for (let attempt = 0; attempt < 20; attempt++) {
+        const min = direction === 'horizontal' ? bounds.minZ : bounds.minX;
+        const max = direction === 'horizontal' ? bounds.maxZ : bounds.maxX;
+        const center = this.rng.float(min + 20, max - 20);
+        
+        const nearRoad = roads.some(r => Math.abs((direction === 'horizontal' ? r.centerZ : r.centerX) - center) < r.width / 2 + half + 4);
+        const nearRail = this.data.rails.some(r => r.direction === direction && Math.abs(r.center - center) < config.bandWidth * 2);
+        const throughSpawn = Math.abs(center) < 20 + half;
+        if (nearRoad || nearRail || throughSpawn) continue;
+        
+        const rail = {
+          id: `rail_${this.data.rails.length}`,
+          direction,
+          center,
+          gauge: config.gauge,
+          start: direction === 'horizontal' ? { x: bounds.minX, z: center } : { x: center, z: bounds.minZ },
+          end: direction === 'horizontal' ? { x: bounds.maxX, z: center } : { x: center, z: bounds.maxZ }
+        };
+        this.data.rails.push(rail);
+        this.reserved.push(direction === 'horizontal'
+          ? { minX: bounds.minX, maxX: bounds.maxX, minZ: center - half, maxZ: center + half }
+          : { minX: center - half, maxX: center + half, minZ: bounds.minZ, maxZ: bounds.maxZ });
+        break;
+      }
+    }
+  }
+  
+  // Chain-link fences around some blocks, with gates and gaps where rails cross
+  generateFences() {
+    const config = this.area.fences;
+    const spawnZone = this.area.spawns.players.zone;
+    
+    for (const block of this.data.blocks) {
+      const b = block.bounds;
+      if (this.rectanglesOverlap(b.minX, b.minZ, b.maxX, b.maxZ, spawnZone.minX, spawnZone.minZ, spawnZone.maxX, spawnZone.maxZ)) continue;
+      if (!this.rng.bool(config.blockChance)) continue;
+      
+      block.fenced = true;
+      const sides = [
+        { direction: 'horizontal', fixed: b.minZ, from: b.minX, to: b.maxX },
+        { direction: 'horizontal', fixed: b.maxZ, from: b.minX, to: b.maxX },
+        { direction: 'vertical', fixed: b.minX, from: b.minZ, to: b.maxZ },
+        { direction: 'vertical', fixed: b.maxX, from: b.minZ, to: b.maxZ }
+      ];
+      const gateSides = this.rng.shuffle([0, 1, 2, 3]).slice(0, config.gates);
+      
+      sides.forEach((side, index) => {
+        const gaps = [];
+        
+        if (gateSides.includes(index)) {
+          const gateCenter = this.rng.float(side.from + config.gateWidth, side.to - config.gateWidth);
+          gaps.push([gateCenter - config.gateWidth / 2, gateCenter + config.gateWidth / 2]);
+        }
+        
+        // Leave the rail bands open
+        for (const r of this.reserved) {
+          const crosses = side.direction === 'horizontal'
+            ? side.fixed >= r.minZ && side.fixed <= r.maxZ
+            : side.fixed >= r.minX && side.fixed <= r.maxX;
+          if (crosses) {
+            gaps.push(side.direction === 'horizontal' ? [r.minX, r.maxX] : [r.minZ, r.maxZ]);
+          } else {
+            // Rails running across this side cut a gap in it
+            const across = side.direction === 'horizontal' ? [r.minX, r.maxX] : [r.minZ, r.maxZ];
+            const spansSide = side.direction === 'horizontal'
+              ? r.maxZ - r.minZ >= this.area.bounds.maxZ - this.area.bounds.minZ
+              : r.maxX - r.minX >= this.area.bounds.maxX - this.area.bounds.minX;
+            if (spansSide) gaps.push(across);
+          }
+        }
+        
+        // Whatever is left between the gaps becomes fence
+        gaps.sort((a, c) => a[0] - c[0]);
+        let cursor = side.from;
+        for (const [gapStart, gapEnd] of [...gaps, [side.to, side.to]]) {
+          const end = Math.min(gapStart, side.to);
+          if (end - cursor >= 1) {
+            this.data.fences.push({
+              id: `fence_${this.data.fences.length}`,
+              direction: side.direction,
+              start: side.direction === 'horizontal' ? { x: cursor, z: side.fixed } : { x: side.fixed, z: cursor },
+              end: side.direction === 'horizontal' ? { x: end, z: side.fixed } : { x: side.fixed, z: end },
+              height: config.height,
+              blockId: block.id
+            });
+          }
+          cursor = Math.max(cursor, gapEnd);
+        }
+      });
+    }
+  }
+  
+  // Try to find a clear, axis-aligned footprint inside a block
+  findYardSpot(block, width, depth) {
+    const b = block.bounds;
+    if (b.maxX - b.minX < width + 6 || b.maxZ - b.minZ < depth + 6) return null;
+    
+    for (let attempt = 0; attempt < 15; attempt++) {
+      const x = this.rng.float(b.minX + width / 2 + 3, b.maxX - width / 2 - 3);
+      const z = this.rng.float(b.minZ + depth / 2 + 3, b.maxZ - depth / 2 - 3);
+      const minX = x - width / 2;
+      const maxX = x + width / 2;
+      const minZ = z - depth / 2;
+      const maxZ = z + depth / 2;
+      
+      const hitsBuilding = this.data.buildings.some(building =>
+        this.rectanglesOverlap(
+          minX - 2, minZ - 2, maxX + 2, maxZ + 2,
+          building.position.x - building.dimensions.width / 2, building.position.z - building.dimensions.depth / 2,
+          building.position.x + building.dimensions.width / 2, building.position.z + building.dimensions.depth / 2
+        )
+      );
+      const hitsClimbable = this.data.props.some(p => p.climbable &&
+        this.rectanglesOverlap(
+          minX - 1.5, minZ - 1.5, maxX + 1.5, maxZ + 1.5,
+          p.position.x - p.dimensions.width / 2, p.position.z - p.dimensions.depth / 2,
+          p.position.x + p.dimensions.width / 2, p.position.z + p.dimensions.depth / 2
+        )
+      );
+      
+      if (!hitsBuilding && !hitsClimbable && !this.overlapsReserved(minX, minZ, maxX, maxZ)) {
+        return { x, z };
+      }
+    }
+    return null;
+  }
+  
+  // Shipping containers in the yards, and the odd crane over fenced ones
+  generateContainerYards() {
+    const config = this.area.containers;
+    const craneConfig = this.area.cranes;
+    const spawnZone = this.area.spawns.players.zone;
+    
+    for (const block of this.data.blocks) {
+      const b = block.bounds;
+      if (this.rectanglesOverlap(b.minX, b.minZ, b.maxX, b.maxZ, spawnZone.minX, spawnZone.minZ, spawnZone.maxX, spawnZone.maxZ)) continue;
+      
+      if (craneConfig && block.fenced && this.rng.bool(craneConfig.chance)) {
+        const spot = this.findYardSpot(block, craneConfig.baseSize, craneConfig.baseSize);
+        if (spot) {
+          this.data.props.push({
+            id: `crane_${this.data.props.length}`,
+            type: 'crane',
+            position: { x: spot.x, y: 0, z: spot.z },
+            dimensions: { width: craneConfig.baseSize, depth: craneConfig.baseSize },
+            height: craneConfig.baseHeight,
+            towerHeight: craneConfig.towerHeight,
+            jibLength: craneConfig.jibLength,
+            jibRotation: this.rng.float(0, Math.PI * 2),
+            climbable: true
+          });
+        }
+      }
+      
+      const count = this.rng.int(config.perBlock.min, config.perBlock.max);
+      for (let i = 0; i < count; i++) {
+        const length = this.rng.pick(config.lengths);
+        const alongX = this.rng.bool();
+        const width = alongX ? length : config.width;
+        const depth = alongX ? config.width : length;
+        const spot = this.findYardSpot(block, width, depth);
+        if (!spot) continue;
+        
+        this.data.props.push({
+          id: `container_${this.data.props.length}`,
+          type: 'shipping_container',
+          position: { x: spot.x, y: 0, z: spot.z },
+          dimensions: { width, depth },
+          height: config.height,
+          color: this.rng.pick(config.colors),
+          climbable: true
+        });
+      }
+    }
+  }
+  
+  // Hazard zones that hurt whoever stands in them
+  generateHazardZones() {
+    const config = this.area.hazards.toxicSpills;
+    const bounds = this.area.bounds;
+    const spawnZone = this.area.spawns.players.zone;
+    const count = this.rng.int(config.count.min, config.count.max);
+    
+    for (let i = 0; i < count; i++) {
+      for (let attempt = 0; attempt < 20; attempt++) {
+        const radius = this.rng.float(config.radius.min, config.radius.max);
+        const x = this.rng.float(bounds.minX + 15, bounds.maxX - 15);
+        const z = this.rng.float(bounds.minZ + 15, bounds.maxZ - 15);
+        
+        const nearSpawn = x + radius > spawnZone.minX - 5 && x - radius < spawnZone.maxX + 5 &&
+          z + radius > spawnZone.minZ - 5 && z - radius < spawnZone.maxZ + 5;
+        if (nearSpawn || this.isInsideBuilding(x, z)) continue;
+        
+        this.data.hazards.push({
+          id: `toxic_spill_${i}`,
+          type: 'toxic_spill',
+          position: { x, y: 0, z },
+          radius
+        });
+        break;
+      }
+    }
+  }
+  
+  // Whether a circle overlaps any building footprint
+  circleHitsBuilding(x, z, radius) {
+    return this.data.buildings.some(building => {
+      const halfW = building.dimensions.width / 2 + radius;
+      const halfD = building.dimensions.depth / 2 + radius;
+      return Math.abs(x - building.position.x) < halfW && Math.abs(z - building.position.z) < halfD;
+    });
+  }
+  
+  // Camp zones: shelters ringed around a fire in open lots or under the
+  // highway. Residents are spawned by GameState from data.camps.
+  generateCamps() {
+    const config = this.area.camps;
+    const bounds = this.area.bounds;
+    const spawnZone = this.area.spawns.players.zone;
+    const fireConfig = this.area.props.barrelFires;
+    const count = this.rng.int(config.count.min, config.count.max);
+    
+    for (let i = 0; i < count; i++) {
+      for (let attempt = 0; attempt < 30; attempt++) {
+        const radius = this.rng.float(config.radius.min, config.radius.max);
+        let x;
+        let z;
+        
+        if (this.data.overpasses.length > 0 && this.rng.bool(config.underOverpassChance)) {
+          const overpass = this.rng.pick(this.data.overpasses);
+          const t = this.rng.float(0.15, 0.85);
+          const offset = this.rng.float(-4, 4);
+          x = overpass.start.x + (overpass.end.x - overpass.start.x) * t + (overpass.direction === 'horizontal' ? 0 : offset);
+          z = overpass.start.z + (overpass.end.z - overpass.start.z) * t + (overpass.direction === 'horizontal' ? offset : 0);
+        } else {
+          x = this.rng.float(bounds.minX + radius + 10, bounds.maxX - radius - 10);
+          z = this.rng.float(bounds.minZ + radius + 10, bounds.maxZ - radius - 10);
+        }
+        
+        const nearSpawn = x + radius > spawnZone.minX - 10 && x - radius < spawnZone.maxX + 10 &&
+          z + radius > spawnZone.minZ - 10 && z - radius < spawnZone.maxZ + 10;
+        const nearCamp = this.data.camps.some(c =>
+          Math.hypot(c.position.x - x, c.position.z - z) < config.minSpacing
+        );
+        if (nearSpawn || nearCamp || this.circleHitsBuilding(x, z, 2)) continue;
+        
+        const camp = {
+          id: `camp_${i}`,
+          position: { x, y: 0, z },
+          radius,
+          residents: this.rng.int(config.residents.min, config.residents.max)
+        };
+        this.data.camps.push(camp);
+        
+        // Communal fire in the middle
+        this.data.barrelFires.push({
+          id: `camp_fire_${i}`,
+          position: { x, y: 0, z },
+          warmthRadius: fireConfig.warmthRadius,
+          lightRadius: fireConfig.lightRadius,
+          lightIntensity: fireConfig.lightIntensity,
+          lightColor: fireConfig.lightColor
+        });
+        
+        // Shelters in a loose ring facing the fire
+        const shelterCount = this.rng.int(config.shelters.min, config.shelters.max);
+        for (let s = 0; s < shelterCount; s++) {
+          const angle = (s / shelterCount) * Math.PI * 2 + this.rng.float(-0.2, 0.2);
+          const dist = this.rng.float(radius * 0.45, radius);
+          const sx = x + Math.cos(angle) * dist;
+          const sz = z + Math.sin(angle) * dist;
+          if (this.circleHitsBuilding(sx, sz, 1)) continue;
+          
+          this.data.props.push({
+            id: `shelter_${camp.id}_${s}`,
+            type: 'shelter',
+            subtype: this.rng.pick(this.area.props.shelters.types),
+            position: { x: sx, y: 0, z: sz },
+            rotation: Math.atan2(x - sx, z - sz),
+            campId: camp.id
+          });
+        }
+        break;
+      }
+    }
+  }
+  
+  // How badly an area is hit, 0-1, varying smoothly across the map
+  getDestruction(x, z) {
+    const scale = this.area.destruction.noiseScale;
+    const value = this.noise.fbm(x * scale + 100, z * scale + 100, 3) + 0.5;
+    return Math.max(0, Math.min(1, value));
+  }
+  
+  // Ruined buildings lose a section; in areas with a destruction config other
+  // buildings collapse or lose their top floors depending on local destruction
+  applyBuildingDamage(building, typeData) {
+    const config = this.area.destruction;
+    const level = config ? this.getDestruction(building.position.x, building.position.z) : 0;
+    
+    const collapses = !building.hasInterior &&
+      (typeData.rubble || (config && this.rng.bool(config.collapseChance * level)));
+    
+    if (collapses) {
+      const { width, depth } = building.dimensions;
+      const side = this.rng.pick(['front', 'back', 'left', 'right']);
+      const fraction = this.rng.float(0.3, 0.6);
+      const lost = (side === 'front' || side === 'back' ? depth : width) * fraction;
+      
+      const standing = {
+        minX: building.position.x - width / 2,
+        maxX: building.position.x + width / 2,
+        minZ: building.position.z - depth / 2,
+        maxZ: building.position.z + depth / 2
+      };
+      if (side === 'front') standing.minZ += lost;
+      if (side === 'back') standing.maxZ -= lost;
+      if (side === 'left') standing.minX += lost;
+      if (side === 'right') standing.maxX -= lost;
+      
+      // Laid out in world axes so the rendered ruin matches its collision
+      building.rotation = 0;
+      building.collapse = { side, depth: lost };
+      building.standing = standing;
+      if (side === 'front') building.hasAwning = false;
+      
+      // Only windows on what is still standing
+      const localMinX = standing.minX - building.position.x - 0.05;
+      const localMaxX = standing.maxX - building.position.x + 0.05;
+      const localMinZ = standing.minZ - building.position.z - 0.05;
+      const localMaxZ = standing.maxZ - building.position.z + 0.05;
+      building.windows = building.windows.filter(w =>
+        w.position.x >= localMinX && w.position.x <= localMaxX &&
+        w.position.z >= localMinZ && w.position.z <= localMaxZ
+      );
+    }
+    
+    if (config && building.floors >= 6 && this.rng.bool(config.brokenTopChance * level)) {
+      const lostFloors = this.rng.int(1, Math.floor(building.floors * 0.4));
+      building.floors -= lostFloors;
+      building.dimensions.height = building.floors * 3.5;
+      building.brokenTop = true;
+      building.windows = building.windows.filter(w => w.position.y < building.dimensions.height - 1);
+    }
+  }
+  
+  // Whether a rubble pile or crater at this spot would cover something that
+  // has to stay reachable
+  isClearForDebris(x, z, radius) {
+    const spawnZone = this.area.spawns.players.zone;
+    if (x + radius > spawnZone.minX - 3 && x - radius < spawnZone.maxX + 3 &&
+        z + radius > spawnZone.minZ - 3 && z - radius < spawnZone.maxZ + 3) {
+      return false;
+    }
+    
+    const keepClear = [
+      ...this.data.lootContainers.map(c => c.position),
+      ...this.data.objectives.map(o => o.position),
+      ...this.data.barrelFires.map(f => f.position),
+      ...this.data.interiors.map(i => i.door.position)
+    ];
+    return !keepClear.some(p => Math.hypot(p.x - x, p.z - z) < radius + 2.5);
+  }
+  
+  pushRubblePile(x, z, size, config) {
+    this.data.props.push({
+      id: `rubble_${this.data.props.length}`,
+      type: 'rubble_pile',
+      position: { x, y: 0, z },
+      size,
+      height: size * this.rng.float(0.3, 0.5),
+      rotation: this.rng.float(0, Math.PI * 2),
+      blocking: size >= config.blockingSize
+    });
+  }
+  
+  // Rubble where buildings have collapsed, plus street debris and craters in
+  // the worst-hit parts of areas with a destruction config
+  generateRubble() {
+    const config = this.area.destruction;
+    const rubbleConfig = (config && config.rubble) || DEFAULT_RUBBLE;
+    const bounds = this.area.bounds;
+    
+    // Fill each collapsed section, spilling a little past the old walls
+    for (const building of this.data.buildings) {
+      if (!building.collapse) continue;
+      
+      const { width, depth } = building.dimensions;
+      const { side, depth: lost } = building.collapse;
+      const alongX = side === 'front' || side === 'back';
+      const count = this.rng.int(rubbleConfig.perCollapse.min, rubbleConfig.perCollapse.max);
+      
+      for (let i = 0; i < count; i++) {
+        const size = this.rng.float(rubbleConfig.size.min, rubbleConfig.size.max);
+        const across = this.rng.float(0, lost + 1.5); // Distance out from the exposed face
+        const along = this.rng.float(-0.45, 0.45) * (alongX ? width : depth);
+        
+        let x = building.position.x;
+        let z = building.position.z;
+        if (side === 'front') { x += along; z = building.standing.minZ - across; }
+        if (side === 'back') { x += along; z = building.standing.maxZ + across; }
+        if (side === 'left') { z += along; x = building.standing.minX - across; }
+        if (side === 'right') { z += along; x = building.standing.maxX + across; }
+        
+        if (!this.isClearForDebris(x, z, size / 2)) continue;
+        this.pushRubblePile(x, z, size, rubbleConfig);
+      }
+    }
+    
+    if (!config) return;
+    
+    // Street debris, denser where destruction is heavier
+    const streetCount = this.rng.int(config.streetRubble.count.min, config.streetRubble.count.max);
+    for (let placed = 0, attempts = 0; placed < streetCount && attempts < streetCount * 10; attempts++) {
+      const x = this.rng.float(bounds.minX + 10, bounds.maxX - 10);
+      const z = this.rng.float(bounds.minZ + 10, bounds.maxZ - 10);
+      if (!this.rng.bool(this.getDestruction(x, z))) continue;
+      
+      const size = this.rng.float(rubbleConfig.size.min, rubbleConfig.size.max);
+      if (this.circleHitsBuilding(x, z, size / 2 + 1) || !this.isClearForDebris(x, z, size / 2)) continue;
+      
+      this.pushRubblePile(x, z, size, rubbleConfig);
+      placed++;
+    }
+    
+    // Craters with a ring of loose debris
+    const craterCount = this.rng.int(config.craters.count.min, config.craters.count.max);
+    for (let placed = 0, attempts = 0; placed < craterCount && attempts < craterCount * 10; attempts++) {
+      const x = this.rng.float(bounds.minX + 15, bounds.maxX - 15);
+      const z = this.rng.float(bounds.minZ + 15, bounds.maxZ - 15);
+      if (!this.rng.bool(this.getDestruction(x, z))) continue;
+      
+      const radius = this.rng.float(config.craters.radius.min, config.craters.radius.max);
+      if (this.circleHitsBuilding(x, z, radius) || !this.isClearForDebris(x, z, radius)) continue;
+      
+      this.data.props.push({
+        id: `crater_${this.data.props.length}`,
+        type: 'crater',
+        position: { x, y: 0, z },
+        radius
+      });
+      
+      const debris = this.rng.int(2, 4);
+      for (let i = 0; i < debris; i++) {
+        const angle = this.rng.float(0, Math.PI * 2);
+        const size = this.rng.float(rubbleConfig.size.min, rubbleConfig.blockingSize - 0.1);
+        this.pushRubblePile(x + Math.cos(angle) * (radius + 0.5), z + Math.sin(angle) * (radius + 0.5), size, rubbleConfig);
+      }
+      placed++;
+    }
+  }
+  
   // Generate window layout for a building
   generateWindowLayout(width, height, depth, typeData) {
     const windowConfig = this.area.buildings.windows;
@@ -658,12 +1183,22 @@ class MapManager {
     }
     
     // Generate shelters/tents
-    const shelterCount = this.rng.int(this.area.props.shelters.count.min, this.area.props.shelters.count.max);
+    const shelterConfig = this.area.props.shelters;
+    const shelterCount = this.rng.int(shelterConfig.count.min, shelterConfig.count.max);
+    const shelters = [];
     for (let i = 0; i < shelterCount; i++) {
-      // Place near barrel fires or under overpasses
+      // Huddle next to an earlier shelter, or place near barrel fires or under overpasses
       let position;
       
-      if (this.data.barrelFires.length > 0 && this.rng.bool(0.5)) {
+      if (shelters.length > 0 && this.rng.bool(shelterConfig.clusterChance || 0)) {
+        const neighbour = this.rng.pick(shelters);
+        const angle = this.rng.float(0, Math.PI * 2);
+        const dist = this.rng.float(2.5, 4);
+        position = {
+          x: neighbour.position.x + Math.cos(angle) * dist,
+          z: neighbour.position.z + Math.sin(angle) * dist
+        };
+      } else if (this.data.barrelFires.length > 0 && this.rng.bool(0.5)) {
         const fire = this.rng.pick(this.data.barrelFires);
         const angle = this.rng.float(0, Math.PI * 2);
         const dist = this.rng.float(3, 6);
@@ -686,13 +1221,15 @@ class MapManager {
       }
       
       if (!this.isInsideBuilding(position.x, position.z)) {
-        this.data.props.push({
+        const shelter = {
           id: `shelter_${i}`,
           type: 'shelter',
-          subtype: this.rng.pick(this.area.props.shelters.types),
+          subtype: this.rng.pick(shelterConfig.types),
           position: { x: position.x, y: 0, z: position.z },
           rotation: this.rng.float(0, Math.PI * 2)
-        });
+        };
+        this.data.props.push(shelter);
+        shelters.push(shelter);
       }
     }
     
@@ -813,6 +1350,42 @@ class MapManager {
   
   // Generate objectives
   generateObjectives() {
+    this.generateObjectiveItems();
+    
+    const objectiveConfig = this.area.objectives.primary;
+    
+    // Place escape zone
+    const bounds = this.area.bounds;
+    const escapeSide = this.rng.pick(['north', 'south', 'east', 'west']);
+    let escapePosition;
+    
+    switch (escapeSide) {
+      case 'north':
+        escapePosition = { x: this.rng.float(-30, 30), z: bounds.maxZ - 15 };
+        break;
+      case 'south':
+        escapePosition = { x: this.rng.float(-30, 30), z: bounds.minZ + 15 };
+        break;
+      case 'east':
+        escapePosition = { x: bounds.maxX - 15, z: this.rng.float(-30, 30) };
+        break;
+      case 'west':
+        escapePosition = { x: bounds.minX + 15, z: this.rng.float(-30, 30) };
+        break;
+    }
+    
+    this.data.objectives.push({
+      id: 'escape_zone',
+      type: 'escape',
+      position: escapePosition,
+      radius: objectiveConfig.escapeZone.radius,
+      active: false, // Becomes active when all items collected
+      vehicleType: this.rng.pick(['van', 'truck', 'bus'])
+    });
+  }
+  
+  // Place the items that have to be collected before the exit opens
+  generateObjectiveItems() {
     const objectiveConfig = this.area.objectives.primary;
     
     // Place objective items in interiors
@@ -844,37 +1417,96 @@ class MapManager {
         });
       }
     }
+  }
+  
+  // Optional objectives, each tied to its own interior: a survivor to escort
+  // out, or an occupied building guarding a locked weapon cache. Runs after
+  // everything else so it doesn't shift the rest of the layout.
+  generateOptionalObjectives() {
+    const used = new Set();
     
-    // Place escape zone
-    const bounds = this.area.bounds;
-    const escapeSide = this.rng.pick(['north', 'south', 'east', 'west']);
-    let escapePosition;
-    
-    switch (escapeSide) {
-      case 'north':
-        escapePosition = { x: this.rng.float(-30, 30), z: bounds.maxZ - 15 };
-        break;
-      case 'south':
-        escapePosition = { x: this.rng.float(-30, 30), z: bounds.minZ + 15 };
-        break;
-      case 'east':
-        escapePosition = { x: bounds.maxX - 15, z: this.rng.float(-30, 30) };
-        break;
-      case 'west':
-        escapePosition = { x: bounds.minX + 15, z: this.rng.float(-30, 30) };
-        break;
-    }
-    
-    this.data.objectives.push({
-      id: 'escape_zone',
-      type: 'escape',
-      position: escapePosition,
-      radius: objectiveConfig.escapeZone.radius,
-      active: false, // Becomes active when all items collected
-      vehicleType: this.rng.pick(['van', 'truck', 'bus'])
+    this.area.objectives.optional.forEach((config, index) => {
+      const interior = this.pickOptionalInterior(used);
+      if (!interior) return;
+      used.add(interior.id);
+      
+      const spot = this.getInteriorSpot(interior);
+      const id = `optional_${config.type}_${index}`;
+      
+      if (config.type === 'rescue_survivor') {
+        this.data.objectives.push({
+          id,
+          type: 'rescue',
+          optional: true,
+          name: 'Rescue the survivor',
+          reward: config.reward,
+          interiorId: interior.id,
+          position: { x: spot.x, y: 0, z: spot.z }
+        });
+      } else if (config.type === 'clear_building') {
+        // The cache holds one pick from the area's weapons table
+        const weapons = Object.entries(this.area.lootContainers.tables.weapons || { pistol: 1 })
+          .filter(([item]) => item !== 'nothing');
+        const cache = {
+          id: `weapon_cache_${index}`,
+          type: 'weapon_cache',
+          position: { x: spot.x, y: 0, z: spot.z },
+          rotation: this.rng.float(0, Math.PI * 2),
+          loot: this.rng.pickWeighted(weapons.map(([item, weight]) => ({ item, weight }))),
+          looted: false,
+          locked: true,
+          isInterior: true
+        };
+        this.data.lootContainers.push(cache);
+        
+        this.data.objectives.push({
+          id,
+          type: 'clear_building',
+          optional: true,
+          name: 'Clear the building',
+          reward: config.reward,
+          interiorId: interior.id,
+          position: { x: spot.x, y: 0, z: spot.z },
+          radius: config.radius,
+          occupants: this.rng.int(config.occupants.min, config.occupants.max),
+          containerId: cache.id
+        });
+      }
     });
   }
   
+  // A random interior with an open door and room to stand at it
+  pickOptionalInterior(used) {
+    const candidates = this.data.interiors.filter(interior => {
+      if (used.has(interior.id) || interior.door.barricaded) return false;
+      if (interior.roomId) return true;
+      const spot = this.getDoorwaySpot(interior);
+      return !this.isInsideBuilding(spot.x, spot.z);
+    });
+    return candidates.length > 0 ? this.rng.pick(candidates) : null;
+  }
+  
+  // Where an objective waits in an interior. Underground rooms are walked
+  // into; surface buildings are solid on the collision grid, so it waits at
+  // the doorway instead.
+  getInteriorSpot(interior) {
+    return interior.roomId ? this.randomPointIn(interior.bounds, 1) : this.getDoorwaySpot(interior);
+  }
+  
+  // Just outside a building's door
+  getDoorwaySpot(interior) {
+    const outward = {
+      front: { x: 0, z: -1 },
+      back: { x: 0, z: 1 },
+      left: { x: -1, z: 0 },
+      right: { x: 1, z: 0 }
+    }[interior.door.side];
+    return {
+      x: interior.door.position.x + outward.x * 1.5,
+      z: interior.door.position.z + outward.z * 1.5
+    };
+  }
+  
   // Calculate spawn points
   calculateSpawnPoints() {
     const spawnConfig = this.area.spawns;
@@ -923,122 +1555,587 @@ class MapManager {
     this.data.spawnPoints.enemies = enemyZones;
   }
   
-  // Build collision grid
-  buildCollisionGrid() {
-    const bounds = this.area.bounds;
-    this.gridWidth = Math.ceil((bounds.maxX - bounds.minX) / this.gridResolution);
-    this.gridHeight = Math.ceil((bounds.maxZ - bounds.minZ) / this.gridResolution);
+  // Generate an underground corridor network: a maze over a lattice of nodes,
+  // with junction rooms, dead-end side tunnels and maintenance rooms.
+  // All coordinates are whole units so walls line up with the collision grid.
+  generateTunnelNetwork() {
+    const config = this.area.tunnels;
+    const n = config.nodeCount;
+    const spacing = config.nodeSpacing;
+    const origin = -((n - 1) / 2) * spacing;
+    const mainHalf = config.corridorWidth.main / 2;
+    const sideHalf = config.corridorWidth.side / 2;
+    const directions = [{ di: 1, dj: 0 }, { di: -1, dj: 0 }, { di: 0, dj: 1 }, { di: 0, dj: -1 }];
     
-    // Initialize grid (0 = walkable, 1 = blocked)
-    this.collisionGrid = new Uint8Array(this.gridWidth * this.gridHeight);
+    const nodeKey = (i, j) => i * n + j;
+    const edgeKey = (a, b) => a < b ? `${a}-${b}` : `${b}-${a}`;
+    const inRange = (i, j) => i >= 0 && i < n && j >= 0 && j < n;
+    const edges = new Set();
     
-    // Mark buildings as blocked
-    for (const building of this.data.buildings) {
-      this.markRectangleBlocked(
-        building.position.x - building.dimensions.width / 2,
-        building.position.z - building.dimensions.depth / 2,
-        building.position.x + building.dimensions.width / 2,
-        building.position.z + building.dimensions.depth / 2
-      );
+    // Randomized depth-first maze from the center node
+    const center = Math.floor(n / 2);
+    const visited = new Set([nodeKey(center, center)]);
+    const stack = [{ i: center, j: center }];
+    
+    while (stack.length > 0) {
+      const node = stack[stack.length - 1];
+      const options = directions
+        .map(d => ({ i: node.i + d.di, j: node.j + d.dj }))
+        .filter(next => inRange(next.i, next.j) && !visited.has(nodeKey(next.i, next.j)));
+      
+      if (options.length === 0) {
+        stack.pop();
+        continue;
+      }
+      
+      const next = this.rng.pick(options);
+      visited.add(nodeKey(next.i, next.j));
+      edges.add(edgeKey(nodeKey(node.i, node.j), nodeKey(next.i, next.j)));
+      stack.push(next);
     }
     
-    // Mark overpass pillars as blocked
-    for (const overpass of this.data.overpasses) {
-      for (const pillar of overpass.pillars) {
-        this.markRectangleBlocked(
-          pillar.position.x - 1,
-          pillar.position.z - 1,
-          pillar.position.x + 1,
-          pillar.position.z + 1
-        );
+    // A few extra corridors so the maze has loops to run around
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        for (const d of [directions[0], directions[2]]) {
+          if (inRange(i + d.di, j + d.dj) && this.rng.bool(config.loopChance)) {
+            edges.add(edgeKey(nodeKey(i, j), nodeKey(i + d.di, j + d.dj)));
+          }
+        }
       }
     }
     
-    // Mark some vehicles as blocked (larger ones)
-    for (const prop of this.data.props) {
-      if (prop.type === 'vehicle') {
-        const size = prop.subtype === 'bus' ? 5 : prop.subtype === 'truck' ? 3 : 2;
-        this.markRectangleBlocked(
-          prop.position.x - size,
-          prop.position.z - 1.5,
-          prop.position.x + size,
-          prop.position.z + 1.5
-        );
-      } else if (prop.type === 'dumpster') {
-        this.markRectangleBlocked(
-          prop.position.x - 1.5,
-          prop.position.z - 1,
-          prop.position.x + 1.5,
-          prop.position.z + 1
-        );
+    const nodes = [];
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        nodes.push({ i, j, x: origin + i * spacing, z: origin + j * spacing, links: [] });
       }
     }
     
-    // Clear doorways for interior buildings
-    for (const interior of this.data.interiors) {
-      if (!interior.door.barricaded) {
-        const door = interior.door;
-        this.markRectangleWalkable(
-          door.position.x - 1,
-          door.position.z - 1,
-          door.position.x + 1,
-          door.position.z + 1
-        );
+    for (const edge of edges) {
+      const [a, b] = edge.split('-').map(Number);
+      nodes[a].links.push(b);
+      nodes[b].links.push(a);
+    }
+    
+    // Junction rooms where corridors meet; the center room is where players start
+    for (const node of nodes) {
+      const isCenter = node.i === center && node.j === center;
+      if (!isCenter && (node.links.length < 3 || !this.rng.bool(config.junctions.chance))) continue;
+      
+      const half = isCenter ? config.junctions.halfSize.max : this.rng.int(config.junctions.halfSize.min, config.junctions.halfSize.max);
+      node.room = {
+        id: `room_${this.data.rooms.length}`,
+        type: 'junction',
+        center: { x: node.x, z: node.z },
+        half,
+        bounds: { minX: node.x - half, maxX: node.x + half, minZ: node.z - half, maxZ: node.z + half },
+        isSpawn: isCenter
+      };
+      this.data.rooms.push(node.room);
+    }
+    
+    // Corridors between linked nodes
+    for (const edge of edges) {
+      const [a, b] = edge.split('-').map(Number);
+      const from = nodes[a];
+      const to = nodes[b];
+      
+      const direction = from.z === to.z ? 'horizontal' : 'vertical';
+      const tunnel = {
+        id: `tunnel_${this.data.tunnels.length}`,
+        type: 'corridor',
+        direction,
+        width: config.corridorWidth.main,
+        bounds: direction === 'horizontal'
+          ? { minX: Math.min(from.x, to.x) - mainHalf, maxX: Math.max(from.x, to.x) + mainHalf, minZ: from.z - mainHalf, maxZ: from.z + mainHalf }
+          : { minX: from.x - mainHalf, maxX: from.x + mainHalf, minZ: Math.min(from.z, to.z) - mainHalf, maxZ: Math.max(from.z, to.z) + mainHalf }
+      };
+      this.data.tunnels.push(tunnel);
+      
+      // Flooded channel down the middle, stopping short of the rooms and crossings
+      if (this.rng.bool(config.waterChannels.chance)) {
+        const clearance = (node) => (node.room ? node.room.half : mainHalf) + 1;
+        const ledge = config.waterChannels.ledge;
+        const low = direction === 'horizontal' ? Math.min(from.x, to.x) : Math.min(from.z, to.z);
+        const high = direction === 'horizontal' ? Math.max(from.x, to.x) : Math.max(from.z, to.z);
+        const lowNode = (direction === 'horizontal' ? from.x : from.z) === low ? from : to;
+        const highNode = lowNode === from ? to : from;
+        const start = low + clearance(lowNode);
+        const stop = high - clearance(highNode);
+        
+        if (stop - start >= 4) {
+          this.data.waterChannels.push({
+            id: `water_${this.data.waterChannels.length}`,
+            direction,
+            bounds: direction === 'horizontal'
+              ? { minX: start, maxX: stop, minZ: tunnel.bounds.minZ + ledge, maxZ: tunnel.bounds.maxZ - ledge }
+              : { minX: tunnel.bounds.minX + ledge, maxX: tunnel.bounds.maxX - ledge, minZ: start, maxZ: stop }
+          });
+        }
       }
     }
     
-    console.log(`[MapManager] Collision grid: ${this.gridWidth}x${this.gridHeight} cells`);
+    // Side tunnels use the directions a node has no corridor in. Each gap
+    // between two nodes is only used once so stubs never run into each other.
+    const reach = spacing - config.junctions.halfSize.max - 1;
+    const usedGaps = new Set();
+    
+    for (const node of nodes) {
+      for (const d of directions) {
+        const ni = node.i + d.di;
+        const nj = node.j + d.dj;
+        
+        if (inRange(ni, nj)) {
+          const gap = edgeKey(nodeKey(node.i, node.j), nodeKey(ni, nj));
+          if (edges.has(gap) || usedGaps.has(gap)) continue;
+          usedGaps.add(gap);
+        }
+        if (!this.rng.bool(config.sideTunnels.chance)) continue;
+        
+        const withRoom = this.rng.bool(config.maintenanceRooms.chance);
+        const roomSize = withRoom ? this.rng.int(config.maintenanceRooms.size.min, config.maintenanceRooms.size.max) : 0;
+        const roomHalf = Math.floor(roomSize / 2);
+        const length = withRoom ? reach - roomSize : this.rng.int(config.sideTunnels.length.min, config.sideTunnels.length.max) + mainHalf;
+        
+        // The stub starts at the node and runs outward
+        const endX = node.x + d.di * length;
+        const endZ = node.z + d.dj * length;
+        const stub = {
+          id: `tunnel_${this.data.tunnels.length}`,
+          type: 'side',
+          direction: d.di !== 0 ? 'horizontal' : 'vertical',
+          width: config.corridorWidth.side,
+          bounds: {
+            minX: Math.min(node.x, endX) - (d.di !== 0 ? 0 : sideHalf),
+            maxX: Math.max(node.x, endX) + (d.di !== 0 ? 0 : sideHalf),
+            minZ: Math.min(node.z, endZ) - (d.dj !== 0 ? 0 : sideHalf),
+            maxZ: Math.max(node.z, endZ) + (d.dj !== 0 ? 0 : sideHalf)
+          },
+          end: { x: endX, z: endZ },
+          outward: { x: d.di, z: d.dj }
+        };
+        this.data.tunnels.push(stub);
+        
+        if (!withRoom) continue;
+        
+        // Maintenance room at the end of the stub
+        const farX = node.x + d.di * (length + roomSize);
+        const farZ = node.z + d.dj * (length + roomSize);
+        const room = {
+          id: `room_${this.data.rooms.length}`,
+          type: 'maintenance',
+          center: { x: (endX + farX) / 2, z: (endZ + farZ) / 2 },
+          bounds: {
+            minX: d.di !== 0 ? Math.min(endX, farX) : node.x - roomHalf,
+            maxX: d.di !== 0 ? Math.max(endX, farX) : node.x + roomHalf,
+            minZ: d.dj !== 0 ? Math.min(endZ, farZ) : node.z - roomHalf,
+            maxZ: d.dj !== 0 ? Math.max(endZ, farZ) : node.z + roomHalf
+          }
+        };
+        stub.roomId = room.id;
+        this.data.rooms.push(room);
+        
+        // Maintenance rooms are sheltered interiors, entered from the stub
+        this.data.interiors.push({
+          id: `interior_${room.id}`,
+          roomId: room.id,
+          bounds: {
+            minX: room.bounds.minX + 0.5,
+            maxX: room.bounds.maxX - 0.5,
+            minZ: room.bounds.minZ + 0.5,
+            maxZ: room.bounds.maxZ - 0.5
+          },
+          door: {
+            position: { x: endX, z: endZ },
+            side: d.di > 0 ? 'left' : d.di < 0 ? 'right' : d.dj > 0 ? 'front' : 'back',
+            width: config.corridorWidth.side,
+            barricaded: false
+          },
+          warmthBonus: this.area.interiors.warmthBonus,
+          furniture: [],
+          lootMultiplier: this.area.lootContainers.interiorMultiplier
+        });
+      }
+    }
+    
+    this.tunnelNodes = nodes;
+    this.tunnelCenter = nodes[nodeKey(center, center)];
   }
   
-  // Mark rectangle as blocked in collision grid
-  markRectangleBlocked(minX, minZ, maxX, maxZ) {
-    const bounds = this.area.bounds;
+  // Random point inside a tunnel or room, kept off the walls
+  randomPointIn(bounds, margin = 1) {
+    return {
+      x: this.rng.float(bounds.minX + margin, bounds.maxX - margin),
+      z: this.rng.float(bounds.minZ + margin, bounds.maxZ - margin)
+    };
+  }
+  
+  // Barrel fires in junction rooms and trash along the corridors
+  generateTunnelProps() {
+    const propsConfig = this.area.props;
+    const junctions = this.data.rooms.filter(r => r.type === 'junction');
     
-    const startX = Math.max(0, Math.floor((minX - bounds.minX) / this.gridResolution));
-    const endX = Math.min(this.gridWidth - 1, Math.ceil((maxX - bounds.minX) / this.gridResolution));
-    const startZ = Math.max(0, Math.floor((minZ - bounds.minZ) / this.gridResolution));
-    const endZ = Math.min(this.gridHeight - 1, Math.ceil((maxZ - bounds.minZ) / this.gridResolution));
+    const fireCount = Math.min(junctions.length, this.rng.int(propsConfig.barrelFires.count.min, propsConfig.barrelFires.count.max));
+    const fireRooms = this.rng.shuffle([...junctions]).slice(0, fireCount);
+    fireRooms.forEach((room, i) => {
+      const position = this.randomPointIn(room.bounds, 2);
+      this.data.barrelFires.push({
+        id: `barrel_fire_${i}`,
+        position: { x: position.x, y: 0, z: position.z },
+        warmthRadius: propsConfig.barrelFires.warmthRadius,
+        lightRadius: propsConfig.barrelFires.lightRadius,
+        lightIntensity: propsConfig.barrelFires.lightIntensity,
+        lightColor: propsConfig.barrelFires.lightColor
+      });
+    });
     
-    for (let x = startX; x <= endX; x++) {
-      for (let z = startZ; z <= endZ; z++) {
-        this.collisionGrid[z * this.gridWidth + x] = 1;
+    this.scatterUndergroundTrash(this.data.tunnels);
+  }
+  
+  // Trash collects where the noise says so, like on the streets
+  scatterUndergroundTrash(spaces) {
+    const propsConfig = this.area.props;
+    for (const space of spaces) {
+      const b = space.bounds;
+      for (let x = b.minX + 1; x < b.maxX - 1; x += 4) {
+        for (let z = b.minZ + 1; z < b.maxZ - 1; z += 4) {
+          const noiseValue = this.noise.fbm(x * 0.05, z * 0.05, 3);
+          if (noiseValue <= 0.2 || !this.rng.bool(propsConfig.trash.density * 0.3)) continue;
+          
+          const clusterSize = this.rng.int(1, 4);
+          for (let t = 0; t < clusterSize; t++) {
+            this.data.props.push({
+              id: `trash_${this.data.props.length}`,
+              type: 'trash',
+              subtype: this.rng.pick(propsConfig.trash.types),
+              position: {
+                x: Math.max(b.minX + 0.5, Math.min(b.maxX - 0.5, x + this.rng.gaussian(0, 0.6))),
+                y: 0,
+                z: Math.max(b.minZ + 0.5, Math.min(b.maxZ - 0.5, z + this.rng.gaussian(0, 0.6)))
+              },
+              rotation: this.rng.float(0, Math.PI * 2),
+              scale: this.rng.float(0.5, 1)
+            });
+          }
+        }
       }
     }
   }
   
-  // Mark rectangle as walkable in collision grid
-  markRectangleWalkable(minX, minZ, maxX, maxZ) {
-    const bounds = this.area.bounds;
+  // Loot goes in maintenance rooms, with some stashed along the tunnels
+  generateTunnelLoot() {
+    const config = this.area.lootContainers;
+    const count = this.rng.int(config.count.min, config.count.max);
     
-    const startX = Math.max(0, Math.floor((minX - bounds.minX) / this.gridResolution));
-    const endX = Math.min(this.gridWidth - 1, Math.ceil((maxX - bounds.minX) / this.gridResolution));
-    const startZ = Math.max(0, Math.floor((minZ - bounds.minZ) / this.gridResolution));
-    const endZ = Math.min(this.gridHeight - 1, Math.ceil((maxZ - bounds.minZ) / this.gridResolution));
+    for (let i = 0; i < count; i++) {
+      const containerType = this.rng.pickWeighted(config.types.map(t => ({ item: t, weight: t.weight })));
+      const isInterior = containerType.position === 'interior' && this.data.interiors.length > 0;
+      const position = isInterior
+        ? this.randomPointIn(this.rng.pick(this.data.interiors).bounds, 0.5)
+        : this.randomPointIn(this.rng.pick(this.data.tunnels).bounds, 1);
+      
+      const lootTable = config.tables[containerType.lootTable] || config.tables.supplies;
+      const loot = this.rng.pickWeighted(
+        Object.entries(lootTable).map(([item, weight]) => ({ item, weight }))
+      );
+      
+      this.data.lootContainers.push({
+        id: `loot_${i}`,
+        type: containerType.id,
+        position: { x: position.x, y: 0, z: position.z },
+        rotation: this.rng.float(0, Math.PI * 2),
+        loot: loot === 'nothing' ? null : loot,
+        looted: false,
+        isInterior
+      });
+    }
+  }
+  
+  // The way out is a manhole at the node farthest (by corridor) from the start.
+  // A few more manholes in junction rooms are sealed.
+  generateTunnelExit() {
+    const objectiveConfig = this.area.objectives.primary;
+    const nodes = this.tunnelNodes;
     
-    for (let x = startX; x <= endX; x++) {
-      for (let z = startZ; z <= endZ; z++) {
-        this.collisionGrid[z * this.gridWidth + x] = 0;
+    // Breadth-first walk along the corridors from the center
+    const depth = new Map([[this.tunnelCenter, 0]]);
+    const queue = [this.tunnelCenter];
+    let farthest = this.tunnelCenter;
+    while (queue.length > 0) {
+      const node = queue.shift();
+      if (depth.get(node) > depth.get(farthest)) farthest = node;
+      for (const link of node.links) {
+        const next = nodes[link];
+        if (!depth.has(next)) {
+          depth.set(next, depth.get(node) + 1);
+          queue.push(next);
+        }
       }
     }
+    
+    this.data.props.push({
+      id: `manhole_${this.data.props.length}`,
+      type: 'manhole',
+      position: { x: farthest.x, y: 0, z: farthest.z },
+      isExit: true
+    });
+    
+    const sealedCount = this.rng.int(this.area.props.manholes.count.min, this.area.props.manholes.count.max) - 1;
+    const candidates = this.data.rooms.filter(r =>
+      r.type === 'junction' && !r.isSpawn && !(r.center.x === farthest.x && r.center.z === farthest.z)
+    );
+    for (const room of this.rng.shuffle([...candidates]).slice(0, sealedCount)) {
+      this.data.props.push({
+        id: `manhole_${this.data.props.length}`,
+        type: 'manhole',
+        position: { x: room.center.x, y: 0, z: room.center.z },
+        isExit: false
+      });
+    }
+    
+    this.data.objectives.push({
+      id: 'escape_zone',
+      type: 'escape',
+      position: { x: farthest.x, z: farthest.z },
+      radius: objectiveConfig.escapeZone.radius,
+      active: false, // Becomes active when all items collected
+      exitType: 'manhole'
+    });
   }
   
-  // Check if world position is blocked
-  isBlocked(worldX, worldZ) {
-    const bounds = this.area.bounds;
+  // Players start in the center room; enemies crawl out of the side tunnels
+  calculateTunnelSpawnPoints() {
+    const spawnRoom = this.data.rooms.find(r => r.isSpawn);
+    
+    for (let i = 0; i < 8; i++) {
+      const position = this.randomPointIn(spawnRoom.bounds, 1.5);
+      this.data.spawnPoints.players.push({ x: position.x, y: 1.6, z: position.z });
+    }
+    
+    for (const tunnel of this.data.tunnels) {
+      if (tunnel.type !== 'side' || tunnel.roomId) continue;
+      this.data.spawnPoints.enemies.push({
+        x: tunnel.end.x - tunnel.outward.x * 1.5,
+        z: tunnel.end.z - tunnel.outward.z * 1.5,
+        type: 'side_tunnel',
+        spread: 0.5
+      });
+    }
+    
+    // Very small mazes may have no open side tunnels; use the corridors instead
+    if (this.data.spawnPoints.enemies.length === 0) {
+      for (const tunnel of this.data.tunnels) {
+        const b = tunnel.bounds;
+        this.data.spawnPoints.enemies.push({ x: (b.minX + b.maxX) / 2, z: (b.minZ + b.maxZ) / 2, type: 'corridor', spread: 2 });
+      }
+    }
+  }
+  
+  // Final area: a central arena with the entry room on one side, the exit
+  // room opposite and brood chambers on the other two, each reached by a
+  // short corridor. Carved like the tunnels, in whole units.
+  generateArena() {
+    const config = this.area.arena;
+    const half = this.rng.int(config.halfSize.min, config.halfSize.max);
+    const sides = this.rng.shuffle([{ x: 1, z: 0 }, { x: -1, z: 0 }, { x: 0, z: 1 }, { x: 0, z: -1 }]);
+    const exitSide = sides[0];
+    const entrySide = sides.find(d => d.x === -exitSide.x && d.z === -exitSide.z);
+    const chamberSides = sides.filter(d => d !== exitSide && d !== entrySide);
+    
+    // Rectangle running outward along a side, from distance `from` to `to`
+    const span = (d, from, to, width) => d.x !== 0
+      ? { minX: Math.min(d.x * from, d.x * to), maxX: Math.max(d.x * from, d.x * to), minZ: -width, maxZ: width }
+      : { minX: -width, maxX: width, minZ: Math.min(d.z * from, d.z * to), maxZ: Math.max(d.z * from, d.z * to) };
+    
+    const arena = {
+      id: `room_${this.data.rooms.length}`,
+      type: 'arena',
+      center: { x: 0, z: 0 },
+      half,
+      bounds: { minX: -half, maxX: half, minZ: -half, maxZ: half },
+      exitSide
+    };
+    this.data.rooms.push(arena);
+    
+    const addWing = (d, type, roomHalf, corridorWidth) => {
+      const length = this.rng.int(config.corridorLength.min, config.corridorLength.max);
+      this.data.tunnels.push({
+        id: `tunnel_${this.data.tunnels.length}`,
+        type: 'corridor',
+        direction: d.x !== 0 ? 'horizontal' : 'vertical',
+        width: corridorWidth,
+        bounds: span(d, half, half + length, corridorWidth / 2)
+      });
+      
+      const distance = half + length + roomHalf;
+      const room = {
+        id: `room_${this.data.rooms.length}`,
+        type,
+        center: { x: d.x * distance, z: d.z * distance },
+        half: roomHalf,
+        bounds: span(d, half + length, half + length + roomHalf * 2, roomHalf),
+        doorway: { x: d.x * half, z: d.z * half }
+      };
+      this.data.rooms.push(room);
+      return room;
+    };
+    
+    addWing(entrySide, 'entry', config.entryRoom.halfSize, config.corridorWidth).isSpawn = true;
+    addWing(exitSide, 'exit', config.exitRoom.halfSize, config.corridorWidth);
+    for (const d of chamberSides) {
+      const chamber = config.broodChambers;
+      addWing(d, 'brood', this.rng.int(chamber.halfSize.min, chamber.halfSize.max), chamber.corridorWidth);
+    }
+    
+    // Flooded strips along the brood-side walls slow anyone fighting there
+    for (const d of chamberSides) {
+      if (!this.rng.bool(config.waterChannels.chance)) continue;
+      const strip = span(d, half - config.waterChannels.width, half, half - 1);
+      this.data.waterChannels.push({
+        id: `water_${this.data.waterChannels.length}`,
+        direction: d.x !== 0 ? 'vertical' : 'horizontal',
+        bounds: strip
+      });
+    }
+    
+    // Pillars for cover, clear of the center and the doorways
+    const pillars = config.pillars;
+    const limit = half - config.waterChannels.width - pillars.size;
+    const doorways = this.data.rooms.filter(r => r.doorway).map(r => r.doorway);
+    const placed = [];
+    const count = this.rng.int(pillars.count.min, pillars.count.max);
+    
+    for (let attempt = 0; attempt < count * 10 && placed.length < count; attempt++) {
+      const x = this.rng.int(-limit, limit);
+      const z = this.rng.int(-limit, limit);
+      
+      if (Math.abs(x) < pillars.clearance && Math.abs(z) < pillars.clearance) continue;
+      if (doorways.some(p => Math.hypot(x - p.x, z - p.z) < pillars.clearance + config.corridorWidth / 2)) continue;
+      if (placed.some(p => Math.hypot(x - p.x, z - p.z) < pillars.size + 4)) continue;
+      
+      placed.push({ x, z });
+      this.data.props.push({
+        id: `pillar_${this.data.props.length}`,
+        type: 'pillar',
+        position: { x, y: 0, z },
+        size: pillars.size,
+        height: config.ceilingHeight
+      });
+    }
+  }
+  
+  // Barrel fires in the entry room and arena corners, trash everywhere
+  generateArenaProps() {
+    const fireConfig = this.area.props.barrelFires;
+    const arena = this.data.rooms.find(r => r.type === 'arena');
+    const entry = this.data.rooms.find(r => r.type === 'entry');
+    const corner = arena.half - 2;
+    const corners = this.rng.shuffle([
+      { x: corner, z: corner }, { x: -corner, z: corner }, { x: corner, z: -corner }, { x: -corner, z: -corner }
+    ]);
+    
+    const fireCount = this.rng.int(fireConfig.count.min, fireConfig.count.max);
+    const spots = [entry.center, ...corners].slice(0, Math.min(fireCount, corners.length + 1));
+    spots.forEach((spot, i) => {
+      this.data.barrelFires.push({
+        id: `barrel_fire_${i}`,
+        position: { x: spot.x, y: 0, z: spot.z },
+        warmthRadius: fireConfig.warmthRadius,
+        lightRadius: fireConfig.lightRadius,
+        lightIntensity: fireConfig.lightIntensity,
+        lightColor: fireConfig.lightColor
+      });
+    });
     
-    // Out of bounds is blocked
-    if (worldX < bounds.minX || worldX > bounds.maxX || worldZ < bounds.minZ || worldZ > bounds.maxZ) {
-      return true;
+    this.scatterUndergroundTrash([...this.data.tunnels, ...this.data.rooms]);
+  }
+  
+  // Supplies for the fight wait in the entry room; a few packs lie in the chambers
+  generateArenaLoot() {
+    const config = this.area.lootContainers;
+    const entry = this.data.rooms.find(r => r.type === 'entry');
+    const chambers = this.data.rooms.filter(r => r.type === 'brood');
+    const count = this.rng.int(config.count.min, config.count.max);
+    
+    for (let i = 0; i < count; i++) {
+      const containerType = this.rng.pickWeighted(config.types.map(t => ({ item: t, weight: t.weight })));
+      const room = containerType.position === 'chamber' ? this.rng.pick(chambers) : entry;
+      const position = this.randomPointIn(room.bounds, 1);
+      
+      const lootTable = config.tables[containerType.lootTable] || config.tables.supplies;
+      const loot = this.rng.pickWeighted(
+        Object.entries(lootTable).map(([item, weight]) => ({ item, weight }))
+      );
+      
+      this.data.lootContainers.push({
+        id: `loot_${i}`,
+        type: containerType.id,
+        position: { x: position.x, y: 0, z: position.z },
+        rotation: this.rng.float(0, Math.PI * 2),
+        loot: loot === 'nothing' ? null : loot,
+        looted: false,
+        isInterior: false
+      });
     }
+  }
+  
+  // The way out is a freight lift in the exit room. It only runs once the
+  // final boss is dead (see GameState.updateFinale).
+  generateArenaExit() {
+    const objectiveConfig = this.area.objectives.primary;
+    const exit = this.data.rooms.find(r => r.type === 'exit');
+    const side = this.data.rooms.find(r => r.type === 'arena').exitSide;
     
-    const gridX = Math.floor((worldX - bounds.minX) / this.gridResolution);
-    const gridZ = Math.floor((worldZ - bounds.minZ) / this.gridResolution);
+    this.data.props.push({
+      id: `lift_${this.data.props.length}`,
+      type: 'lift',
+      position: { x: exit.center.x, y: 0, z: exit.center.z },
+      // Gate faces back toward the arena
+      rotation: Math.atan2(-side.x, -side.z),
+      size: exit.half * 2 - 4,
+      height: this.area.arena.ceilingHeight
+    });
+    
+    this.data.objectives.push({
+      id: 'escape_zone',
+      type: 'escape',
+      position: { x: exit.center.x, z: exit.center.z },
+      radius: objectiveConfig.escapeZone.radius,
+      active: false, // Becomes active when the final boss dies
+      exitType: 'lift'
+    });
+  }
+  
+  // Players start in the entry room; enemies crawl out of the brood chambers
+  calculateArenaSpawnPoints() {
+    const entry = this.data.rooms.find(r => r.type === 'entry');
     
-    if (gridX < 0 || gridX >= this.gridWidth || gridZ < 0 || gridZ >= this.gridHeight) {
-      return true;
+    for (let i = 0; i < 8; i++) {
+      const position = this.randomPointIn(entry.bounds, 1.5);
+      this.data.spawnPoints.players.push({ x: position.x, y: 1.6, z: position.z });
     }
     
-    return this.collisionGrid[gridZ * this.gridWidth + gridX] === 1;
+    for (const chamber of this.data.rooms.filter(r => r.type === 'brood')) {
+      this.data.spawnPoints.enemies.push({
+        x: chamber.center.x,
+        z: chamber.center.z,
+        type: 'brood_chamber',
+        spread: chamber.half - 1.5
+      });
+    }
+  }
+  
+  // Build collision grid
+  // Built by the shared CollisionGrid so clients can rebuild the same grid from mapData
+  buildCollisionGrid() {
+    this.collisionGrid = CollisionGrid.fromMapData(this.toClientData(), this.gridResolution);
+    console.log(`[MapManager] Collision grid: ${this.collisionGrid.width}x${this.collisionGrid.height} cells`);
+  }
+  
+  // Check if world position is blocked
+  isBlocked(worldX, worldZ) {
+    return this.collisionGrid.isBlocked(worldX, worldZ);
   }
   
   // Check if world position is inside any building
@@ -1068,9 +2165,10 @@ class MapManager {
     // Try to find valid spawn
     for (let attempt = 0; attempt < 20; attempt++) {
       const zone = this.rng.pick(spawnZones);
+      const spread = zone.spread || 8;
       const position = {
-        x: zone.x + this.rng.float(-8, 8),
-        z: zone.z + this.rng.float(-8, 8)
+        x: zone.x + this.rng.float(-spread, spread),
+        z: zone.z + this.rng.float(-spread, spread)
       };
       
       // Check distance from all players
@@ -1107,6 +2205,13 @@ class MapManager {
       buildings: this.data.buildings,
       interiors: this.data.interiors,
       overpasses: this.data.overpasses,
+      tunnels: this.data.tunnels,
+      rooms: this.data.rooms,
+      waterChannels: this.data.waterChannels,
+      rails: this.data.rails,
+      fences: this.data.fences,
+      hazards: this.data.hazards,
+      camps: this.data.camps,
       props: this.data.props,
       barrelFires: this.data.barrelFires,
       lootContainers: this.data.lootContainers,
@@ -1118,13 +2223,7 @@ class MapManager {
   
   // Get collision data for pathfinding worker
   getCollisionData() {
-    return {
-      grid: this.collisionGrid,
-      width: this.gridWidth,
-      height: this.gridHeight,
-      resolution: this.gridResolution,
-      bounds: this.area.bounds
-    };
+    return this.collisionGrid.toCollisionData();
   }
 }
 
@@ -9,6 +9,7 @@ class PathfindingSystem {
     this.mapManager = mapManager;
     this.worker = null;
     this.isInitialized = false;
+    this.isShutdown = false;
     
     // Request management
     this.pendingRequests = new Map();
@@ -37,7 +38,8 @@ class PathfindingSystem {
       });
       
       this.worker.on('exit', (code) => {
-        if (code !== 0) {
+        // terminate() also exits with a non-zero code; only restart on crashes
+        if (code !== 0 && !this.isShutdown) {
           console.error('[PathfindingSystem] Worker exited with code', code);
           // Attempt to restart worker
           setTimeout(() => this.initWorker(), 1000);
@@ -232,6 +234,8 @@ class PathfindingSystem {
   
   // Shutdown the worker
   shutdown() {
+    this.isShutdown = true;
+    this.isInitialized = false;
     if (this.worker) {
       this.worker.terminate();
       this.worker = null;
@@ -2,6 +2,12 @@
 // Handles pathfinding requests from the main game thread
 
 const { parentPort, workerData } = require('worker_threads');
+const { CELL } = require('../../shared/collision/CollisionGrid');
+
+// Extra path cost for wading instead of walking round
+const WATER_COST = 2;
+// Climbing over a container is slow, so prefer going round
+const CLIMB_COST = 3;
 
 // A* Pathfinding implementation
 class AStar {
@@ -41,7 +47,17 @@ class AStar {
     if (gridX < 0 || gridX >= this.width || gridZ < 0 || gridZ >= this.height) {
       return false;
     }
-    return this.grid[gridZ * this.width + gridX] === 0;
+    // Fences stop movement even though they can be seen through
+    const cell = this.grid[gridZ * this.width + gridX];
+    return cell !== CELL.BLOCKED && cell !== CELL.FENCE;
+  }
+  
+  // Cost multiplier for stepping into a cell
+  cellCost(gridX, gridZ) {
+    const cell = this.grid[gridZ * this.width + gridX];
+    if (cell === CELL.WATER) return WATER_COST;
+    if (cell === CELL.CLIMBABLE) return CLIMB_COST;
+    return 1;
   }
   
   // Get cell key for hash maps
@@ -83,7 +99,7 @@ class AStar {
           }
         }
         
-        neighbors.push({ x: nx, z: nz, cost: dir.cost });
+        neighbors.push({ x: nx, z: nz, cost: dir.cost * this.cellCost(nx, nz) });
       }
     }
     
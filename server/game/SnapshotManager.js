@@ -0,0 +1,68 @@
+// SnapshotManager.js - Sequenced, delta-compressed game state per client
+// Each client gets deltas against the last snapshot it acknowledged
+
+const { diffSnapshots } = require('../../shared/net/SnapshotDelta');
+
+class SnapshotManager {
+  constructor(historySize = 32) {
+    this.seq = 0;
+    this.historySize = historySize; // ~1 second of snapshots at 30 ticks
+    this.clients = new Map(); // clientId -> { history: Map(seq -> snapshot), ackedSeq }
+  }
+  
+  addClient(clientId) {
+    this.clients.set(clientId, { history: new Map(), ackedSeq: null });
+  }
+  
+  removeClient(clientId) {
+    this.clients.delete(clientId);
+  }
+  
+  // Stamp a new snapshot with the next sequence number
+  createSnapshot(data) {
+    this.seq++;
+    return {
+      seq: this.seq,
+      serverTime: Date.now(),
+      collections: data.collections,
+      globals: data.globals
+    };
+  }
+  
+  // Delta for one client against its acknowledged snapshot. Falls back to a
+  // full snapshot if the client has not acked anything still in history.
+  buildDelta(clientId, snapshot) {
+    let client = this.clients.get(clientId);
+    if (!client) {
+      this.addClient(clientId);
+      client = this.clients.get(clientId);
+    }
+    
+    const base = client.ackedSeq !== null ? client.history.get(client.ackedSeq) : null;
+    const delta = diffSnapshots(base || null, snapshot);
+    
+    client.history.set(snapshot.seq, snapshot);
+    if (client.history.size > this.historySize) {
+      const oldest = client.history.keys().next().value;
+      client.history.delete(oldest);
+    }
+    
+    return delta;
+  }
+  
+  acknowledge(clientId, seq) {
+    const client = this.clients.get(clientId);
+    if (!client || !Number.isInteger(seq) || !client.history.has(seq)) return;
+    
+    if (client.ackedSeq === null || seq > client.ackedSeq) {
+      client.ackedSeq = seq;
+      
+      // Older snapshots can never be used as a base again
+      for (const oldSeq of client.history.keys()) {
+        if (oldSeq < seq) client.history.delete(oldSeq);
+      }
+    }
+  }
+}
+
+module.exports = SnapshotManager;
@@ -0,0 +1,55 @@
+// SpatialGrid.js - Uniform grid for cheap radius queries
+// Entities are re-inserted every tick, so there is no incremental update
+
+class SpatialGrid {
+  constructor(cellSize = 16) {
+    this.cellSize = cellSize;
+    this.cells = new Map(); // "cx,cz" -> [item]
+  }
+  
+  clear() {
+    this.cells.clear();
+  }
+  
+  cellKey(cx, cz) {
+    return `${cx},${cz}`;
+  }
+  
+  // item needs x and z; anything else is passed back from query()
+  insert(item) {
+    const key = this.cellKey(Math.floor(item.x / this.cellSize), Math.floor(item.z / this.cellSize));
+    let cell = this.cells.get(key);
+    if (!cell) {
+      cell = [];
+      this.cells.set(key, cell);
+    }
+    cell.push(item);
+  }
+  
+  // Items within radius of (x, z)
+  queryRadius(x, z, radius) {
+    const results = [];
+    const radiusSq = radius * radius;
+    const minX = Math.floor((x - radius) / this.cellSize);
+    const maxX = Math.floor((x + radius) / this.cellSize);
+    const minZ = Math.floor((z - radius) / this.cellSize);
+    const maxZ = Math.floor((z + radius) / this.cellSize);
+    
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cz = minZ; cz <= maxZ; cz++) {
+        const cell = this.cells.get(this.cellKey(cx, cz));
+        if (!cell) continue;
+        
+        for (const item of cell) {
+          const dx = item.x - x;
+          const dz = item.z - z;
+          if (dx * dx + dz * dz <= radiusSq) results.push(item);
+        }
+      }
+    }
+    
+    return results;
+  }
+}
+
+module.exports = SpatialGrid;
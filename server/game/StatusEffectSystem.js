@@ -0,0 +1,113 @@
+// StatusEffectSystem.js - Applies, ticks and expires status effects
+// Effects live on entity.statusEffects as { id, stacks, remaining, tickTimer,
+// sourceId, weapon }; what each effect does is data in STATUS_EFFECTS.
+
+const { STATUS_EFFECTS, getEffectModifier, effectsBlock } = require('../../shared/config/StatusEffects');
+
+class StatusEffectSystem {
+  // handlers.damage(entity, amount, effect) and handlers.heal(entity, amount)
+  // let GameState route tick damage through its usual player/enemy paths
+  constructor(handlers) {
+    this.handlers = handlers;
+  }
+
+  get(entity, effectId) {
+    return entity.statusEffects.find(e => e.id === effectId) || null;
+  }
+
+  has(entity, effectId) {
+    return !!this.get(entity, effectId);
+  }
+
+  // Apply or re-apply an effect following its stacking rule. source may name
+  // the player (sourceId) and weapon responsible, for kill credit.
+  apply(entity, effectId, source = {}) {
+    const def = STATUS_EFFECTS[effectId];
+    if (!def) return null;
+
+    const existing = this.get(entity, effectId);
+    if (existing) {
+      if (def.stacking === 'ignore') return existing;
+      if (def.stacking === 'stack') existing.stacks = Math.min(def.maxStacks || 1, existing.stacks + 1);
+      existing.remaining = def.duration;
+      if (source.sourceId) {
+        existing.sourceId = source.sourceId;
+        existing.weapon = source.weapon || null;
+      }
+      return existing;
+    }
+
+    const effect = {
+      id: effectId,
+      stacks: 1,
+      remaining: def.duration,
+      tickTimer: def.tick ? def.tick.interval : 0,
+      sourceId: source.sourceId || null,
+      weapon: source.weapon || null
+    };
+    entity.statusEffects.push(effect);
+    return effect;
+  }
+
+  // Returns true if the entity had the effect
+  cure(entity, effectId) {
+    const before = entity.statusEffects.length;
+    entity.statusEffects = entity.statusEffects.filter(e => e.id !== effectId);
+    return entity.statusEffects.length < before;
+  }
+
+  clear(entity) {
+    entity.statusEffects = [];
+  }
+
+  // Combined multiplier from every active effect for a modifier name
+  modifier(entity, name) {
+    return getEffectModifier(entity.statusEffects, name);
+  }
+
+  // Whether any active effect stops the entity taking an action
+  blocks(entity, action) {
+    return effectsBlock(entity.statusEffects, action);
+  }
+
+  // One server tick: stat-triggered effects, then ticks and expiry
+  update(entity) {
+    for (const [effectId, def] of Object.entries(STATUS_EFFECTS)) {
+      if (!def.when || entity[def.when.stat] === undefined) continue;
+
+      const value = entity[def.when.stat];
+      const holds = (def.when.below === undefined || value < def.when.below) &&
+        (def.when.above === undefined || value > def.when.above);
+      if (holds) {
+        this.apply(entity, effectId);
+      } else if (def.duration === null) {
+        this.cure(entity, effectId);
+      }
+    }
+
+    for (const effect of [...entity.statusEffects]) {
+      const def = STATUS_EFFECTS[effect.id];
+
+      if (def.tick && --effect.tickTimer <= 0) {
+        effect.tickTimer = def.tick.interval;
+        if (def.tick.damage) this.handlers.damage(entity, def.tick.damage * effect.stacks, effect);
+        if (def.tick.heal) this.handlers.heal(entity, def.tick.heal * effect.stacks);
+      }
+
+      if (effect.remaining !== null && --effect.remaining <= 0) {
+        this.cure(entity, effect.id);
+      }
+    }
+  }
+
+  // Network form: timers in whole seconds so deltas only change once a second
+  toData(entity) {
+    return entity.statusEffects.map(e => ({
+      id: e.id,
+      stacks: e.stacks,
+      remaining: e.remaining === null ? null : Math.ceil(e.remaining / 30)
+    }));
+  }
+}
+
+module.exports = StatusEffectSystem;
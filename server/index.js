@@ -6,6 +6,7 @@ const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
 const path = require('path');
+const { v4: uuidv4 } = require('uuid');
 
 const LobbyManager = require('./lobby/LobbyManager');
 const GameState = require('./game/GameState');
@@ -36,8 +37,113 @@ const games = new Map();
 // Game loop interval references
 const gameLoops = new Map();
 
+// Stable player identities. Socket ids change on every reconnect, so games and
+// lobbies are keyed by a persistent player id; sockets are mapped to it here.
+const identities = new Map(); // playerId -> playerToken
+const playerSockets = new Map(); // playerId -> socket
+
+// Each player's sockets join this room, so targeted emits survive reconnects
+function playerRoom(playerId) {
+  return `player:${playerId}`;
+}
+
+// Accept the id the client stored if this server issued it and the token
+// matches, otherwise issue a new one. Ids are public (lobbies and snapshots
+// carry them), so an unknown id is never taken on trust.
+function resolveIdentity(auth) {
+  const { playerId, playerToken } = auth || {};
+  if (typeof playerId === 'string' && identities.get(playerId) === playerToken) {
+    return { playerId, playerToken };
+  }
+
+  const identity = { playerId: uuidv4(), playerToken: uuidv4() };
+  identities.set(identity.playerId, identity.playerToken);
+  return identity;
+}
+
+// Forget an identity once no socket, lobby or game refers to it
+function releaseIdentity(playerId) {
+  if (playerSockets.has(playerId) || lobbyManager.findPlayerLobby(playerId)) return;
+  for (const game of games.values()) {
+    if (game.hasPlayer(playerId)) return;
+  }
+  identities.delete(playerId);
+}
+
+// Reconnect support - dropped players are held for a grace period
+const RECONNECT_GRACE_MS = 60000;
+const sessions = new Map(); // reconnectToken -> { gameId, playerId }
+const disconnectTimers = new Map(); // reconnectToken -> timeout
+
+// Everything a client needs to (re)build the game scene
+function getGameStartData(gameId, game) {
+  return {
+    gameId,
+    players: game.getPlayersData(),
+    worldSeed: game.worldSeed,
+    level: game.level,
+    levelName: game.getLevelName(),
+    mapData: game.getMapData(),
+    objectives: game.getObjectivesData(),
+    lootContainers: game.getLootContainersData()
+  };
+}
+
+function findSessionToken(gameId, playerId) {
+  for (const [token, session] of sessions) {
+    if (session.gameId === gameId && session.playerId === playerId) return token;
+  }
+  return null;
+}
+
+// Stop a game and forget everything attached to it
+function endGame(gameId) {
+  const game = games.get(gameId);
+  const playerIds = game ? Array.from(game.players.keys()) : [];
+  if (game) game.shutdown();
+  
+  const gameLoop = gameLoops.get(gameId);
+  if (gameLoop) {
+    clearInterval(gameLoop);
+    gameLoops.delete(gameId);
+  }
+  games.delete(gameId);
+  lobbyManager.deleteLobby(gameId);
+  
+  for (const [token, session] of sessions) {
+    if (session.gameId !== gameId) continue;
+    clearTimeout(disconnectTimers.get(token));
+    disconnectTimers.delete(token);
+    sessions.delete(token);
+  }
+  
+  playerIds.forEach(releaseIdentity);
+}
+
+function removePlayerFromGame(gameId, playerId) {
+  const game = games.get(gameId);
+  if (!game) return;
+  
+  game.removePlayer(playerId);
+  io.to(gameId).emit('playerLeft', playerId);
+  
+  // End game if no players left
+  if (game.getPlayerCount() === 0) {
+    endGame(gameId);
+  }
+  releaseIdentity(playerId);
+}
+
 io.on('connection', (socket) => {
-  console.log(`Player connected: ${socket.id}`);
+  const { playerId, playerToken } = resolveIdentity(socket.handshake.auth);
+  console.log(`Player connected: ${playerId} (socket ${socket.id})`);
+
+  // Newest connection wins if the same player opens another one
+  const previousSocket = playerSockets.get(playerId);
+  playerSockets.set(playerId, socket);
+  socket.join(playerRoom(playerId));
+  socket.emit('identity', { playerId, playerToken });
+  if (previousSocket) previousSocket.disconnect(true);
 
   // ============================================
   // LOBBY EVENTS
@@ -48,14 +154,14 @@ io.on('connection', (socket) => {
   });
 
   socket.on('createLobby', (playerName, callback) => {
-    const lobby = lobbyManager.createLobby(socket.id, playerName);
+    const lobby = lobbyManager.createLobby(playerId, playerName);
     socket.join(lobby.id);
     callback(lobby);
     io.emit('lobbiesUpdated', lobbyManager.getPublicLobbies());
   });
 
   socket.on('joinLobby', ({ lobbyId, playerName }, callback) => {
-    const result = lobbyManager.joinLobby(lobbyId, socket.id, playerName);
+    const result = lobbyManager.joinLobby(lobbyId, playerId, playerName);
     if (result.success) {
       socket.join(lobbyId);
       io.to(lobbyId).emit('lobbyUpdated', result.lobby);
@@ -65,7 +171,7 @@ io.on('connection', (socket) => {
   });
 
   socket.on('leaveLobby', (lobbyId) => {
-    const lobby = lobbyManager.leaveLobby(lobbyId, socket.id);
+    const lobby = lobbyManager.leaveLobby(lobbyId, playerId);
     socket.leave(lobbyId);
     if (lobby) {
       io.to(lobbyId).emit('lobbyUpdated', lobby);
@@ -74,7 +180,7 @@ io.on('connection', (socket) => {
   });
 
   socket.on('setReady', ({ lobbyId, ready }) => {
-    const lobby = lobbyManager.setReady(lobbyId, socket.id, ready);
+    const lobby = lobbyManager.setReady(lobbyId, playerId, ready);
     if (lobby) {
       io.to(lobbyId).emit('lobbyUpdated', lobby);
     }
@@ -82,7 +188,7 @@ io.on('connection', (socket) => {
 
   socket.on('startGame', (lobbyId) => {
     const lobby = lobbyManager.getLobby(lobbyId);
-    if (!lobby || lobby.hostId !== socket.id) return;
+    if (!lobby || lobby.hostId !== playerId) return;
     
     // Check all non-host players are ready
     const allReady = lobby.players.every(p => p.isHost || p.ready);
@@ -95,17 +201,13 @@ io.on('connection', (socket) => {
 
     lobby.status = 'playing';
     
-    // Send game started with full map data
-    io.to(lobbyId).emit('gameStarted', {
-      gameId,
-      players: gameState.getPlayersData(),
-      worldSeed: gameState.worldSeed,
-      level: gameState.level,
-      levelName: gameState.getLevelName(),
-      // NEW: Send full map data for client rendering
-      mapData: gameState.getMapData(),
-      objectives: gameState.getObjectivesData(),
-      lootContainers: gameState.getLootContainersData()
+    // Send game started with full map data, plus a token each player can
+    // use to resume after a disconnect
+    const gameStartData = getGameStartData(gameId, gameState);
+    lobby.players.forEach(p => {
+      const reconnectToken = uuidv4();
+      sessions.set(reconnectToken, { gameId, playerId: p.id });
+      io.to(playerRoom(p.id)).emit('gameStarted', { ...gameStartData, reconnectToken });
     });
 
     io.emit('lobbiesUpdated', lobbyManager.getPublicLobbies());
@@ -121,46 +223,47 @@ io.on('connection', (socket) => {
 
       game.update();
 
-      // Check for level up
-      if (game.checkLevelUp()) {
-        io.to(gameId).emit('levelUp', {
-          level: game.level,
-          levelName: game.getLevelName()
-        });
+      // Emit events raised during the tick (damage, glass, aggro)
+      for (const event of game.drainEvents()) {
+        const target = event.targetPlayerId ? playerRoom(event.targetPlayerId) : gameId;
+        io.to(target).emit(event.type, event.data);
       }
 
-      // Check game over
+      // Check game over. Once anyone has escaped, the extraction decides
+      // how the run ends instead.
       const alivePlayers = game.getAlivePlayers();
-      if (alivePlayers.length === 0) {
+      if (alivePlayers.length === 0 && !game.extraction) {
         io.to(gameId).emit('gameOver', {
           reason: 'All players eliminated',
           stats: game.getGameStats()
         });
         
-        // Cleanup
-        game.shutdown(); // NEW: Shutdown pathfinding worker
-        clearInterval(gameLoop);
-        gameLoops.delete(gameId);
-        games.delete(gameId);
-        lobbyManager.deleteLobby(gameId);
+        endGame(gameId);
         return;
       }
 
-      // Broadcast game state (includes new data)
-      io.to(gameId).emit('gameState', {
-        players: game.getPlayersData(),
-        enemies: game.getEnemiesData(),
-        pickups: game.getPickupsData(),
-        bullets: game.getBulletsData(),
-        projectiles: game.getProjectilesData(),
-        pings: game.getPingsData(),
-        chatMessages: game.getChatMessages(),
-        level: game.level,
-        totalKills: game.totalKills,
-        // NEW: Send objective and loot container states
-        objectives: game.getObjectivesData(),
-        lootContainerStates: game.getLootContainersData()
-      });
+      // Extraction has left with everyone who made it aboard
+      if (game.outcome) {
+        io.to(gameId).emit('gameOver', {
+          reason: game.outcome.reason,
+          stats: game.getGameStats(),
+          victory: game.outcome.victory
+        });
+
+        endGame(gameId);
+        return;
+      }
+
+      // Each socket gets only nearby or visible entities, as a delta against
+      // the last snapshot it acknowledged
+      const snapshotData = game.getSnapshotData();
+      for (const playerId of game.players.keys()) {
+        const socket = playerSockets.get(playerId);
+        if (!socket) continue;
+        
+        const snapshot = game.snapshotManager.createSnapshot(game.getRelevantSnapshotData(snapshotData, playerId));
+        socket.emit('gameState', game.snapshotManager.buildDelta(playerId, snapshot));
+      }
 
     }, 1000 / 30); // 30 FPS
 
@@ -171,27 +274,41 @@ io.on('connection', (socket) => {
   // GAME INPUT EVENTS
   // ============================================
 
-  socket.on('playerInput', ({ gameId, input }) => {
+  socket.on('snapshotAck', ({ gameId, seq }) => {
     const game = games.get(gameId);
     if (!game) return;
-    game.handlePlayerInput(socket.id, input);
+    game.snapshotManager.acknowledge(playerId, seq);
   });
 
-  socket.on('playerShoot', ({ gameId, position, direction, weapon, damage }) => {
+  socket.on('playerInput', ({ gameId, inputs }) => {
     const game = games.get(gameId);
     if (!game) return;
+    game.handlePlayerInputs(playerId, inputs);
+  });
 
-    const bullet = game.createBullet(socket.id, position, direction, weapon, damage);
-    if (bullet) {
+  // Weapon, damage, range and ammo come from the shared weapon table;
+  // the client only chooses which weapon to use and where to aim.
+  socket.on('playerShoot', ({ gameId, direction, weapon }) => {
+    const game = games.get(gameId);
+    if (!game) return;
+
+    const bullets = game.createBullet(playerId, direction, weapon);
+    bullets.forEach(bullet => {
       io.to(gameId).emit('bulletCreated', bullet);
-    }
+    });
   });
 
-  socket.on('meleeAttack', ({ gameId, position, direction, weapon, damage, range }) => {
+  socket.on('throwWeapon', ({ gameId, direction, weapon }) => {
+    const game = games.get(gameId);
+    if (!game) return;
+    game.throwWeapon(playerId, direction, weapon);
+  });
+
+  socket.on('meleeAttack', ({ gameId, direction, weapon }) => {
     const game = games.get(gameId);
     if (!game) return;
 
-    const hits = game.handleMeleeAttack(socket.id, position, direction, weapon, damage, range);
+    const hits = game.handleMeleeAttack(playerId, direction, weapon);
     
     hits.forEach(hit => {
       io.to(gameId).emit('enemyHit', {
@@ -203,109 +320,105 @@ io.on('connection', (socket) => {
     });
   });
 
-  socket.on('playerHit', ({ gameId, damage, source }) => {
+  socket.on('bandagePlayer', ({ gameId, targetId }) => {
     const game = games.get(gameId);
     if (!game) return;
+    game.bandagePlayer(playerId, targetId);
+  });
 
-    const player = game.getPlayerData(socket.id);
-    if (!player) return;
-
-    const result = game.handlePlayerDamage(socket.id, damage, player.position, source);
-    
-    if (result) {
-      if (result.isDowned) {
-        io.to(gameId).emit('playerDowned', {
-          playerId: socket.id,
-          playerName: player.name
-        });
-      } else {
-        socket.emit('playerDamaged', {
-          playerId: socket.id,
-          damage: result.damage,
-          sourcePosition: result.sourcePosition,
-          currentHealth: result.health
-        });
-      }
-    }
+  socket.on('startRevive', ({ gameId, targetId }) => {
+    const game = games.get(gameId);
+    if (!game) return;
+    game.startRevive(playerId, targetId);
   });
 
   socket.on('revivePlayer', ({ gameId, targetId }) => {
     const game = games.get(gameId);
     if (!game) return;
 
-    const success = game.revivePlayer(socket.id, targetId);
+    const success = game.revivePlayer(playerId, targetId);
     if (success) {
-      const target = game.getPlayerData(targetId);
+      const target = game.getPlayerData(targetId) || game.allies.get(targetId);
       io.to(gameId).emit('playerRevived', {
         playerId: targetId,
         playerName: target ? target.name : 'Unknown',
-        reviverId: socket.id
+        reviverId: playerId
       });
     }
   });
 
+  // The server decides what fits in the inventory; anything left over stays on the ground
   socket.on('pickupCollected', ({ gameId, pickupId }) => {
     const game = games.get(gameId);
     if (!game) return;
 
-    const pickup = game.pickups.get(pickupId);
-    if (!pickup) return;
-
-    const player = game.getPlayerData(socket.id);
-    if (!player) return;
-
-    // Apply pickup effect
-    let effect = null;
-    if (['pistol', 'shotgun', 'smg', 'rifle', 'bat', 'pipe'].includes(pickup.type)) {
-      player.weapons[1] = pickup.type;
-      effect = { weapon: pickup.type };
-    } else {
-      switch (pickup.type) {
-        case 'ammo':
-          player.ammo += 15;
-          effect = { stat: 'ammo', amount: 15 };
-          break;
-        case 'food':
-          player.hunger = Math.min(100, player.hunger + 25);
-          effect = { stat: 'hunger', amount: 25 };
-          break;
-        case 'medicine':
-          player.health = Math.min(player.maxHealth, player.health + 20);
-          effect = { stat: 'health', amount: 20 };
-          break;
-        case 'blanket':
-          player.warmth = Math.min(100, player.warmth + 30);
-          effect = { stat: 'warmth', amount: 30 };
-          break;
-        case 'water':
-          player.hunger = Math.min(100, player.hunger + 15);
-          player.energy = Math.min(100, player.energy + 20);
-          effect = { stat: 'water', amount: 15 };
-          break;
-      }
-    }
-
-    game.pickups.delete(pickupId);
+    const collected = game.collectPickup(playerId, pickupId);
+    if (!collected) return;
 
+    const player = game.getPlayerData(playerId);
     io.to(gameId).emit('pickupCollected', {
       pickupId,
-      playerId: socket.id,
+      playerId,
       playerName: player.name,
-      type: pickup.type,
-      effect
+      type: collected.type,
+      quantity: collected.quantity
     });
   });
 
+  // Inventory actions; slots are validated in GameState
+  socket.on('useItem', ({ gameId, slot }) => {
+    const game = games.get(gameId);
+    if (!game) return;
+
+    const used = game.useItem(playerId, slot);
+    if (used) socket.emit('itemUsed', used);
+  });
+
+  socket.on('dropItem', ({ gameId, slot, quantity }) => {
+    const game = games.get(gameId);
+    if (!game) return;
+    game.dropItem(playerId, slot, quantity);
+  });
+
+  socket.on('swapItem', ({ gameId, from, to }) => {
+    const game = games.get(gameId);
+    if (!game) return;
+    game.swapItem(playerId, from, to);
+  });
+
+  socket.on('giveItem', ({ gameId, targetId, slot, quantity }) => {
+    const game = games.get(gameId);
+    if (!game) return;
+
+    const given = game.giveItem(playerId, targetId, slot, quantity);
+    if (given) socket.emit('itemGiven', given);
+  });
+
+  socket.on('startCrafting', ({ gameId, recipeId }) => {
+    const game = games.get(gameId);
+    if (!game) return;
+    game.startCrafting(playerId, recipeId);
+  });
+
+  socket.on('cancelCrafting', ({ gameId }) => {
+    const game = games.get(gameId);
+    if (!game) return;
+    game.cancelCrafting(playerId);
+  });
+
   // NEW: Loot container interaction
   socket.on('lootContainer', ({ gameId, containerId }) => {
     const game = games.get(gameId);
     if (!game) return;
 
-    const loot = game.lootContainer(socket.id, containerId);
+    const loot = game.lootContainer(playerId, containerId);
+    
+    // Nothing to announce if it couldn't be opened (still locked)
+    if (!game.lootContainers.get(containerId)?.looted) return;
     
     io.to(gameId).emit('containerLooted', {
       containerId,
-      playerId: socket.id,
+      playerId,
       loot
     });
   });
@@ -315,66 +428,36 @@ io.on('connection', (socket) => {
     const game = games.get(gameId);
     if (!game) return;
 
-    const success = game.collectObjective(socket.id, objectiveId);
+    const success = game.collectObjective(playerId, objectiveId);
     
     if (success) {
       io.to(gameId).emit('objectiveCollected', {
         objectiveId,
-        playerId: socket.id,
+        playerId,
         objectives: game.getObjectivesData()
       });
     }
   });
 
-  // NEW: Player trying to escape
+  // Player boarding the extraction; the game loop ends the run once
+  // everyone who can still make it is aboard (see GameState.updateExtraction)
   socket.on('attemptEscape', ({ gameId }) => {
     const game = games.get(gameId);
     if (!game) return;
+    game.escapePlayer(playerId);
+  });
 
-    const objectives = game.getObjectivesData();
-    
-    if (objectives.escapeActive) {
-      const player = game.getPlayerData(socket.id);
-      if (!player) return;
-
-      // Check if player is in escape zone
-      const escapeZone = objectives.escapeZone;
-      const dx = player.position.x - escapeZone.position.x;
-      const dz = player.position.z - escapeZone.position.z;
-      const dist = Math.sqrt(dx * dx + dz * dz);
-
-      if (dist <= escapeZone.radius) {
-        // Player escaped successfully!
-        io.to(gameId).emit('playerEscaped', {
-          playerId: socket.id,
-          playerName: player.name
-        });
-
-        // Check if all alive players escaped
-        // For now, just end the game on first escape
-        io.to(gameId).emit('gameOver', {
-          reason: 'Escaped successfully!',
-          stats: game.getGameStats(),
-          victory: true
-        });
-
-        game.shutdown();
-        const gameLoop = gameLoops.get(gameId);
-        if (gameLoop) {
-          clearInterval(gameLoop);
-          gameLoops.delete(gameId);
-        }
-        games.delete(gameId);
-        lobbyManager.deleteLobby(gameId);
-      }
-    }
+  socket.on('spectateNext', ({ gameId }) => {
+    const game = games.get(gameId);
+    if (!game) return;
+    game.cycleSpectateTarget(playerId);
   });
 
   socket.on('perkSelected', ({ gameId, perkId }) => {
     const game = games.get(gameId);
     if (!game) return;
 
-    const player = game.getPlayerData(socket.id);
+    const player = game.getPlayerData(playerId);
     if (!player) return;
 
     // Add perk if not already have it
@@ -388,12 +471,12 @@ io.on('connection', (socket) => {
     const game = games.get(gameId);
     if (!game) return;
 
-    const player = game.getPlayerData(socket.id);
+    const player = game.getPlayerData(playerId);
     if (!player) return;
 
     const ping = {
-      id: require('uuid').v4(),
-      playerId: socket.id,
+      id: uuidv4(),
+      playerId,
       playerName: player.name,
       playerColor: player.color,
       position,
@@ -405,44 +488,43 @@ io.on('connection', (socket) => {
     io.to(gameId).emit('ping', ping);
   });
 
-  // NEW: Glass break with map tracking
-  socket.on('glassBreak', ({ gameId, glassId, position }) => {
+  // Chat message handling
+  socket.on('chatMessage', ({ gameId, message }) => {
     const game = games.get(gameId);
     if (!game) return;
 
-    // Update glass state
-    if (glassId) {
-      game.breakGlass(glassId);
+    const chatMsg = game.addChatMessage(playerId, message);
+    if (chatMsg) {
+      io.to(gameId).emit('chatMessage', chatMsg);
     }
+  });
 
-    // Alert nearby enemies
-    for (const enemy of game.enemies.values()) {
-      const dx = enemy.position.x - position.x;
-      const dz = enemy.position.z - position.z;
-      const dist = Math.sqrt(dx * dx + dz * dz);
-      
-      if (dist < 15 && !enemy.aggroed) {
-        enemy.aggroed = true;
-        io.to(gameId).emit('enemyAggro', {
-          enemyId: enemy.id,
-          type: enemy.type,
-          position: enemy.position
-        });
-      }
+  // ============================================
+  // RECONNECT
+  // ============================================
+
+  // Reattach a returning player to their held state and resend the map
+  socket.on('resumeSession', ({ reconnectToken }, callback) => {
+    const session = sessions.get(reconnectToken);
+    const game = session && games.get(session.gameId);
+    if (!game || session.playerId !== playerId || !game.hasPlayer(playerId)) {
+      callback({ success: false });
+      return;
     }
 
-    io.to(gameId).emit('glassBroken', { glassId, position });
-  });
+    clearTimeout(disconnectTimers.get(reconnectToken));
+    disconnectTimers.delete(reconnectToken);
 
-  // Chat message handling
-  socket.on('chatMessage', ({ gameId, message }) => {
-    const game = games.get(gameId);
-    if (!game) return;
+    const player = game.markReconnected(playerId);
+    socket.join(session.gameId);
 
-    const chatMsg = game.addChatMessage(socket.id, message);
-    if (chatMsg) {
-      io.to(gameId).emit('chatMessage', chatMsg);
-    }
+    console.log(`Player resumed: ${player.name} (${playerId})`);
+    socket.to(session.gameId).emit('playerReconnected', { playerId, playerName: player.name });
+
+    callback({
+      success: true,
+      gameData: { ...getGameStartData(session.gameId, game), reconnectToken }
+    });
   });
 
   // ============================================
@@ -450,38 +532,46 @@ io.on('connection', (socket) => {
   // ============================================
 
   socket.on('disconnect', () => {
-    console.log(`Player disconnected: ${socket.id}`);
+    console.log(`Player disconnected: ${playerId} (socket ${socket.id})`);
+
+    // Replaced by a newer connection from the same player - nothing to clean up
+    if (playerSockets.get(playerId) !== socket) return;
+    playerSockets.delete(playerId);
 
     // Remove from any lobby
-    const lobby = lobbyManager.findPlayerLobby(socket.id);
+    const lobby = lobbyManager.findPlayerLobby(playerId);
     if (lobby) {
-      const updatedLobby = lobbyManager.leaveLobby(lobby.id, socket.id);
+      const updatedLobby = lobbyManager.leaveLobby(lobby.id, playerId);
       if (updatedLobby) {
         io.to(lobby.id).emit('lobbyUpdated', updatedLobby);
       }
       io.emit('lobbiesUpdated', lobbyManager.getPublicLobbies());
     }
 
-    // Remove from any game
+    // Hold the player in any game for a while in case they come back
     for (const [gameId, game] of games) {
-      if (game.hasPlayer(socket.id)) {
-        game.removePlayer(socket.id);
-        io.to(gameId).emit('playerLeft', socket.id);
-
-        // End game if no players left
-        if (game.getPlayerCount() === 0) {
-          game.shutdown(); // NEW: Cleanup pathfinding
-          const gameLoop = gameLoops.get(gameId);
-          if (gameLoop) {
-            clearInterval(gameLoop);
-            gameLoops.delete(gameId);
-          }
-          games.delete(gameId);
-          lobbyManager.deleteLobby(gameId);
+      if (game.hasPlayer(playerId)) {
+        const token = findSessionToken(gameId, playerId);
+        if (!token) {
+          removePlayerFromGame(gameId, playerId);
+          break;
         }
+
+        const player = game.getPlayerData(playerId);
+        game.markDisconnected(playerId);
+        io.to(gameId).emit('playerDisconnected', { playerId, playerName: player.name });
+
+        disconnectTimers.set(token, setTimeout(() => {
+          const session = sessions.get(token);
+          disconnectTimers.delete(token);
+          sessions.delete(token);
+          if (session) removePlayerFromGame(session.gameId, session.playerId);
+        }, RECONNECT_GRACE_MS));
         break;
       }
     }
+    
+    releaseIdentity(playerId);
   });
 });
 
@@ -0,0 +1,264 @@
+// CampsArea.js - Procedural generation definition for The Camps
+// Shared between server (generation) and client (rendering)
+
+const THE_CAMPS = {
+  id: 'the_camps',
+  name: 'The Camps',
+  description: 'Sprawling tent cities in vacant lots and under the highways, home to survivors who want to be left alone',
+
+  // Wide and open - most of the map is lots rather than buildings
+  bounds: {
+    minX: -150,
+    maxX: 150,
+    minZ: -150,
+    maxZ: 150
+  },
+
+  // Visual theme - cold blue night, lots of firelight
+  theme: {
+    fog: { color: 0x15181f, near: 25, far: 120 },
+    sky: 0x080a10,
+    ambient: { color: 0x2a3040, intensity: 0.3 },
+    directional: { color: 0xccd8ff, intensity: 0.3, position: { x: 30, y: 90, z: -40 } },
+    ground: 0x2c2a26,
+    road: 0x1c1c1c,
+    sidewalk: 0x36342f,
+    building: 0x3a3a3e,
+    buildingVariation: 0x0a0a0a
+  },
+
+  roads: {
+    main: {
+      width: 12,
+      count: { horizontal: 2, vertical: 2 },
+      spacing: { min: 80, max: 110 }
+    },
+    side: {
+      width: 8,
+      frequency: 0.15
+    },
+    alleys: {
+      width: 3,
+      frequency: 0.1
+    },
+    sidewalkWidth: 2.5,
+    details: {
+      cracks: true,
+      potholes: true,
+      manholes: true,
+      crosswalks: false
+    }
+  },
+
+  // Big blocks with few buildings leave room for the camps
+  blocks: {
+    minSize: 40,
+    maxSize: 80,
+    buildingDensity: 0.15,
+    innerCourtyard: 0.4
+  },
+
+  buildings: {
+    types: [
+      {
+        id: 'storefront',
+        weight: 35,
+        floors: { min: 1, max: 2 },
+        width: { min: 6, max: 12 },
+        depth: { min: 8, max: 12 },
+        hasInterior: true,
+        interiorChance: 0.4,
+        style: 'commercial',
+        awning: true
+      },
+      {
+        id: 'warehouse',
+        weight: 25,
+        floors: { min: 1, max: 2 },
+        width: { min: 14, max: 22 },
+        depth: { min: 12, max: 18 },
+        hasInterior: true,
+        interiorChance: 0.5,
+        style: 'industrial'
+      },
+      {
+        id: 'ruined',
+        weight: 40,
+        floors: { min: 1, max: 3 },
+        width: { min: 8, max: 14 },
+        depth: { min: 8, max: 12 },
+        hasInterior: false,
+        style: 'destroyed',
+        rubble: true
+      }
+    ],
+    windows: {
+      spacing: 2.5,
+      width: 1.2,
+      height: 1.8,
+      boardedChance: 0.6,
+      brokenChance: 0.3,
+      litChance: 0.05
+    },
+    doors: {
+      width: 1.5,
+      height: 2.5,
+      barricadedChance: 0.4
+    }
+  },
+
+  // Highways overhead; camps gather underneath
+  overpasses: {
+    count: { min: 2, max: 3 },
+    height: 8,
+    width: 14,
+    pillarSpacing: 15,
+    style: 'highway'
+  },
+
+  // Camp zones: a ring of shelters around a fire, with residents who are
+  // neutral until provoked by noise or gunfire nearby
+  camps: {
+    count: { min: 6, max: 9 },
+    radius: { min: 9, max: 14 },
+    minSpacing: 35,
+    shelters: { min: 8, max: 14 },
+    residents: { min: 2, max: 4 },
+    underOverpassChance: 0.4
+  },
+
+  props: {
+    trash: {
+      density: 1.0,
+      types: ['bag', 'can', 'bottle', 'paper', 'box', 'tire'],
+      clusters: true
+    },
+    barrelFires: {
+      count: { min: 6, max: 10 },
+      nearWalls: false,
+      warmthRadius: 8,
+      lightRadius: 12,
+      lightIntensity: 1.3,
+      lightColor: 0xff6622
+    },
+    // Shelters outside the camps, mostly huddled in small groups
+    shelters: {
+      count: { min: 20, max: 30 },
+      types: ['tent', 'tarp', 'shopping_cart', 'cardboard'],
+      clusterChance: 0.7
+    },
+    vehicles: {
+      count: { min: 8, max: 14 },
+      types: ['car', 'van', 'bus'],
+      burnedChance: 0.5,
+      onRoad: true,
+      parkingLots: false
+    },
+    streetFurniture: {
+      types: ['lamppost', 'dumpster'],
+      lamppostSpacing: 25,
+      dumpsterPerBlock: 1
+    },
+    graffiti: {
+      frequency: 0.5,
+      onWalls: true
+    },
+    glassZones: {
+      count: { min: 8, max: 12 },
+      radius: 2,
+      nearWindows: true
+    }
+  },
+
+  lootContainers: {
+    types: [
+      { id: 'backpack', weight: 30, lootTable: 'survival', position: 'any' },
+      { id: 'cooler', weight: 20, lootTable: 'food', position: 'any' },
+      { id: 'crate', weight: 15, lootTable: 'supplies', position: 'any' },
+      { id: 'dumpster', weight: 15, lootTable: 'trash', position: 'alley' },
+      { id: 'locker', weight: 10, lootTable: 'weapons', position: 'interior' },
+      { id: 'cabinet', weight: 10, lootTable: 'medical', position: 'interior' }
+    ],
+    interiorMultiplier: 2,
+    tables: {
+      trash: { food: 0.24, ammo: 0.08, medicine: 0.08, nothing: 0.4, cloth: 0.08, bottle: 0.08, alcohol: 0.04 },
+      supplies: { ammo: 0.24, food: 0.24, blanket: 0.24, medicine: 0.08, cloth: 0.1, duct_tape: 0.1 },
+      weapons: { pistol: 0.3, shotgun: 0.2, smg: 0.15, bat: 0.2, pipe: 0.15 },
+      medical: { medicine: 0.48, bandage: 0.24, nothing: 0.08, alcohol: 0.1, cloth: 0.1 },
+      survival: { food: 0.24, water: 0.24, blanket: 0.24, ammo: 0.08, cloth: 0.1, bottle: 0.05, duct_tape: 0.05 },
+      food: { food: 0.7, water: 0.3 }
+    },
+    count: { min: 45, max: 60 }
+  },
+
+  interiors: {
+    warmthBonus: 0.5,
+    layouts: {
+      commercial: {
+        rooms: ['main', 'storage'],
+        furniture: ['counter', 'shelves']
+      },
+      industrial: {
+        rooms: ['main', 'office'],
+        furniture: ['crates', 'machinery', 'desk']
+      }
+    }
+  },
+
+  spawns: {
+    players: {
+      type: 'zone',
+      zone: { minX: -15, maxX: 15, minZ: -15, maxZ: 15 },
+      avoidBuildings: true,
+      preferRoads: true
+    },
+    enemies: {
+      minDistanceFromPlayers: 30,
+      maxDistanceFromPlayers: 100,
+      spawnZones: [
+        { weight: 0.5, type: 'street' },
+        { weight: 0.3, type: 'under_overpass' },
+        { weight: 0.2, type: 'building_interior' }
+      ]
+    }
+  },
+
+  objectives: {
+    primary: {
+      type: 'collect_and_escape',
+      items: [
+        { id: 'radio_part', name: 'Radio Part', count: 3, spawnIn: 'interior' }
+      ],
+      escapeZone: {
+        type: 'vehicle',
+        position: 'map_edge',
+        radius: 5
+      }
+    },
+    optional: [
+      { type: 'rescue_survivor', reward: 'ally_npc' }
+    ]
+  },
+
+  enemies: {
+    types: ['normal', 'runner', 'thrower', 'brute'],
+    bossType: 'brute',
+    interiorAggressionBonus: 1.2,
+    packBehavior: true,
+    maxPackSize: 6
+  },
+
+  audio: {
+    ambience: ['wind', 'distant_traffic', 'crackling_fire', 'murmuring_voices'],
+    music: 'tension_urban',
+    interiorAmbience: ['dripping', 'creaking_floor']
+  }
+};
+
+// Export for both Node.js and browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = THE_CAMPS;
+}
+if (typeof window !== 'undefined') {
+  window.THE_CAMPS = THE_CAMPS;
+}
@@ -0,0 +1,159 @@
+// DepthsArea.js - Procedural generation definition for The Depths
+// Shared between server (generation) and client (rendering)
+
+const THE_DEPTHS = {
+  id: 'the_depths',
+  name: 'The Depths',
+  description: 'A flooded pumping station far below the tunnels, where something has made its nest',
+
+  // A compact complex of carved rooms around a central arena
+  layout: 'arena',
+
+  bounds: {
+    minX: -55,
+    maxX: 55,
+    minZ: -55,
+    maxZ: 55
+  },
+
+  // Visual theme - red emergency lighting in wet concrete
+  theme: {
+    fog: { color: 0x0c0606, near: 6, far: 45 },
+    sky: 0x050202,
+    ambient: { color: 0x3a2222, intensity: 0.35 },
+    directional: { color: 0xff8866, intensity: 0.12, position: { x: 10, y: 40, z: 10 } },
+    ground: 0x1c1a18,
+    road: 0x1a1a1a,
+    sidewalk: 0x2a2826,
+    building: 0x38322c,
+    buildingVariation: 0x050505,
+    wall: 0x38322c,
+    ceiling: 0x141210,
+    water: 0x2a1f1a
+  },
+
+  // All sizes are whole units so walls line up with the collision grid.
+  // The exit lies on one side of the arena, the entry room opposite it and
+  // the brood chambers on the other two sides.
+  arena: {
+    ceilingHeight: 7,
+    halfSize: { min: 15, max: 18 },
+    pillars: {
+      count: { min: 6, max: 10 },
+      size: 2,
+      clearance: 5 // Kept clear of the arena center and doorways
+    },
+    corridorWidth: 6,
+    corridorLength: { min: 12, max: 18 },
+    entryRoom: { halfSize: 7 },
+    exitRoom: { halfSize: 6 },
+    broodChambers: {
+      halfSize: { min: 5, max: 7 },
+      corridorWidth: 4
+    },
+    // Flooded strips along the arena walls
+    waterChannels: {
+      chance: 0.5,
+      width: 3
+    }
+  },
+
+  // Scripted final encounter. The boss wakes when a survivor steps into the
+  // arena; the lift only runs once it is dead.
+  finale: {
+    bossName: 'The Foreman',
+    healthMultiplier: 3,
+    // Each phase starts when the boss drops below its health fraction
+    phases: [
+      { health: 0.66, wave: 4, message: '⚠️ The Foreman calls its brood!' },
+      { health: 0.33, wave: 6, speedMultiplier: 1.4, message: '⚠️ The Foreman is enraged!' }
+    ],
+    waveTypes: ['normal', 'runner', 'runner', 'brute']
+  },
+
+  props: {
+    trash: {
+      density: 0.4,
+      types: ['bag', 'can', 'bottle', 'box', 'tire'],
+      clusters: true
+    },
+    // Barrel fires in the entry room and the arena corners
+    barrelFires: {
+      count: { min: 4, max: 6 },
+      warmthRadius: 7,
+      lightRadius: 14,
+      lightIntensity: 1.5,
+      lightColor: 0xff5522
+    }
+  },
+
+  // Supplies for the fight are stashed in the entry room
+  lootContainers: {
+    types: [
+      { id: 'crate', weight: 35, lootTable: 'supplies', position: 'entry' },
+      { id: 'cabinet', weight: 25, lootTable: 'medical', position: 'entry' },
+      { id: 'locker', weight: 25, lootTable: 'weapons', position: 'entry' },
+      { id: 'backpack', weight: 15, lootTable: 'survival', position: 'chamber' }
+    ],
+    interiorMultiplier: 1,
+    tables: {
+      supplies: { ammo: 0.48, food: 0.16, medicine: 0.16, cloth: 0.1, duct_tape: 0.1 },
+      weapons: { shotgun: 0.3, smg: 0.3, rifle: 0.4 },
+      medical: { medicine: 0.56, bandage: 0.24, alcohol: 0.1, cloth: 0.1 },
+      survival: { food: 0.24, water: 0.24, ammo: 0.32, cloth: 0.1, bottle: 0.05, duct_tape: 0.05 }
+    },
+    count: { min: 10, max: 14 }
+  },
+
+  interiors: {
+    warmthBonus: 0
+  },
+
+  spawns: {
+    players: {
+      type: 'room' // Entry room
+    },
+    enemies: {
+      minDistanceFromPlayers: 20,
+      maxDistanceFromPlayers: 80,
+      spawnZones: [
+        { weight: 1, type: 'brood_chamber' }
+      ]
+    }
+  },
+
+  objectives: {
+    primary: {
+      type: 'defeat_and_escape',
+      items: [],
+      escapeZone: {
+        type: 'lift',
+        position: 'exit_room',
+        radius: 5
+      }
+    },
+    optional: []
+  },
+
+  enemies: {
+    types: ['normal', 'runner', 'thrower', 'brute'],
+    bossType: 'boss',
+    interiorAggressionBonus: 1,
+    packBehavior: true,
+    maxPackSize: 8
+  },
+
+  audio: {
+    ambience: ['dripping', 'pumps', 'distant_rumble', 'breathing'],
+    music: 'tension_finale',
+    interiorAmbience: ['dripping']
+  }
+};
+
+// Export for both Node.js and browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = THE_DEPTHS;
+}
+if (typeof window !== 'undefined') {
+  window.THE_DEPTHS = THE_DEPTHS;
+}
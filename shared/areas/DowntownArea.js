@@ -0,0 +1,285 @@
+// DowntownArea.js - Procedural generation definition for Downtown Ruins
+// Shared between server (generation) and client (rendering)
+
+const DOWNTOWN_RUINS = {
+  id: 'downtown_ruins',
+  name: 'Downtown Ruins',
+  description: 'A shattered financial district of gutted towers, collapsed facades and cratered avenues',
+
+  bounds: {
+    minX: -120,
+    maxX: 120,
+    minZ: -120,
+    maxZ: 120
+  },
+
+  // Visual theme - dust-choked grey
+  theme: {
+    fog: { color: 0x2a2826, near: 15, far: 90 },
+    sky: 0x141312,
+    ambient: { color: 0x3a3836, intensity: 0.35 },
+    directional: { color: 0xffe0c0, intensity: 0.35, position: { x: 60, y: 100, z: -20 } },
+    ground: 0x33302c,
+    road: 0x1e1e1e,
+    sidewalk: 0x45423e,
+    building: 0x4a4a50,
+    buildingVariation: 0x101010,
+    crater: 0x1a1816
+  },
+
+  // Tight grid of wide avenues
+  roads: {
+    main: {
+      width: 14,
+      count: { horizontal: 3, vertical: 3 },
+      spacing: { min: 55, max: 70 }
+    },
+    side: {
+      width: 8,
+      frequency: 0.3
+    },
+    alleys: {
+      width: 3,
+      frequency: 0.4
+    },
+    sidewalkWidth: 3,
+    details: {
+      cracks: true,
+      potholes: true,
+      manholes: true,
+      crosswalks: true
+    }
+  },
+
+  blocks: {
+    minSize: 25,
+    maxSize: 45,
+    buildingDensity: 0.8,
+    innerCourtyard: 0.1
+  },
+
+  buildings: {
+    types: [
+      {
+        id: 'office',
+        weight: 40,
+        floors: { min: 10, max: 22 },
+        width: { min: 14, max: 22 },
+        depth: { min: 14, max: 20 },
+        hasInterior: true,
+        interiorChance: 0.2,
+        style: 'corporate'
+      },
+      {
+        id: 'apartment',
+        weight: 15,
+        floors: { min: 5, max: 10 },
+        width: { min: 10, max: 15 },
+        depth: { min: 8, max: 12 },
+        hasInterior: true,
+        interiorChance: 0.3,
+        style: 'residential'
+      },
+      {
+        id: 'storefront',
+        weight: 15,
+        floors: { min: 2, max: 4 },
+        width: { min: 8, max: 12 },
+        depth: { min: 8, max: 12 },
+        hasInterior: true,
+        interiorChance: 0.4,
+        style: 'commercial',
+        awning: true
+      },
+      {
+        id: 'ruined',
+        weight: 30,
+        floors: { min: 3, max: 10 },
+        width: { min: 10, max: 18 },
+        depth: { min: 10, max: 16 },
+        hasInterior: false,
+        style: 'destroyed',
+        rubble: true
+      }
+    ],
+    windows: {
+      spacing: 3,
+      width: 1.4,
+      height: 2,
+      boardedChance: 0.1,
+      brokenChance: 0.7,
+      litChance: 0.02
+    },
+    doors: {
+      width: 2,
+      height: 3,
+      barricadedChance: 0.5
+    }
+  },
+
+  overpasses: {
+    count: { min: 0, max: 1 },
+    height: 9,
+    width: 14,
+    pillarSpacing: 15,
+    style: 'highway'
+  },
+
+  // Destruction density varies across the map with Perlin noise; the
+  // chances below are scaled by the local destruction level (0-1)
+  destruction: {
+    noiseScale: 0.03,
+    collapseChance: 0.6, // Buildings without interiors lose a section
+    brokenTopChance: 0.8, // Towers lose their upper floors
+    rubble: {
+      perCollapse: { min: 3, max: 6 },
+      size: { min: 1.5, max: 4 },
+      blockingSize: 2.5 // Piles at least this big block movement
+    },
+    streetRubble: {
+      count: { min: 30, max: 45 }
+    },
+    craters: {
+      count: { min: 8, max: 14 },
+      radius: { min: 3, max: 7 }
+    }
+  },
+
+  props: {
+    trash: {
+      density: 0.6,
+      types: ['paper', 'box', 'can', 'bottle', 'bag'],
+      clusters: true
+    },
+    barrelFires: {
+      count: { min: 8, max: 12 },
+      nearWalls: true,
+      warmthRadius: 8,
+      lightRadius: 10,
+      lightIntensity: 1.2,
+      lightColor: 0xff6622
+    },
+    shelters: {
+      count: { min: 3, max: 6 },
+      types: ['tarp', 'cardboard'],
+      clusterChance: 0.3
+    },
+    vehicles: {
+      count: { min: 20, max: 30 },
+      types: ['car', 'car', 'van', 'bus'],
+      burnedChance: 0.6,
+      onRoad: true,
+      parkingLots: false
+    },
+    streetFurniture: {
+      types: ['lamppost', 'bench', 'newspaper_box', 'dumpster'],
+      lamppostSpacing: 20,
+      dumpsterPerBlock: 1
+    },
+    graffiti: {
+      frequency: 0.3,
+      onWalls: true
+    },
+    glassZones: {
+      count: { min: 25, max: 35 },
+      radius: 2.5,
+      nearWindows: true
+    }
+  },
+
+  lootContainers: {
+    types: [
+      { id: 'crate', weight: 20, lootTable: 'supplies', position: 'any' },
+      { id: 'car_trunk', weight: 20, lootTable: 'vehicle', position: 'road' },
+      { id: 'locker', weight: 15, lootTable: 'weapons', position: 'interior' },
+      { id: 'cabinet', weight: 15, lootTable: 'medical', position: 'interior' },
+      { id: 'backpack', weight: 15, lootTable: 'survival', position: 'any' },
+      { id: 'dumpster', weight: 15, lootTable: 'trash', position: 'alley' }
+    ],
+    interiorMultiplier: 2.5,
+    tables: {
+      trash: { food: 0.16, ammo: 0.16, medicine: 0.08, nothing: 0.4, cloth: 0.08, bottle: 0.08, alcohol: 0.04 },
+      vehicle: { ammo: 0.28, pistol: 0.12, food: 0.12, medicine: 0.12, nothing: 0.16, duct_tape: 0.1, scrap_metal: 0.1 },
+      supplies: { ammo: 0.36, food: 0.2, blanket: 0.12, medicine: 0.12, cloth: 0.1, duct_tape: 0.1 },
+      weapons: { pistol: 0.2, shotgun: 0.25, smg: 0.25, rifle: 0.2, pipe: 0.1 },
+      medical: { medicine: 0.48, bandage: 0.24, nothing: 0.08, alcohol: 0.1, cloth: 0.1 },
+      survival: { food: 0.24, water: 0.24, blanket: 0.16, ammo: 0.16, cloth: 0.1, bottle: 0.05, duct_tape: 0.05 }
+    },
+    count: { min: 45, max: 60 }
+  },
+
+  interiors: {
+    warmthBonus: 0.4,
+    layouts: {
+      residential: {
+        rooms: ['living', 'kitchen', 'bedroom'],
+        furniture: ['couch', 'table', 'bed']
+      },
+      commercial: {
+        rooms: ['main', 'storage'],
+        furniture: ['counter', 'shelves']
+      },
+      corporate: {
+        rooms: ['lobby', 'office'],
+        furniture: ['desk', 'chair', 'cabinet']
+      }
+    }
+  },
+
+  spawns: {
+    players: {
+      type: 'zone',
+      zone: { minX: -15, maxX: 15, minZ: -15, maxZ: 15 },
+      avoidBuildings: true,
+      preferRoads: true
+    },
+    enemies: {
+      minDistanceFromPlayers: 25,
+      maxDistanceFromPlayers: 80,
+      spawnZones: [
+        { weight: 0.4, type: 'street' },
+        { weight: 0.3, type: 'alley' },
+        { weight: 0.3, type: 'building_interior' }
+      ]
+    }
+  },
+
+  objectives: {
+    primary: {
+      type: 'collect_and_escape',
+      items: [
+        { id: 'keycard', name: 'Keycard', count: 3, spawnIn: 'interior' }
+      ],
+      escapeZone: {
+        type: 'vehicle',
+        position: 'map_edge',
+        radius: 5
+      }
+    },
+    optional: [
+      { type: 'clear_building', reward: 'weapon_cache', occupants: { min: 3, max: 5 }, radius: 10 }
+    ]
+  },
+
+  enemies: {
+    types: ['normal', 'runner', 'thrower', 'brute'],
+    bossType: 'brute',
+    interiorAggressionBonus: 1.4,
+    packBehavior: true,
+    maxPackSize: 6
+  },
+
+  audio: {
+    ambience: ['wind', 'creaking_steel', 'falling_debris', 'distant_sirens'],
+    music: 'tension_urban',
+    interiorAmbience: ['dripping', 'creaking_floor', 'wind_through_glass']
+  }
+};
+
+// Export for both Node.js and browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DOWNTOWN_RUINS;
+}
+if (typeof window !== 'undefined') {
+  window.DOWNTOWN_RUINS = DOWNTOWN_RUINS;
+}
@@ -0,0 +1,304 @@
+// IndustrialArea.js - Procedural generation definition for Industrial Wasteland
+// Shared between server (generation) and client (rendering)
+
+const INDUSTRIAL_WASTELAND = {
+  id: 'industrial_wasteland',
+  name: 'Industrial Wasteland',
+  description: 'Fenced-off factory yards, rail lines and container stacks around leaking chemical plants',
+
+  bounds: {
+    minX: -130,
+    maxX: 130,
+    minZ: -130,
+    maxZ: 130
+  },
+
+  // Visual theme - smoggy, yellow-brown haze
+  theme: {
+    fog: { color: 0x2a2a22, near: 25, far: 110 },
+    sky: 0x15140f,
+    ambient: { color: 0x3a3a30, intensity: 0.35 },
+    directional: { color: 0xffe8c0, intensity: 0.45, position: { x: -40, y: 90, z: 30 } },
+    ground: 0x3a3630,
+    road: 0x222120,
+    sidewalk: 0x403c36,
+    building: 0x4a4640,
+    buildingVariation: 0x0a0a0a,
+    toxic: 0x66ff33
+  },
+
+  // Fewer, wider roads for trucks
+  roads: {
+    main: {
+      width: 14,
+      count: { horizontal: 2, vertical: 2 },
+      spacing: { min: 70, max: 100 }
+    },
+    side: {
+      width: 8,
+      frequency: 0.2
+    },
+    alleys: {
+      width: 4,
+      frequency: 0.2
+    },
+    sidewalkWidth: 2,
+    details: {
+      cracks: true,
+      potholes: true,
+      manholes: false,
+      crosswalks: false
+    }
+  },
+
+  blocks: {
+    minSize: 30,
+    maxSize: 70,
+    buildingDensity: 0.45,
+    innerCourtyard: 0.1
+  },
+
+  buildings: {
+    types: [
+      {
+        id: 'warehouse',
+        weight: 45,
+        floors: { min: 1, max: 2 },
+        width: { min: 16, max: 28 },
+        depth: { min: 12, max: 22 },
+        hasInterior: true,
+        interiorChance: 0.5,
+        style: 'industrial'
+      },
+      {
+        id: 'factory',
+        weight: 30,
+        floors: { min: 2, max: 4 },
+        width: { min: 18, max: 30 },
+        depth: { min: 15, max: 24 },
+        hasInterior: true,
+        interiorChance: 0.35,
+        style: 'industrial',
+        smokestack: true
+      },
+      {
+        id: 'office',
+        weight: 10,
+        floors: { min: 2, max: 4 },
+        width: { min: 10, max: 16 },
+        depth: { min: 10, max: 14 },
+        hasInterior: true,
+        interiorChance: 0.3,
+        style: 'corporate'
+      },
+      {
+        id: 'ruined',
+        weight: 15,
+        floors: { min: 1, max: 3 },
+        width: { min: 10, max: 18 },
+        depth: { min: 8, max: 14 },
+        hasInterior: false,
+        style: 'destroyed',
+        rubble: true
+      }
+    ],
+    windows: {
+      spacing: 3,
+      width: 1.6,
+      height: 1.2,
+      boardedChance: 0.2,
+      brokenChance: 0.5,
+      litChance: 0.05
+    },
+    doors: {
+      width: 3,
+      height: 3.5,
+      barricadedChance: 0.4
+    }
+  },
+
+  overpasses: {
+    count: { min: 0, max: 1 },
+    height: 9,
+    width: 14,
+    pillarSpacing: 18,
+    style: 'highway'
+  },
+
+  // Freight lines cutting across the map; buildings keep clear of them
+  rails: {
+    count: { min: 1, max: 2 },
+    bandWidth: 6, // Cleared strip either side included
+    gauge: 1.5
+  },
+
+  // Chain-link fences around some blocks. They stop movement but not sight or bullets.
+  fences: {
+    blockChance: 0.55,
+    gates: 2,
+    gateWidth: 5,
+    height: 2.5
+  },
+
+  // Shipping containers and crane bases can be climbed for a height advantage
+  containers: {
+    perBlock: { min: 2, max: 6 },
+    lengths: [6, 12],
+    width: 2.5,
+    height: 2.6,
+    colors: [0x8a3324, 0x2f5a7a, 0x4f6b2f, 0xa0782a, 0x5a5a5a]
+  },
+  cranes: {
+    chance: 0.35, // Per fenced block
+    baseSize: 4,
+    baseHeight: 2.5,
+    towerHeight: 20,
+    jibLength: 16
+  },
+
+  // Toxic spills drain health while standing in them
+  hazards: {
+    toxicSpills: {
+      count: { min: 6, max: 10 },
+      radius: { min: 2.5, max: 5 }
+    }
+  },
+
+  props: {
+    trash: {
+      density: 0.5,
+      types: ['bag', 'can', 'bottle', 'box', 'tire'],
+      clusters: true
+    },
+    barrelFires: {
+      count: { min: 8, max: 14 },
+      nearWalls: true,
+      warmthRadius: 8,
+      lightRadius: 10,
+      lightIntensity: 1.2,
+      lightColor: 0xff6622
+    },
+    shelters: {
+      count: { min: 3, max: 6 },
+      types: ['tent', 'tarp', 'cardboard'],
+      clusterChance: 0.3
+    },
+    vehicles: {
+      count: { min: 12, max: 20 },
+      types: ['truck', 'truck', 'van', 'car'],
+      burnedChance: 0.4,
+      onRoad: true,
+      parkingLots: true
+    },
+    streetFurniture: {
+      types: ['lamppost', 'dumpster'],
+      lamppostSpacing: 30,
+      dumpsterPerBlock: 2
+    },
+    graffiti: {
+      frequency: 0.3,
+      onWalls: true
+    },
+    glassZones: {
+      count: { min: 8, max: 14 },
+      radius: 2,
+      nearWindows: true
+    }
+  },
+
+  lootContainers: {
+    types: [
+      { id: 'crate', weight: 35, lootTable: 'supplies', position: 'any' },
+      { id: 'locker', weight: 20, lootTable: 'weapons', position: 'interior' },
+      { id: 'cabinet', weight: 10, lootTable: 'medical', position: 'interior' },
+      { id: 'dumpster', weight: 15, lootTable: 'trash', position: 'alley' },
+      { id: 'car_trunk', weight: 10, lootTable: 'vehicle', position: 'road' },
+      { id: 'backpack', weight: 10, lootTable: 'survival', position: 'any' }
+    ],
+    interiorMultiplier: 2.5,
+    tables: {
+      trash: { food: 0.16, ammo: 0.16, medicine: 0.08, nothing: 0.4, cloth: 0.08, bottle: 0.08, alcohol: 0.04 },
+      vehicle: { ammo: 0.28, pistol: 0.12, food: 0.12, medicine: 0.12, nothing: 0.16, duct_tape: 0.1, scrap_metal: 0.1 },
+      supplies: { ammo: 0.36, food: 0.2, blanket: 0.12, medicine: 0.12, cloth: 0.1, duct_tape: 0.1 },
+      weapons: { pistol: 0.25, shotgun: 0.25, smg: 0.2, rifle: 0.15, pipe: 0.15 },
+      medical: { medicine: 0.48, bandage: 0.24, nothing: 0.08, alcohol: 0.1, cloth: 0.1 },
+      survival: { food: 0.24, water: 0.24, blanket: 0.16, ammo: 0.16, cloth: 0.1, bottle: 0.05, duct_tape: 0.05 }
+    },
+    count: { min: 40, max: 55 }
+  },
+
+  interiors: {
+    warmthBonus: 0.4,
+    layouts: {
+      residential: {
+        rooms: ['main'],
+        furniture: ['table', 'cabinet']
+      },
+      industrial: {
+        rooms: ['main', 'office'],
+        furniture: ['crates', 'machinery', 'desk']
+      },
+      corporate: {
+        rooms: ['main', 'office'],
+        furniture: ['desk', 'chair', 'cabinet']
+      }
+    }
+  },
+
+  spawns: {
+    players: {
+      type: 'zone',
+      zone: { minX: -15, maxX: 15, minZ: -15, maxZ: 15 },
+      avoidBuildings: true,
+      preferRoads: true
+    },
+    enemies: {
+      minDistanceFromPlayers: 25,
+      maxDistanceFromPlayers: 90,
+      spawnZones: [
+        { weight: 0.4, type: 'street' },
+        { weight: 0.3, type: 'building_interior' },
+        { weight: 0.3, type: 'yard' }
+      ]
+    }
+  },
+
+  objectives: {
+    primary: {
+      type: 'collect_and_escape',
+      items: [
+        { id: 'fuel_canister', name: 'Fuel Canister', count: 3, spawnIn: 'interior' }
+      ],
+      escapeZone: {
+        type: 'vehicle',
+        position: 'map_edge',
+        radius: 6
+      }
+    },
+    optional: [
+      { type: 'clear_building', reward: 'weapon_cache', occupants: { min: 3, max: 5 }, radius: 10 }
+    ]
+  },
+
+  enemies: {
+    types: ['normal', 'runner', 'thrower', 'brute'],
+    bossType: 'brute',
+    interiorAggressionBonus: 1.2,
+    packBehavior: true,
+    maxPackSize: 5
+  },
+
+  audio: {
+    ambience: ['wind', 'metal_creaking', 'distant_machinery', 'hissing_pipes'],
+    music: 'tension_industrial',
+    interiorAmbience: ['dripping', 'humming_pipes']
+  }
+};
+
+// Export for both Node.js and browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = INDUSTRIAL_WASTELAND;
+}
+if (typeof window !== 'undefined') {
+  window.INDUSTRIAL_WASTELAND = INDUSTRIAL_WASTELAND;
+}
@@ -208,12 +208,12 @@ const SKID_ROW = {
     interiorMultiplier: 2.5,
     // Loot tables
     tables: {
-      trash: { food: 0.3, ammo: 0.1, medicine: 0.1, nothing: 0.5 },
-      vehicle: { ammo: 0.3, pistol: 0.15, food: 0.2, medicine: 0.15, nothing: 0.2 },
-      supplies: { ammo: 0.4, food: 0.3, blanket: 0.2, medicine: 0.1 },
+      trash: { food: 0.24, ammo: 0.08, medicine: 0.08, nothing: 0.4, cloth: 0.08, bottle: 0.08, alcohol: 0.04 },
+      vehicle: { ammo: 0.24, pistol: 0.12, food: 0.16, medicine: 0.12, nothing: 0.16, duct_tape: 0.1, scrap_metal: 0.1 },
+      supplies: { ammo: 0.32, food: 0.24, blanket: 0.16, medicine: 0.08, cloth: 0.1, duct_tape: 0.1 },
       weapons: { pistol: 0.3, shotgun: 0.2, smg: 0.15, rifle: 0.1, bat: 0.15, pipe: 0.1 },
-      medical: { medicine: 0.6, bandage: 0.3, nothing: 0.1 },
-      survival: { food: 0.3, water: 0.3, blanket: 0.2, ammo: 0.2 },
+      medical: { medicine: 0.48, bandage: 0.24, nothing: 0.08, alcohol: 0.1, cloth: 0.1 },
+      survival: { food: 0.24, water: 0.24, blanket: 0.16, ammo: 0.16, cloth: 0.1, bottle: 0.05, duct_tape: 0.05 },
       food: { food: 0.7, water: 0.3 }
     },
     count: { min: 40, max: 60 }
@@ -275,9 +275,11 @@ const SKID_ROW = {
         radius: 5
       }
     },
+    // A survivor to escort to the extraction point, and an occupied building
+    // whose weapon cache unlocks once no enemies are left within radius
     optional: [
       { type: 'rescue_survivor', reward: 'ally_npc' },
-      { type: 'clear_building', reward: 'weapon_cache' }
+      { type: 'clear_building', reward: 'weapon_cache', occupants: { min: 3, max: 5 }, radius: 10 }
     ]
   },
   
@@ -303,6 +305,7 @@ const SKID_ROW = {
 // Export for both Node.js and browser
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = SKID_ROW;
-} else if (typeof window !== 'undefined') {
+}
+if (typeof window !== 'undefined') {
   window.SKID_ROW = SKID_ROW;
 }
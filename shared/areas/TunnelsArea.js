@@ -0,0 +1,165 @@
+// TunnelsArea.js - Procedural generation definition for The Tunnels
+// Shared between server (generation) and client (rendering)
+
+const THE_TUNNELS = {
+  id: 'the_tunnels',
+  name: 'The Tunnels',
+  description: 'A flooded maze of sewer corridors and maintenance rooms beneath the city',
+
+  // Generated as a corridor network instead of roads and city blocks
+  layout: 'tunnels',
+
+  bounds: {
+    minX: -100,
+    maxX: 100,
+    minZ: -100,
+    maxZ: 100
+  },
+
+  // Visual theme - dark, close fog, no sky
+  theme: {
+    fog: { color: 0x0a0c0a, near: 4, far: 32 },
+    sky: 0x050605,
+    ambient: { color: 0x2a322a, intensity: 0.3 },
+    directional: { color: 0x99aa99, intensity: 0.1, position: { x: 10, y: 40, z: 10 } },
+    ground: 0x1e201c,
+    road: 0x1a1a1a,
+    sidewalk: 0x2a2a28,
+    building: 0x34302a,
+    buildingVariation: 0x050505,
+    wall: 0x34302a,
+    ceiling: 0x181816,
+    water: 0x1f3a30
+  },
+
+  // Corridor network - a maze over a lattice of nodes, with a few extra loops
+  tunnels: {
+    nodeSpacing: 20,
+    nodeCount: 9, // Nodes per side
+    loopChance: 0.15, // Chance of an extra corridor that closes a loop
+    corridorWidth: { main: 6, side: 3 },
+    ceilingHeight: 4.5,
+    // Junction rooms where three or more corridors meet
+    junctions: {
+      chance: 0.6,
+      halfSize: { min: 5, max: 7 }
+    },
+    // Dead-end side tunnels off unused node directions
+    sideTunnels: {
+      chance: 0.45,
+      length: { min: 5, max: 8 }
+    },
+    // Maintenance rooms at the end of some side tunnels
+    maintenanceRooms: {
+      chance: 0.4,
+      size: { min: 6, max: 9 }
+    },
+    // Flooded channels that leave a one-unit ledge on each side
+    waterChannels: {
+      chance: 0.35,
+      ledge: 1
+    }
+  },
+
+  // Environmental props
+  props: {
+    trash: {
+      density: 0.5,
+      types: ['bag', 'can', 'bottle', 'paper', 'box', 'tire'],
+      clusters: true
+    },
+    // Barrel fires burn in junction rooms
+    barrelFires: {
+      count: { min: 5, max: 9 },
+      warmthRadius: 7,
+      lightRadius: 12,
+      lightIntensity: 1.4,
+      lightColor: 0xff7733
+    },
+    // Ladders up to the street; one of them is the way out
+    manholes: {
+      count: { min: 3, max: 5 }
+    }
+  },
+
+  // Loot containers - most sit in maintenance rooms
+  lootContainers: {
+    types: [
+      { id: 'locker', weight: 25, lootTable: 'weapons', position: 'interior' },
+      { id: 'cabinet', weight: 20, lootTable: 'medical', position: 'interior' },
+      { id: 'crate', weight: 25, lootTable: 'supplies', position: 'interior' },
+      { id: 'backpack', weight: 20, lootTable: 'survival', position: 'tunnel' },
+      { id: 'cooler', weight: 10, lootTable: 'food', position: 'tunnel' }
+    ],
+    interiorMultiplier: 2,
+    tables: {
+      supplies: { ammo: 0.32, food: 0.24, blanket: 0.16, medicine: 0.08, cloth: 0.1, duct_tape: 0.1 },
+      weapons: { pistol: 0.25, shotgun: 0.25, smg: 0.2, rifle: 0.1, pipe: 0.2 },
+      medical: { medicine: 0.48, bandage: 0.24, nothing: 0.08, alcohol: 0.1, cloth: 0.1 },
+      survival: { food: 0.24, water: 0.24, blanket: 0.16, ammo: 0.16, cloth: 0.1, bottle: 0.05, duct_tape: 0.05 },
+      food: { food: 0.7, water: 0.3 }
+    },
+    count: { min: 25, max: 35 }
+  },
+
+  // Maintenance rooms count as interiors
+  interiors: {
+    warmthBonus: 0.5
+  },
+
+  // Spawn configuration
+  spawns: {
+    players: {
+      type: 'room' // Central junction room
+    },
+    enemies: {
+      minDistanceFromPlayers: 20,
+      maxDistanceFromPlayers: 70,
+      spawnZones: [
+        { weight: 1, type: 'side_tunnel' }
+      ]
+    }
+  },
+
+  // Objective configuration
+  objectives: {
+    primary: {
+      type: 'collect_and_escape',
+      items: [
+        { id: 'valve_wheel', name: 'Valve Wheel', count: 3, spawnIn: 'interior' }
+      ],
+      escapeZone: {
+        type: 'manhole',
+        position: 'farthest_node',
+        radius: 4
+      }
+    },
+    optional: [
+      { type: 'rescue_survivor', reward: 'ally_npc' }
+    ]
+  },
+
+  // Enemy behavior modifiers for this area
+  enemies: {
+    types: ['normal', 'runner'],
+    bossType: 'brute',
+    interiorAggressionBonus: 1.5,
+    packBehavior: true,
+    maxPackSize: 5
+  },
+
+  // Audio atmosphere
+  audio: {
+    ambience: ['dripping', 'running_water', 'distant_rumble', 'rats'],
+    music: 'tension_underground',
+    interiorAmbience: ['dripping', 'humming_pipes']
+  }
+};
+
+// Export for both Node.js and browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = THE_TUNNELS;
+}
+if (typeof window !== 'undefined') {
+  window.THE_TUNNELS = THE_TUNNELS;
+}
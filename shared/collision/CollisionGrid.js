@@ -0,0 +1,250 @@
+// CollisionGrid.js - Walkability grid built from generated map data
+// Shared between server (collision, pathfinding) and client (movement prediction).
+// Both sides build it from the same mapData, so they agree cell for cell.
+
+const CELL = {
+  WALKABLE: 0,
+  BLOCKED: 1,
+  WATER: 2, // Walkable and see-through, but slow
+  FENCE: 3, // Blocks movement but not sight or bullets
+  CLIMBABLE: 4 // Containers and crane bases; walkable on top, blocks sight from the ground
+};
+
+// Movement speed multiplier for cells that slow entities down
+const SPEED_MULTIPLIER = {
+  [CELL.WATER]: 0.55,
+  [CELL.CLIMBABLE]: 0.5 // Climbing up and moving across the top
+};
+
+class CollisionGrid {
+  constructor(bounds, resolution = 0.5) {
+    this.bounds = bounds;
+    this.resolution = resolution;
+    this.width = Math.ceil((bounds.maxX - bounds.minX) / resolution);
+    this.height = Math.ceil((bounds.maxZ - bounds.minZ) / resolution);
+    this.cells = new Uint8Array(this.width * this.height);
+  }
+  
+  // Build the grid for a map. mapData is MapManager.toClientData() output.
+  static fromMapData(mapData, resolution = 0.5) {
+    const grid = new CollisionGrid(mapData.bounds, resolution);
+    
+    // Underground areas start as solid rock with the tunnels carved out
+    const tunnels = mapData.tunnels || [];
+    if (tunnels.length > 0) {
+      grid.cells.fill(CELL.BLOCKED);
+      for (const space of [...tunnels, ...(mapData.rooms || [])]) {
+        const b = space.bounds;
+        grid.fillRectangle(b.minX, b.minZ, b.maxX, b.maxZ, CELL.WALKABLE);
+      }
+    }
+    
+    for (const channel of mapData.waterChannels || []) {
+      const b = channel.bounds;
+      grid.fillRectangle(b.minX, b.minZ, b.maxX, b.maxZ, CELL.WATER);
+    }
+    
+    // Mark buildings as blocked; collapsed ones only where they still stand
+    for (const building of mapData.buildings) {
+      if (building.standing) {
+        const s = building.standing;
+        grid.markRectangle(s.minX, s.minZ, s.maxX, s.maxZ, CELL.BLOCKED);
+        continue;
+      }
+      grid.markRectangle(
+        building.position.x - building.dimensions.width / 2,
+        building.position.z - building.dimensions.depth / 2,
+        building.position.x + building.dimensions.width / 2,
+        building.position.z + building.dimensions.depth / 2,
+        CELL.BLOCKED
+      );
+    }
+    
+    // Mark overpass pillars as blocked
+    for (const overpass of mapData.overpasses) {
+      for (const pillar of overpass.pillars) {
+        grid.markRectangle(
+          pillar.position.x - 1,
+          pillar.position.z - 1,
+          pillar.position.x + 1,
+          pillar.position.z + 1,
+          CELL.BLOCKED
+        );
+      }
+    }
+    
+    // Mark some vehicles as blocked (larger ones)
+    for (const prop of mapData.props) {
+      if (prop.type === 'vehicle') {
+        const size = prop.subtype === 'bus' ? 5 : prop.subtype === 'truck' ? 3 : 2;
+        grid.markRectangle(
+          prop.position.x - size,
+          prop.position.z - 1.5,
+          prop.position.x + size,
+          prop.position.z + 1.5,
+          CELL.BLOCKED
+        );
+      } else if (prop.type === 'dumpster') {
+        grid.markRectangle(
+          prop.position.x - 1.5,
+          prop.position.z - 1,
+          prop.position.x + 1.5,
+          prop.position.z + 1,
+          CELL.BLOCKED
+        );
+      } else if (prop.type === 'rubble_pile' && prop.blocking) {
+        const half = prop.size * 0.4;
+        grid.markRectangle(
+          prop.position.x - half,
+          prop.position.z - half,
+          prop.position.x + half,
+          prop.position.z + half,
+          CELL.BLOCKED
+        );
+      } else if (prop.type === 'pillar') {
+        const half = prop.size / 2;
+        grid.markRectangle(
+          prop.position.x - half,
+          prop.position.z - half,
+          prop.position.x + half,
+          prop.position.z + half,
+          CELL.BLOCKED
+        );
+      } else if (prop.climbable) {
+        grid.fillRectangle(
+          prop.position.x - prop.dimensions.width / 2,
+          prop.position.z - prop.dimensions.depth / 2,
+          prop.position.x + prop.dimensions.width / 2,
+          prop.position.z + prop.dimensions.depth / 2,
+          CELL.CLIMBABLE
+        );
+      }
+    }
+    
+    // Clear doorways for interior buildings
+    for (const interior of mapData.interiors) {
+      if (!interior.door.barricaded) {
+        const door = interior.door;
+        grid.markRectangle(
+          door.position.x - 1,
+          door.position.z - 1,
+          door.position.x + 1,
+          door.position.z + 1,
+          CELL.WALKABLE
+        );
+      }
+    }
+    
+    // Fences go in last so nothing clears a hole through them
+    for (const fence of mapData.fences || []) {
+      grid.markRectangle(
+        Math.min(fence.start.x, fence.end.x) - 0.25,
+        Math.min(fence.start.z, fence.end.z) - 0.25,
+        Math.max(fence.start.x, fence.end.x) + 0.25,
+        Math.max(fence.start.z, fence.end.z) + 0.25,
+        CELL.FENCE
+      );
+    }
+    
+    return grid;
+  }
+  
+  // Set every cell overlapping a world-space rectangle
+  markRectangle(minX, minZ, maxX, maxZ, value) {
+    const bounds = this.bounds;
+    
+    const startX = Math.max(0, Math.floor((minX - bounds.minX) / this.resolution));
+    const endX = Math.min(this.width - 1, Math.ceil((maxX - bounds.minX) / this.resolution));
+    const startZ = Math.max(0, Math.floor((minZ - bounds.minZ) / this.resolution));
+    const endZ = Math.min(this.height - 1, Math.ceil((maxZ - bounds.minZ) / this.resolution));
+    
+    for (let x = startX; x <= endX; x++) {
+      for (let z = startZ; z <= endZ; z++) {
+        this.cells[z * this.width + x] = value;
+      }
+    }
+  }
+  
+  // Set only the cells whose centers fall inside a world-space rectangle, so
+  // carved spaces end exactly on their edges
+  fillRectangle(minX, minZ, maxX, maxZ, value) {
+    const bounds = this.bounds;
+    
+    const startX = Math.max(0, Math.ceil((minX - bounds.minX) / this.resolution - 0.5));
+    const endX = Math.min(this.width - 1, Math.floor((maxX - bounds.minX) / this.resolution - 0.5));
+    const startZ = Math.max(0, Math.ceil((minZ - bounds.minZ) / this.resolution - 0.5));
+    const endZ = Math.min(this.height - 1, Math.floor((maxZ - bounds.minZ) / this.resolution - 0.5));
+    
+    for (let x = startX; x <= endX; x++) {
+      for (let z = startZ; z <= endZ; z++) {
+        this.cells[z * this.width + x] = value;
+      }
+    }
+  }
+  
+  // Cell value at a world position, or null when outside the map
+  getCell(worldX, worldZ) {
+    const bounds = this.bounds;
+    
+    if (worldX < bounds.minX || worldX > bounds.maxX || worldZ < bounds.minZ || worldZ > bounds.maxZ) {
+      return null;
+    }
+    
+    const gridX = Math.floor((worldX - bounds.minX) / this.resolution);
+    const gridZ = Math.floor((worldZ - bounds.minZ) / this.resolution);
+    
+    if (gridX < 0 || gridX >= this.width || gridZ < 0 || gridZ >= this.height) {
+      return null;
+    }
+    
+    return this.cells[gridZ * this.width + gridX];
+  }
+  
+  // Out of bounds is blocked
+  isBlocked(worldX, worldZ) {
+    const cell = this.getCell(worldX, worldZ);
+    return cell === null || cell === CELL.BLOCKED || cell === CELL.FENCE;
+  }
+  
+  // Cells that stop line of sight at ground level. Fences are see-through.
+  blocksSight(worldX, worldZ) {
+    const cell = this.getCell(worldX, worldZ);
+    return cell === null || cell === CELL.BLOCKED || cell === CELL.CLIMBABLE;
+  }
+  
+  // Walls and buildings, which stop everything including bullets
+  isSolid(worldX, worldZ) {
+    const cell = this.getCell(worldX, worldZ);
+    return cell === null || cell === CELL.BLOCKED;
+  }
+  
+  isClimbable(worldX, worldZ) {
+    return this.getCell(worldX, worldZ) === CELL.CLIMBABLE;
+  }
+  
+  // How fast entities move over the cell at a position (1 = normal speed)
+  getSpeedMultiplier(worldX, worldZ) {
+    return SPEED_MULTIPLIER[this.getCell(worldX, worldZ)] || 1;
+  }
+  
+  // Plain data for the pathfinding worker
+  toCollisionData() {
+    return {
+      grid: this.cells,
+      width: this.width,
+      height: this.height,
+      resolution: this.resolution,
+      bounds: this.bounds
+    };
+  }
+}
+
+CollisionGrid.CELL = CELL;
+
+// Export for both Node.js and browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CollisionGrid;
+}
+if (typeof window !== 'undefined') {
+  window.CollisionGrid = CollisionGrid;
+}
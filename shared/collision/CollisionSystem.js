@@ -1,14 +1,19 @@
 // CollisionSystem.js - Handles collision detection and resolution with wall sliding
-// Server-authoritative collision system
+// Shared so client prediction moves players exactly like the server does
 
 class CollisionSystem {
-  constructor(mapManager) {
-    this.mapManager = mapManager;
-    this.collisionData = mapManager.getCollisionData();
+  // grid: a CollisionGrid, mapData: MapManager.toClientData() output
+  constructor(grid, mapData) {
+    this.grid = grid;
+    this.mapData = mapData;
     
     // Entity radius for collision (approximate)
     this.playerRadius = 0.4;
     this.enemyRadius = 0.5;
+    this.playerEyeHeight = 1.6;
+    
+    // Props that can be climbed for height (containers, crane bases)
+    this.climbables = (mapData.props || []).filter(p => p.climbable);
     
     // Wall slide parameters
     this.slideSmoothing = 0.8; // How smoothly to slide along walls
@@ -16,7 +21,7 @@ class CollisionSystem {
   
   // Check if a position is walkable
   isWalkable(x, z) {
-    return !this.mapManager.isBlocked(x, z);
+    return !this.grid.isBlocked(x, z);
   }
   
   // Check if a circle at position is walkable (for entities with radius)
@@ -39,9 +44,14 @@ class CollisionSystem {
   // Move an entity with collision and wall sliding
   // Returns the actual new position after collision resolution
   moveWithCollision(currentX, currentZ, desiredX, desiredZ, radius) {
+    // Terrain under the entity (water) shortens the step
+    const terrainSpeed = this.grid.getSpeedMultiplier(currentX, currentZ);
+    const dx = (desiredX - currentX) * terrainSpeed;
+    const dz = (desiredZ - currentZ) * terrainSpeed;
+    desiredX = currentX + dx;
+    desiredZ = currentZ + dz;
+    
     // If no movement, return current position
-    const dx = desiredX - currentX;
-    const dz = desiredZ - currentZ;
     if (Math.abs(dx) < 0.001 && Math.abs(dz) < 0.001) {
       return { x: currentX, z: currentZ };
     }
@@ -128,7 +138,7 @@ class CollisionSystem {
     
     return {
       x: result.x,
-      y: currentPos.y, // Preserve Y (height)
+      y: this.playerEyeHeight + this.getClimbHeight(result.x, result.z),
       z: result.z
     };
   }
@@ -143,13 +153,29 @@ class CollisionSystem {
     
     return {
       x: result.x,
-      y: currentPos.y, // Preserve Y
+      y: this.getClimbHeight(result.x, result.z), // Feet height
       z: result.z
     };
   }
   
-  // Check line of sight between two points
+  // Height of the climbable prop under a position, or 0 on the ground
+  getClimbHeight(x, z) {
+    if (!this.grid.isClimbable(x, z)) return 0;
+    
+    for (const prop of this.climbables) {
+      if (Math.abs(x - prop.position.x) <= prop.dimensions.width / 2 + this.grid.resolution &&
+          Math.abs(z - prop.position.z) <= prop.dimensions.depth / 2 + this.grid.resolution) {
+        return prop.height;
+      }
+    }
+    return 0;
+  }
+  
+  // Check line of sight between two points. Fences never block it; climbable
+  // props block it unless one end is standing on top of one.
   hasLineOfSight(x1, z1, x2, z2) {
+    const elevated = this.grid.isClimbable(x1, z1) || this.grid.isClimbable(x2, z2);
+
     const dx = x2 - x1;
     const dz = z2 - z1;
     const dist = Math.sqrt(dx * dx + dz * dz);
@@ -157,7 +183,7 @@ class CollisionSystem {
     if (dist < 0.1) return true;
     
     // Step along the line and check for obstacles
-    const steps = Math.ceil(dist / this.collisionData.resolution);
+    const steps = Math.ceil(dist / this.grid.resolution);
     const stepX = dx / steps;
     const stepZ = dz / steps;
     
@@ -165,7 +191,8 @@ class CollisionSystem {
       const checkX = x1 + stepX * i;
       const checkZ = z1 + stepZ * i;
       
-      if (!this.isWalkable(checkX, checkZ)) {
+      if (this.grid.blocksSight(checkX, checkZ) &&
+          !(elevated && this.grid.isClimbable(checkX, checkZ))) {
         return false;
       }
     }
@@ -173,6 +200,14 @@ class CollisionSystem {
     return true;
   }
   
+  // Whether a bullet or thrown object at this point hits something solid.
+  // Fences let shots through; climbable props only stop shots below their top.
+  blocksProjectile(x, y, z) {
+    if (this.grid.isSolid(x, z)) return true;
+    if (this.grid.isClimbable(x, z)) return y < this.getClimbHeight(x, z);
+    return false;
+  }
+  
   // Find nearest walkable position to a point
   findNearestWalkable(x, z, maxSearchRadius = 10) {
     if (this.isWalkable(x, z)) {
@@ -180,7 +215,7 @@ class CollisionSystem {
     }
     
     // Spiral outward search
-    const step = this.collisionData.resolution;
+    const step = this.grid.resolution;
     
     for (let radius = step; radius <= maxSearchRadius; radius += step) {
       // Check points in a circle at this radius
@@ -204,7 +239,7 @@ class CollisionSystem {
   
   // Check if entity is inside a building interior
   isInInterior(x, z) {
-    for (const interior of this.mapManager.data.interiors) {
+    for (const interior of this.mapData.interiors) {
       if (x >= interior.bounds.minX && x <= interior.bounds.maxX &&
           z >= interior.bounds.minZ && z <= interior.bounds.maxZ) {
         return interior;
@@ -215,7 +250,7 @@ class CollisionSystem {
   
   // Check if position is near a barrel fire (for warmth)
   getNearbyBarrelFire(x, z) {
-    for (const fire of this.mapManager.data.barrelFires) {
+    for (const fire of this.mapData.barrelFires) {
       const dx = fire.position.x - x;
       const dz = fire.position.z - z;
       const dist = Math.sqrt(dx * dx + dz * dz);
@@ -233,16 +268,29 @@ class CollisionSystem {
   
   // Clamp position to map bounds
   clampToMap(x, z) {
-    const bounds = this.mapManager.area.bounds;
+    const bounds = this.mapData.bounds;
     return {
       x: Math.max(bounds.minX + 1, Math.min(bounds.maxX - 1, x)),
       z: Math.max(bounds.minZ + 1, Math.min(bounds.maxZ - 1, z))
     };
   }
   
+  // Hazard zone (toxic spill) at a position
+  getHazardAt(x, z) {
+    for (const hazard of this.mapData.hazards || []) {
+      const dx = hazard.position.x - x;
+      const dz = hazard.position.z - z;
+      
+      if (dx * dx + dz * dz <= hazard.radius * hazard.radius) {
+        return hazard;
+      }
+    }
+    return null;
+  }
+  
   // Get all glass zones at a position
   getGlassZoneAt(x, z) {
-    for (const prop of this.mapManager.data.props) {
+    for (const prop of this.mapData.props) {
       if (prop.type === 'glass_zone' && !prop.broken) {
         const dx = prop.position.x - x;
         const dz = prop.position.z - z;
@@ -257,4 +305,10 @@ class CollisionSystem {
   }
 }
 
-module.exports = CollisionSystem;
+// Export for both Node.js and browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CollisionSystem;
+}
+if (typeof window !== 'undefined') {
+  window.CollisionSystem = CollisionSystem;
+}
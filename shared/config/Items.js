@@ -0,0 +1,65 @@
+// Items.js - Inventory item definitions
+// Shared between server (inventory validation) and client (inventory panel)
+
+// category: weapon, ammo, consumable or material (crafting ingredient, see Recipes.js)
+// stack: most of the item one slot holds; weight: carry weight per unit
+// use: stat changes when a consumable is used, capped at the stat's maximum
+// cures: status effects (see StatusEffects.js) a consumable ends
+const ITEMS = {
+  knife: { name: 'Knife', icon: '🗡️', category: 'weapon', stack: 1, weight: 0.5 },
+  bat: { name: 'Bat', icon: '🏏', category: 'weapon', stack: 1, weight: 2 },
+  pipe: { name: 'Pipe', icon: '🔧', category: 'weapon', stack: 1, weight: 2 },
+  pistol: { name: 'Pistol', icon: '🔫', category: 'weapon', stack: 1, weight: 1 },
+  shotgun: { name: 'Shotgun', icon: '💥', category: 'weapon', stack: 1, weight: 3.5 },
+  smg: { name: 'SMG', icon: '⚡', category: 'weapon', stack: 1, weight: 3 },
+  rifle: { name: 'Rifle', icon: '🎯', category: 'weapon', stack: 1, weight: 4 },
+  reinforced_pipe: { name: 'Reinforced Pipe', icon: '🛠️', category: 'weapon', stack: 1, weight: 2.5 },
+  molotov: { name: 'Molotov', icon: '🔥', category: 'weapon', stack: 3, weight: 0.8 },
+
+  ammo_9mm: { name: '9mm Rounds', icon: '🟡', category: 'ammo', stack: 90, weight: 0.02 },
+  ammo_shells: { name: 'Shotgun Shells', icon: '🔴', category: 'ammo', stack: 30, weight: 0.05 },
+  ammo_rifle: { name: 'Rifle Rounds', icon: '🟠', category: 'ammo', stack: 40, weight: 0.04 },
+
+  food: { name: 'Food', icon: '🍞', category: 'consumable', stack: 5, weight: 0.5, use: { hunger: 25 } },
+  water: { name: 'Water', icon: '💧', category: 'consumable', stack: 5, weight: 0.5, use: { hunger: 15, energy: 20 } },
+  medicine: { name: 'Medicine', icon: '💊', category: 'consumable', stack: 5, weight: 0.2, use: { health: 20 }, cures: ['infection'] },
+  blanket: { name: 'Blanket', icon: '🧥', category: 'consumable', stack: 1, weight: 1.5, use: { warmth: 30 } },
+  bandage: { name: 'Bandage', icon: '🩹', category: 'consumable', stack: 10, weight: 0.1, use: { health: 5 }, cures: ['bleeding'] },
+
+  cloth: { name: 'Cloth', icon: '🧵', category: 'material', stack: 10, weight: 0.1 },
+  scrap_metal: { name: 'Scrap Metal', icon: '🔩', category: 'material', stack: 10, weight: 0.5 },
+  duct_tape: { name: 'Duct Tape', icon: '🎗️', category: 'material', stack: 10, weight: 0.2 },
+  alcohol: { name: 'Alcohol', icon: '🍾', category: 'material', stack: 5, weight: 0.5 },
+  bottle: { name: 'Empty Bottle', icon: '🫙', category: 'material', stack: 5, weight: 0.3 }
+};
+
+// Loot tables just say 'ammo'; each drop becomes a box of one family, picked by weight
+const AMMO_BOXES = {
+  ammo_9mm: { quantity: 15, weight: 0.5 },
+  ammo_shells: { quantity: 6, weight: 0.3 },
+  ammo_rifle: { quantity: 8, weight: 0.2 }
+};
+
+// The first hotbarSlots slots are picked with the number keys; the weapon in
+// the selected one is what the player attacks with. giveRange is how close a
+// teammate has to be to be handed something.
+const INVENTORY = {
+  slots: 16,
+  hotbarSlots: 4,
+  carryCapacity: 20,
+  giveRange: 3,
+  starting: [
+    { slot: 0, item: 'knife', quantity: 1 },
+    { slot: 4, item: 'ammo_9mm', quantity: 30 }
+  ]
+};
+
+// Export for both Node.js and browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ITEMS, AMMO_BOXES, INVENTORY };
+}
+if (typeof window !== 'undefined') {
+  window.ITEMS = ITEMS;
+  window.AMMO_BOXES = AMMO_BOXES;
+  window.INVENTORY = INVENTORY;
+}
@@ -0,0 +1,71 @@
+// PlayerMovement.js - Player movement rules shared by client and server
+// The server simulates numbered input commands with these; the client runs
+// the same numbers to predict its own movement.
+
+// Speeds are in world units per second
+const PLAYER_MOVEMENT = {
+  walkSpeed: 7.2,
+  sprintMultiplier: 1.5,
+  downedSpeed: 1.8,
+  
+  // Energy drained per second of sprinting; it recovers at energyRegen per
+  // second (scaled by status effects) once the player hasn't sprinted for
+  // regenDelay seconds
+  sprintEnergyCost: 6,
+  energyRegen: 1,
+  regenDelay: 1,
+  
+  // Server-side input validation
+  maxInputDt: 0.1,         // Longest frame a single input may cover, in seconds
+  maxInputsPerPacket: 60,
+  tolerance: 1.2,          // Slack on simulated time versus real time, for jitter
+  maxBudgetSeconds: 0.5    // Most simulated time a player can bank between packets
+};
+
+// Speed multipliers granted by perks
+const MOVEMENT_PERK_MODIFIERS = {
+  speed_boost: 1.15
+};
+
+// World-space direction for a movement input. moveX is strafe (+ right),
+// moveZ is forward/back (- forward), yaw is the camera heading.
+function getMoveDirection(moveX, moveZ, yaw) {
+  const length = Math.sqrt(moveX * moveX + moveZ * moveZ);
+  if (length === 0) return { x: 0, z: 0 };
+  
+  const x = moveX / length;
+  const z = moveZ / length;
+  const cosYaw = Math.cos(yaw);
+  const sinYaw = Math.sin(yaw);
+  return {
+    x: x * cosYaw + z * sinYaw,
+    z: -x * sinYaw + z * cosYaw
+  };
+}
+
+// Stamina on anything with energy and staminaDelay: the server runs these on
+// players, the client on its own predicted stats
+function drainSprintEnergy(entity, dt) {
+  entity.energy = Math.max(0, entity.energy - PLAYER_MOVEMENT.sprintEnergyCost * dt);
+  entity.staminaDelay = PLAYER_MOVEMENT.regenDelay;
+}
+
+function recoverEnergy(entity, dt, regenMultiplier = 1) {
+  if (entity.staminaDelay > 0) {
+    entity.staminaDelay = Math.max(0, entity.staminaDelay - dt);
+    return;
+  }
+  entity.energy = Math.min(100, entity.energy + PLAYER_MOVEMENT.energyRegen * regenMultiplier * dt);
+}
+
+// Export for both Node.js and browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PLAYER_MOVEMENT, MOVEMENT_PERK_MODIFIERS, getMoveDirection, drainSprintEnergy, recoverEnergy };
+}
+if (typeof window !== 'undefined') {
+  window.PLAYER_MOVEMENT = PLAYER_MOVEMENT;
+  window.MOVEMENT_PERK_MODIFIERS = MOVEMENT_PERK_MODIFIERS;
+  window.getMoveDirection = getMoveDirection;
+  window.drainSprintEnergy = drainSprintEnergy;
+  window.recoverEnergy = recoverEnergy;
+}
@@ -0,0 +1,50 @@
+// Recipes.js - Crafting recipes validated by the server
+// Shared between server (crafting validation) and client (crafting panel)
+
+// ingredients: items (see Items.js) used up when the craft finishes
+// time: server ticks (30 per second) the player has to stand still for
+// station: 'fire' recipes need a barrel fire within warming range, null works anywhere
+const RECIPES = {
+  bandage: {
+    name: 'Bandage',
+    ingredients: { cloth: 1 },
+    output: { item: 'bandage', quantity: 2 },
+    time: 90,
+    station: null
+  },
+  blanket: {
+    name: 'Blanket',
+    ingredients: { cloth: 3 },
+    output: { item: 'blanket', quantity: 1 },
+    time: 240,
+    station: 'fire'
+  },
+  molotov: {
+    name: 'Molotov',
+    ingredients: { bottle: 1, alcohol: 1, cloth: 1 },
+    output: { item: 'molotov', quantity: 1 },
+    time: 150,
+    station: null
+  },
+  reinforced_pipe: {
+    name: 'Reinforced Pipe',
+    ingredients: { pipe: 1, duct_tape: 2, scrap_metal: 1 },
+    output: { item: 'reinforced_pipe', quantity: 1 },
+    time: 300,
+    station: 'fire'
+  }
+};
+
+// Moving further than this from where crafting started interrupts it
+const CRAFTING = {
+  interruptDistance: 0.75
+};
+
+// Export for both Node.js and browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { RECIPES, CRAFTING };
+}
+if (typeof window !== 'undefined') {
+  window.RECIPES = RECIPES;
+  window.CRAFTING = CRAFTING;
+}
@@ -0,0 +1,94 @@
+// StatusEffects.js - Timed status effects on players and enemies
+// Shared between server (StatusEffectSystem applies and ticks them) and
+// client (HUD icons and timers)
+
+// duration: server ticks (30 per second) until it wears off, null to last
+//   until cured or until its condition no longer holds
+// stacking: what applying it again does - 'refresh' restarts the timer,
+//   'stack' adds a stack (up to maxStacks) and restarts the timer,
+//   'ignore' leaves the running effect alone
+// when: applied automatically while an entity stat is below/above a value;
+//   effects without a duration are lifted again once it stops holding
+// tick: every interval ticks, deal damage or heal, times the stack count
+// modifiers: multipliers on survival rates while active (hungerDrain,
+//   energyRegen, downedDrain), multiplied together across effects
+// blocks: actions the entity can't take while active ('sprint')
+// buff: shown as a good effect on the HUD
+// Items cure effects through their cures list (see Items.js)
+const STATUS_EFFECTS = {
+  bleeding: {
+    name: 'Bleeding', icon: '🩸',
+    duration: null, stacking: 'refresh',
+    tick: { interval: 45, damage: 1 },
+    modifiers: { downedDrain: 2 }
+  },
+  infection: {
+    name: 'Infection', icon: '🦠',
+    duration: null, stacking: 'stack', maxStacks: 3,
+    tick: { interval: 150, damage: 1 },
+    modifiers: { hungerDrain: 1.25 }
+  },
+  hypothermia: {
+    name: 'Hypothermia', icon: '🥶',
+    duration: null, stacking: 'ignore',
+    when: { stat: 'warmth', below: 20 },
+    tick: { interval: 100, damage: 1 },
+    modifiers: { energyRegen: 0.5 }
+  },
+  starving: {
+    name: 'Starving', icon: '🦴',
+    duration: null, stacking: 'ignore',
+    when: { stat: 'hunger', below: 1 },
+    tick: { interval: 120, damage: 2 }
+  },
+  exhaustion: {
+    name: 'Exhausted', icon: '😮‍💨',
+    duration: 180, stacking: 'ignore',
+    when: { stat: 'energy', below: 1 },
+    modifiers: { energyRegen: 0.5 },
+    blocks: ['sprint']
+  },
+  hungry: {
+    name: 'Hungry', icon: '🍽️',
+    duration: null, stacking: 'ignore',
+    when: { stat: 'hunger', below: 25 },
+    modifiers: { energyRegen: 0.5 }
+  },
+  well_fed: {
+    name: 'Well Fed', icon: '😋',
+    duration: null, stacking: 'ignore', buff: true,
+    when: { stat: 'hunger', above: 80 },
+    tick: { interval: 90, heal: 1 },
+    modifiers: { hungerDrain: 0.8 }
+  },
+  burning: {
+    name: 'Burning', icon: '🔥',
+    duration: 60, stacking: 'refresh',
+    tick: { interval: 15, damage: 8 }
+  }
+};
+
+// Combined multiplier for a modifier name across a list of effects. Works on
+// both the server's effect entries and the client's network copies.
+function getEffectModifier(statusEffects, name) {
+  let value = 1;
+  for (const effect of statusEffects) {
+    const modifiers = STATUS_EFFECTS[effect.id].modifiers;
+    if (modifiers && modifiers[name] !== undefined) value *= modifiers[name];
+  }
+  return value;
+}
+
+function effectsBlock(statusEffects, action) {
+  return statusEffects.some(effect => (STATUS_EFFECTS[effect.id].blocks || []).includes(action));
+}
+
+// Export for both Node.js and browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { STATUS_EFFECTS, getEffectModifier, effectsBlock };
+}
+if (typeof window !== 'undefined') {
+  window.STATUS_EFFECTS = STATUS_EFFECTS;
+  window.getEffectModifier = getEffectModifier;
+  window.effectsBlock = effectsBlock;
+}
@@ -0,0 +1,37 @@
+// WeaponStats.js - Weapon definitions enforced by the server
+// Shared between server (attack validation) and client (cooldowns, viewmodels)
+
+// cooldown: minimum time between attacks in ms
+// range: melee reach, maximum bullet travel for ranged weapons, or how far
+// a thrown weapon carries
+// ammo: rounds consumed per shot, pellets: bullets spawned per shot
+// ammoType: the inventory item (see Items.js) a ranged weapon fires; thrown
+// weapons use themselves up
+// Thrown weapons start a fire of radius that lasts burnTime server ticks and
+// inflicts a status effect (see StatusEffects.js) on anyone standing in it
+const WEAPON_STATS = {
+  knife: { damage: 35, range: 2.5, cooldown: 330, type: 'melee' },
+  bat: { damage: 50, range: 3, cooldown: 500, type: 'melee' },
+  pipe: { damage: 45, range: 2.8, cooldown: 420, type: 'melee' },
+  reinforced_pipe: { damage: 60, range: 2.8, cooldown: 420, type: 'melee' },
+  pistol: { damage: 25, range: 80, cooldown: 250, type: 'ranged', ammoType: 'ammo_9mm', ammo: 1 },
+  shotgun: { damage: 15, range: 30, cooldown: 750, type: 'ranged', pellets: 6, spread: 0.15, ammoType: 'ammo_shells', ammo: 2 },
+  smg: { damage: 12, range: 50, cooldown: 85, type: 'ranged', ammoType: 'ammo_9mm', ammo: 1 },
+  rifle: { damage: 45, range: 100, cooldown: 500, type: 'ranged', ammoType: 'ammo_rifle', ammo: 1 },
+  molotov: { range: 15, cooldown: 1000, type: 'thrown', ammoType: 'molotov', ammo: 1, radius: 3, burnTime: 240, inflicts: 'burning' }
+};
+
+// Damage multipliers granted by perks
+const WEAPON_PERK_MODIFIERS = {
+  damage_boost: { all: 1.2 },
+  melee_boost: { melee: 1.3 }
+};
+
+// Export for both Node.js and browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { WEAPON_STATS, WEAPON_PERK_MODIFIERS };
+}
+if (typeof window !== 'undefined') {
+  window.WEAPON_STATS = WEAPON_STATS;
+  window.WEAPON_PERK_MODIFIERS = WEAPON_PERK_MODIFIERS;
+}
@@ -0,0 +1,144 @@
+// Inventory.js - Slot grid with stacking and a carry weight limit
+// Shared between server (authoritative inventories) and client (hotbar,
+// pickup checks). Slots are null or { item, quantity }.
+
+// In the browser Items.js is imported first and the definitions are read off
+// window; require is only ever called under Node
+const { ITEMS, INVENTORY } = typeof window !== 'undefined' ? window : require('../config/Items');
+
+class Inventory {
+  constructor(slots = null) {
+    this.slots = slots ? slots.map(s => s && { ...s }) : new Array(INVENTORY.slots).fill(null);
+  }
+
+  static createStarting() {
+    const inventory = new Inventory();
+    for (const { slot, item, quantity } of INVENTORY.starting) {
+      inventory.slots[slot] = { item, quantity };
+    }
+    return inventory;
+  }
+
+  isValidSlot(index) {
+    return Number.isInteger(index) && index >= 0 && index < this.slots.length;
+  }
+
+  count(item) {
+    let total = 0;
+    for (const slot of this.slots) {
+      if (slot && slot.item === item) total += slot.quantity;
+    }
+    return total;
+  }
+
+  getWeight() {
+    let weight = 0;
+    for (const slot of this.slots) {
+      if (slot) weight += ITEMS[slot.item].weight * slot.quantity;
+    }
+    return weight;
+  }
+
+  // How many of item would fit, by both free stack space and carry weight
+  spaceFor(item) {
+    const def = ITEMS[item];
+    if (!def) return 0;
+
+    let bySlots = 0;
+    for (const slot of this.slots) {
+      if (!slot) bySlots += def.stack;
+      else if (slot.item === item) bySlots += def.stack - slot.quantity;
+    }
+    const byWeight = Math.floor((INVENTORY.carryCapacity - this.getWeight()) / def.weight + 1e-9);
+
+    return Math.max(0, Math.min(bySlots, byWeight));
+  }
+
+  // Adds as many as fit: onto existing stacks first, then into empty slots.
+  // Weapons go to the hotbar when there's room, everything else to the
+  // backpack. Returns how many were added.
+  add(item, quantity) {
+    let remaining = Math.min(quantity, this.spaceFor(item));
+    const added = remaining;
+    const def = ITEMS[item];
+
+    for (const slot of this.slots) {
+      if (remaining === 0) break;
+      if (!slot || slot.item !== item) continue;
+      const moved = Math.min(remaining, def.stack - slot.quantity);
+      slot.quantity += moved;
+      remaining -= moved;
+    }
+
+    const hotbar = [...this.slots.keys()].slice(0, INVENTORY.hotbarSlots);
+    const backpack = [...this.slots.keys()].slice(INVENTORY.hotbarSlots);
+    const order = def.category === 'weapon' ? [...hotbar, ...backpack] : [...backpack, ...hotbar];
+
+    for (const index of order) {
+      if (remaining === 0) break;
+      if (this.slots[index]) continue;
+      const moved = Math.min(remaining, def.stack);
+      this.slots[index] = { item, quantity: moved };
+      remaining -= moved;
+    }
+
+    return added;
+  }
+
+  // Takes quantity of item from wherever it's kept, smallest stacks first.
+  // Returns false, leaving the inventory untouched, if there isn't enough.
+  remove(item, quantity) {
+    if (this.count(item) < quantity) return false;
+
+    const indices = [...this.slots.keys()]
+      .filter(i => this.slots[i] && this.slots[i].item === item)
+      .sort((a, b) => this.slots[a].quantity - this.slots[b].quantity);
+
+    let remaining = quantity;
+    for (const index of indices) {
+      if (remaining === 0) break;
+      const taken = this.takeFromSlot(index, remaining);
+      remaining -= taken.quantity;
+    }
+    return true;
+  }
+
+  // Takes up to quantity out of one slot. Returns { item, quantity } taken.
+  takeFromSlot(index, quantity) {
+    const slot = this.slots[index];
+    const taken = Math.min(quantity, slot.quantity);
+    slot.quantity -= taken;
+    if (slot.quantity === 0) this.slots[index] = null;
+    return { item: slot.item, quantity: taken };
+  }
+
+  // Moves a slot onto another: merges matching stacks as far as they go,
+  // otherwise swaps the two slots
+  swap(from, to) {
+    const source = this.slots[from];
+    const target = this.slots[to];
+
+    if (source && target && source.item === target.item) {
+      const moved = Math.min(source.quantity, ITEMS[target.item].stack - target.quantity);
+      target.quantity += moved;
+      source.quantity -= moved;
+      if (source.quantity === 0) this.slots[from] = null;
+      return;
+    }
+
+    this.slots[from] = target;
+    this.slots[to] = source;
+  }
+
+  toData() {
+    return this.slots.map(s => s && { item: s.item, quantity: s.quantity });
+  }
+}
+
+// Export for both Node.js and browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Inventory;
+}
+if (typeof window !== 'undefined') {
+  window.Inventory = Inventory;
+}
@@ -0,0 +1,123 @@
+// SnapshotDelta.js - Field-level snapshot deltas
+// Shared between server (building deltas) and client (applying them)
+
+// A snapshot looks like:
+//   { seq, serverTime, collections: { players: { [id]: entity } }, globals: { level: 1 } }
+// A delta against an acknowledged base snapshot looks like:
+//   { seq, baseSeq, serverTime,
+//     collections: { players: { spawned: [entity], updated: [{ id, ...fields }], despawned: [id] } },
+//     globals: { changedKey: value } }
+// A delta with baseSeq === null is a full snapshot: every entity is spawned.
+
+function valuesEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Only the fields of an entity that changed, or null if nothing did
+function diffEntity(base, current) {
+  let changes = null;
+  for (const key in current) {
+    if (!valuesEqual(base[key], current[key])) {
+      if (!changes) changes = { id: current.id };
+      changes[key] = current[key];
+    }
+  }
+  for (const key in base) {
+    if (!(key in current)) {
+      if (!changes) changes = { id: current.id };
+      changes[key] = null;
+    }
+  }
+  return changes;
+}
+
+function diffCollection(base, current) {
+  const result = { spawned: [], updated: [], despawned: [] };
+  
+  for (const id in current) {
+    if (!base || !base[id]) {
+      result.spawned.push(current[id]);
+    } else {
+      const changes = diffEntity(base[id], current[id]);
+      if (changes) result.updated.push(changes);
+    }
+  }
+  
+  if (base) {
+    for (const id in base) {
+      if (!current[id]) result.despawned.push(id);
+    }
+  }
+  
+  return result;
+}
+
+// Build a delta from base (null for a full snapshot) to current
+function diffSnapshots(base, current) {
+  const delta = {
+    seq: current.seq,
+    baseSeq: base ? base.seq : null,
+    serverTime: current.serverTime,
+    collections: {},
+    globals: {}
+  };
+  
+  for (const name in current.collections) {
+    const changes = diffCollection(base ? base.collections[name] : null, current.collections[name]);
+    // Full snapshots list every collection, even empty ones
+    if (!base || changes.spawned.length || changes.updated.length || changes.despawned.length) {
+      delta.collections[name] = changes;
+    }
+  }
+  
+  for (const key in current.globals) {
+    if (!base || !valuesEqual(base.globals[key], current.globals[key])) {
+      delta.globals[key] = current.globals[key];
+    }
+  }
+  
+  return delta;
+}
+
+// Rebuild a full snapshot from its base and a delta. The base is left untouched
+// because later deltas may still be built against it.
+function applyDelta(base, delta) {
+  const snapshot = {
+    seq: delta.seq,
+    serverTime: delta.serverTime,
+    collections: {},
+    globals: { ...(base ? base.globals : {}), ...delta.globals }
+  };
+  
+  const names = new Set([
+    ...Object.keys(base ? base.collections : {}),
+    ...Object.keys(delta.collections)
+  ]);
+  
+  for (const name of names) {
+    const collection = { ...(base && base.collections[name]) };
+    const changes = delta.collections[name];
+    
+    if (changes) {
+      for (const entity of changes.spawned) collection[entity.id] = entity;
+      for (const update of changes.updated) {
+        if (collection[update.id]) collection[update.id] = { ...collection[update.id], ...update };
+      }
+      for (const id of changes.despawned) delete collection[id];
+    }
+    
+    snapshot.collections[name] = collection;
+  }
+  
+  return snapshot;
+}
+
+// Export for both Node.js and browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { diffSnapshots, applyDelta };
+}
+if (typeof window !== 'undefined') {
+  window.SnapshotDelta = { diffSnapshots, applyDelta };
+}
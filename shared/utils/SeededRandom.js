@@ -186,7 +186,8 @@ class PerlinNoise {
 // Export for both Node.js and browser
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = { SeededRandom, PerlinNoise };
-} else if (typeof window !== 'undefined') {
+}
+if (typeof window !== 'undefined') {
   window.SeededRandom = SeededRandom;
   window.PerlinNoise = PerlinNoise;
 }